@@ -0,0 +1,47 @@
+// Export a vehicle preset's procedural truck as a glTF binary, with its nodes named the
+// way src/truck-model.js looks for them. Gives artists a correctly laid out starting
+// point, and is how public/models/monster.glb was made.
+//
+//   npm run export-model -- monster            (writes public/models/monster.glb)
+//   npm run export-model -- buggy out/buggy.glb
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { Truck } from '../src/truck.js';
+import { VEHICLE_PRESETS } from '../src/vehicles.js';
+
+// GLTFExporter reads its output back through the browser's FileReader - Node has Blob
+// but no FileReader, and array buffers are all the exporter asks for
+globalThis.FileReader ??= class {
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then(result => {
+            this.result = result;
+            this.onloadend();
+        });
+    }
+};
+
+const vehicleId = process.argv[2] ?? 'monster';
+const outputPath = process.argv[3] ?? `public/models/${vehicleId}.glb`;
+
+if (!VEHICLE_PRESETS[vehicleId]) {
+    console.error(`Unknown vehicle "${vehicleId}" - pick one of ${Object.keys(VEHICLE_PRESETS).join(', ')}`);
+    process.exit(1);
+}
+
+// Stock look - the garage recolors the Paint and Accent materials at load time
+const truck = new Truck(vehicleId);
+const model = truck.build();
+model.name = 'Truck';
+model.position.set(0, 0, 0); // The game lifts the truck itself
+
+// The game adds the headlight beams itself, to models and procedural trucks alike
+truck.headlights.forEach(({ beam }) => {
+    beam.target.removeFromParent();
+    beam.removeFromParent();
+});
+
+const glb = await new GLTFExporter().parseAsync(model, { binary: true, onlyVisible: false });
+await mkdir(dirname(outputPath), { recursive: true });
+await writeFile(outputPath, Buffer.from(glb));
+console.log(`Wrote ${outputPath} (${(glb.byteLength / 1024).toFixed(0)} KB)`);
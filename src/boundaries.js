@@ -0,0 +1,35 @@
+import { WallBoundary } from './boundaries/walls.js';
+import { WrapBoundary } from './boundaries/wrap.js';
+import { PullBoundary } from './boundaries/pull.js';
+import { OpenBoundary } from './boundaries/open.js';
+
+// World edge strategies. Each one decides what happens when the truck reaches the
+// edge of the world and shares the same small interface:
+//  type, label     - id and a short description for the HUD
+//  finite          - whether the ground is a bounded square (otherwise it streams forever)
+//  size, limit     - side length of the world square, and where the truck is stopped
+//  constrain(physics, movement, deltaTime) - adjust a physics step, returns impacts
+//  distanceToEdge(position), warningText, warningDistance - for the HUD warning
+//  wrapPosition(position) - world position folded into the world square
+//  getMarkers()    - where and how Terrain should draw edge posts, or null
+export const BOUNDARY_TYPES = Object.freeze({
+    walls: WallBoundary,
+    wrap: WrapBoundary,
+    pull: PullBoundary,
+    open: OpenBoundary
+});
+
+export const DEFAULT_BOUNDARY_TYPE = 'open';
+
+// Build a boundary from a type id, an options object with a type, or pass an existing
+// strategy straight through. Unknown types fall back to the open world.
+export function createBoundary(boundary = DEFAULT_BOUNDARY_TYPE, options = {}) {
+    if (boundary && typeof boundary.constrain === 'function') {
+        return boundary;
+    }
+    if (typeof boundary === 'object' && boundary !== null) {
+        return createBoundary(boundary.type, { ...options, ...boundary });
+    }
+    const BoundaryClass = BOUNDARY_TYPES[boundary] ?? BOUNDARY_TYPES[DEFAULT_BOUNDARY_TYPE];
+    return new BoundaryClass(options);
+}
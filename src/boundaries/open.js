@@ -0,0 +1,28 @@
+// An endless open world with no edge at all
+export class OpenBoundary {
+    constructor() {
+        this.type = 'open';
+        this.finite = false;
+        this.size = null;
+        this.limit = null;
+        
+        this.label = 'endless';
+        this.warningText = null;
+    }
+    
+    constrain() {
+        return [];
+    }
+    
+    distanceToEdge() {
+        return Infinity;
+    }
+    
+    wrapPosition(position) {
+        return position;
+    }
+    
+    getMarkers() {
+        return null;
+    }
+}
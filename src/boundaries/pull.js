@@ -0,0 +1,65 @@
+// A finite world with no hard edge - past a certain distance the truck is gently
+// pulled back toward the middle, like driving up the side of a wide valley.
+export class PullBoundary {
+    constructor(options = {}) {
+        this.type = 'pull';
+        this.finite = true;
+        this.size = options.size ?? 3500;
+        this.limit = options.limit ?? this.size / 2 - (options.margin ?? 5); // Last resort stop before the ground runs out
+        
+        this.pullDistance = options.pullDistance ?? 250; // Width of the band where the pull acts
+        this.pullStart = this.limit - this.pullDistance;
+        this.pullStrength = options.pullStrength ?? 0.1; // Acceleration (m/s²) per meter past the start
+        this.pullDamping = options.pullDamping ?? 1.5; // Soaks up outward speed so the truck doesn't spring back and forth
+        
+        this.label = `pulled back past ±${Math.round(this.pullStart)} m`;
+        this.warningText = 'LEAVING THE VALLEY';
+        this.warningDistance = 100;
+    }
+    
+    // Pull the velocity back toward the middle and rebuild this step's movement from it.
+    // Never reports impacts - nothing is hit.
+    constrain(physics, movement, deltaTime) {
+        ['x', 'z'].forEach(axis => {
+            const side = Math.sign(physics.position[axis]);
+            const overshoot = Math.abs(physics.position[axis]) - this.pullStart;
+            if (overshoot <= 0) return;
+            
+            // Spring back toward the middle, stronger the further out the truck is
+            physics.velocity[axis] -= side * this.pullStrength * overshoot * deltaTime;
+            
+            // Bleed off outward speed, also growing with the distance
+            const outwardSpeed = physics.velocity[axis] * side;
+            if (outwardSpeed > 0) {
+                const damping = Math.min(1, this.pullDamping * overshoot / this.pullDistance * deltaTime);
+                physics.velocity[axis] -= side * outwardSpeed * damping;
+            }
+            
+            movement[axis] = physics.velocity[axis] * deltaTime;
+            
+            // Hard stop at the very edge, in case something (nitro, a long jump) beats the pull
+            const next = physics.position[axis] + movement[axis];
+            if (Math.abs(next) > this.limit) {
+                movement[axis] = side * this.limit - physics.position[axis];
+                if (physics.velocity[axis] * side > 0) {
+                    physics.velocity[axis] = 0;
+                }
+            }
+        });
+        return [];
+    }
+    
+    // Distance to where the pull starts - negative once it is acting
+    distanceToEdge(position) {
+        return this.pullStart - Math.max(Math.abs(position.x), Math.abs(position.z));
+    }
+    
+    wrapPosition(position) {
+        return position;
+    }
+    
+    // Low yellow posts where the pull begins
+    getMarkers() {
+        return { distance: this.pullStart, color: 0xFFD27F, height: 6, spacing: 50 };
+    }
+}
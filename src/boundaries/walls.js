@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+// One AudioContext for every wall hit - browsers limit how many a page may open
+let audioContext = null;
+
+function getAudioContext() {
+    if (typeof window === 'undefined') return null; // Headless runs have no audio
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+    }
+    // Contexts start suspended until the player has interacted with the page
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    return audioContext;
+}
+
+// Solid walls around a finite square world. The truck bounces off them like it does
+// off a tree and the hit is reported as an impact, so it can dent the bodywork.
+export class WallBoundary {
+    constructor(options = {}) {
+        this.type = 'walls';
+        this.finite = true; // The ground stops at the edge of the world square
+        this.size = options.size ?? 3500; // Side length of the world square
+        this.limit = options.limit ?? this.size / 2 - (options.margin ?? 5); // Where the truck stops, a little inside the edge
+        
+        this.restitution = options.restitution ?? 0.35; // How much of the speed into the wall bounces back
+        this.friction = options.friction ?? 0.3; // How much sliding speed is scrubbed along the wall
+        
+        // Don't beep on every frame of a long scrape
+        this.lastSoundTime = 0;
+        this.soundCooldown = 500; // ms
+        
+        this.label = `walls at ±${Math.round(this.limit)} m`;
+        this.warningText = 'APPROACHING BOUNDARY';
+        this.warningDistance = 200;
+    }
+    
+    // Keep this step's movement inside the walls. Adjusts the physics velocity and the
+    // movement vector in place and returns any impacts.
+    constrain(physics, movement) {
+        const next = physics.position.clone().add(movement);
+        const normal = new THREE.Vector3();
+        let hitSpeed = 0;
+        
+        ['x', 'z'].forEach(axis => {
+            if (Math.abs(next[axis]) <= this.limit) return;
+            
+            const side = Math.sign(next[axis]);
+            next[axis] = side * this.limit;
+            normal[axis] = -side;
+            
+            // Bounce the speed heading into the wall back out
+            const speedIntoWall = physics.velocity[axis] * side;
+            if (speedIntoWall > 0) {
+                hitSpeed = Math.max(hitSpeed, speedIntoWall);
+                physics.velocity[axis] = -side * speedIntoWall * this.restitution;
+            }
+        });
+        
+        movement.copy(next.sub(physics.position));
+        if (hitSpeed === 0) return [];
+        
+        // Scrape along a wall - friction scales with how hard it was hit (none in a corner)
+        ['x', 'z'].forEach(axis => {
+            if (normal[axis] !== 0) return;
+            const along = physics.velocity[axis];
+            physics.velocity[axis] -= Math.sign(along) * Math.min(Math.abs(along), this.friction * hitSpeed);
+        });
+        
+        // Slower contacts (rolling gently into the wall) aren't worth reporting
+        if (hitSpeed < physics.minImpactSpeed) return [];
+        
+        this.playHitSound();
+        return [{
+            type: 'boundary',
+            kind: 'boundary',
+            speed: hitSpeed,
+            energy: 0.5 * physics.mass * hitSpeed * hitSpeed,
+            position: physics.position.clone().add(movement),
+            normal: normal.normalize()
+        }];
+    }
+    
+    // How far a world position is from the nearest wall
+    distanceToEdge(position) {
+        return this.limit - Math.max(Math.abs(position.x), Math.abs(position.z));
+    }
+    
+    // Positions are already inside the world square
+    wrapPosition(position) {
+        return position;
+    }
+    
+    // Red posts along the edge of the ground
+    getMarkers() {
+        return { distance: this.size / 2, color: 0xFF5555, height: 15, spacing: 50 };
+    }
+    
+    playHitSound() {
+        const currentTime = Date.now();
+        if (currentTime - this.lastSoundTime < this.soundCooldown) return;
+        this.lastSoundTime = currentTime;
+        
+        try {
+            const context = getAudioContext();
+            if (!context) return;
+            
+            // Short falling thud
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(context.destination);
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(200, context.currentTime);
+            oscillator.frequency.exponentialRampToValueAtTime(100, context.currentTime + 0.2);
+            
+            gainNode.gain.setValueAtTime(0.5, context.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, context.currentTime + 0.3);
+            
+            oscillator.start();
+            oscillator.stop(context.currentTime + 0.3);
+        } catch (error) {
+            console.warn('Could not play boundary collision sound:', error);
+        }
+    }
+}
@@ -0,0 +1,47 @@
+// A wrap-around (torus) world. The terrain repeats every `size` meters in x and z, so
+// driving off one edge brings the truck back in at the other. The truck itself never
+// jumps: it keeps driving in an endless world (with the floating origin keeping the
+// numbers small) while Terrain samples hills, surfaces and decorations through wrap().
+export class WrapBoundary {
+    constructor(options = {}) {
+        this.type = 'wrap';
+        this.finite = false; // Ground streams forever, repeating
+        this.size = options.size ?? 3500;
+        this.limit = null; // Nothing stops the truck
+        this.seamBlendDistance = options.seamBlendDistance ?? 200; // Terrain cross-fades over this band at the seams
+        
+        this.label = `wraps every ${this.size} m`;
+        this.warningText = 'WRAPPING AROUND';
+        this.warningDistance = 50;
+    }
+    
+    // Coordinate folded into the world square [-size/2, size/2)
+    wrap(value) {
+        const half = this.size / 2;
+        return ((value + half) % this.size + this.size) % this.size - half;
+    }
+    
+    // Nothing to hit - driving on is what takes the truck round
+    constrain() {
+        return [];
+    }
+    
+    // Distance to the nearest seam
+    distanceToEdge(position) {
+        const half = this.size / 2;
+        return half - Math.max(Math.abs(this.wrap(position.x)), Math.abs(this.wrap(position.z)));
+    }
+    
+    // World position as seen inside the repeating square
+    wrapPosition(position) {
+        const wrapped = position.clone();
+        wrapped.x = this.wrap(position.x);
+        wrapped.z = this.wrap(position.z);
+        return wrapped;
+    }
+    
+    // Pale blue posts along the seam; Terrain moves them along with each lap
+    getMarkers() {
+        return { distance: this.size / 2, color: 0x8FD3FF, height: 10, spacing: 50, repeat: true };
+    }
+}
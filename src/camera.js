@@ -91,6 +91,14 @@ export class GameCamera {
         this.camera.lookAt(this.currentLookAt);
     }
     
+    // Move the scene origin by (dx, dz) without any visible camera jump
+    shiftOrigin(dx, dz) {
+        this.camera.position.x -= dx;
+        this.camera.position.z -= dz;
+        this.currentLookAt.x -= dx;
+        this.currentLookAt.z -= dz;
+    }
+    
     reset() {
         if (!this.target) return;
         
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+// Body sections of the truck that can take damage. Health runs from 1 (new) to 0 (wrecked).
+export const DAMAGE_PARTS = ['front', 'rear', 'left', 'right', 'roof', 'engine'];
+
+// Tracks damage to the body and each wheel from impact energy, and works out how
+// that damage changes the handling. All positions are in the truck's body space
+// (+z forward, +y up), with the wheels in the same order as TruckPhysics.wheels.
+export class DamageModel {
+    constructor(options = {}) {
+        this.parts = {};
+        DAMAGE_PARTS.forEach(part => { this.parts[part] = 1; });
+        this.wheels = (options.wheelAnchors || []).map(anchor => ({
+            x: anchor.x,
+            z: anchor.z,
+            health: 1
+        }));
+
+        // Impacts below this energy (J) only scratch the paint
+        this.minImpactEnergy = options.minImpactEnergy ?? 10000;
+        // Energy above the minimum (J) that takes a part from full health to wrecked
+        this.energyPerDamage = options.energyPerDamage ?? 400000;
+
+        // Size of the body, used to decide which side an impact hit
+        this.halfWidth = options.halfWidth ?? 2.25;
+        this.halfLength = options.halfLength ?? 3.5;
+        this.roofHeight = options.roofHeight ?? 1.25; // Body top above the body origin
+        this.wheelReach = 4.0; // Impacts this close to a wheel (m) also damage it
+        this.wheelDamageShare = 0.7;
+        this.engineDamageShare = 0.5; // The engine sits behind the front bodywork
+
+        // Handling effects at full damage
+        this.maxSteeringPull = 0.3; // Steering offset from one wrecked front wheel
+        this.maxBodyPull = 0.1; // Steering offset from a crushed side
+        this.minPowerMultiplier = 0.35;
+        this.minGripMultiplier = 0.6;
+    }
+
+    // Which body section a point on the truck belongs to, or null for the underside
+    getPartAt(localPoint) {
+        const nx = Math.abs(localPoint.x) / this.halfWidth;
+        const ny = localPoint.y / this.roofHeight;
+        const nz = Math.abs(localPoint.z) / this.halfLength;
+
+        if (ny > nx && ny > nz) return 'roof';
+        if (-ny > nx && -ny > nz) return null;
+        if (nz >= nx) return localPoint.z > 0 ? 'front' : 'rear';
+        return localPoint.x < 0 ? 'left' : 'right';
+    }
+
+    // Damage the truck from an impact at a body-space point. Returns a description of
+    // the damage done, or null if the hit was too soft to matter.
+    applyImpact(localPoint, energy, source = 'impact') {
+        if (energy <= this.minImpactEnergy) return null;
+
+        const amount = Math.min(1, (energy - this.minImpactEnergy) / this.energyPerDamage);
+        const part = this.getPartAt(localPoint);
+
+        if (part) {
+            this.parts[part] = Math.max(0, this.parts[part] - amount);
+            if (part === 'front') {
+                this.parts.engine = Math.max(0, this.parts.engine - amount * this.engineDamageShare);
+            }
+        }
+
+        // Wheels near the impact take a share; hits from below land on all of them
+        this.wheels.forEach(wheel => {
+            const distance = Math.hypot(localPoint.x - wheel.x, localPoint.z - wheel.z);
+            const weight = part ? Math.max(0, 1 - distance / this.wheelReach) : 1;
+            wheel.health = Math.max(0, wheel.health - amount * weight * this.wheelDamageShare);
+        });
+
+        return {
+            source,
+            part,
+            amount,
+            localPoint: localPoint.clone(),
+            // Pushes the bodywork in, from the hit toward the middle of the truck
+            direction: localPoint.clone().negate().normalize()
+        };
+    }
+
+    // How the current damage changes the driving
+    getHandling() {
+        const wheel = index => (this.wheels[index] ? this.wheels[index].health : 1);
+
+        // A damaged wheel drags, pulling the truck toward its side. Front wheels are
+        // indices 2 (x < 0) and 3 (x > 0); positive steering turns toward +x.
+        const wheelPull = (wheel(2) - wheel(3)) * this.maxSteeringPull;
+        const bodyPull = (this.parts.left - this.parts.right) * this.maxBodyPull;
+
+        return {
+            steeringPull: wheelPull + bodyPull,
+            powerMultiplier: this.minPowerMultiplier + (1 - this.minPowerMultiplier) * this.parts.engine,
+            frontGrip: this.minGripMultiplier + (1 - this.minGripMultiplier) * (wheel(2) + wheel(3)) / 2,
+            rearGrip: this.minGripMultiplier + (1 - this.minGripMultiplier) * (wheel(0) + wheel(1)) / 2
+        };
+    }
+
+    // Average health over every part and wheel
+    getOverallHealth() {
+        const values = [...DAMAGE_PARTS.map(part => this.parts[part]), ...this.wheels.map(wheel => wheel.health)];
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // Plain copy of the current state for physics results and the HUD
+    getState() {
+        return {
+            parts: { ...this.parts },
+            wheels: this.wheels.map(wheel => wheel.health),
+            overall: this.getOverallHealth()
+        };
+    }
+
+    repair() {
+        DAMAGE_PARTS.forEach(part => { this.parts[part] = 1; });
+        this.wheels.forEach(wheel => { wheel.health = 1; });
+    }
+}
+
+// Body-space point for a world-space point on a truck at this position and orientation
+export function toBodySpace(worldPoint, position, orientation) {
+    const inverse = orientation.clone().invert();
+    return new THREE.Vector3().subVectors(worldPoint, position).applyQuaternion(inverse);
+}
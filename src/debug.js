@@ -41,17 +41,18 @@ export class DebugDisplay {
             z: data.position.z.toFixed(2)
         };
         
-        // Check if near boundary
-        const boundaryLimit = 1750 - 5; // Same as in physics.js
-        const distanceToBoundaryX = boundaryLimit - Math.abs(data.position.x);
-        const distanceToBoundaryZ = boundaryLimit - Math.abs(data.position.z);
-        const minDistanceToBoundary = Math.min(distanceToBoundaryX, distanceToBoundaryZ);
+        // Check if near the world edge - what that means depends on the boundary strategy
         let boundaryWarning = '';
         
-        if (minDistanceToBoundary < 200) {
-            const warningIntensity = Math.floor((1 - minDistanceToBoundary / 200) * 10);
-            const exclamationMarks = '!'.repeat(warningIntensity);
-            boundaryWarning = `<div class="boundary-warning">APPROACHING BOUNDARY${exclamationMarks}</div>`;
+        if (data.boundary && data.boundary.warningText) {
+            const distanceToEdge = data.boundary.distanceToEdge(data.position);
+            const warningDistance = data.boundary.warningDistance;
+            
+            if (distanceToEdge < warningDistance) {
+                const warningIntensity = Math.min(10, Math.floor((1 - distanceToEdge / warningDistance) * 10));
+                const exclamationMarks = '!'.repeat(warningIntensity);
+                boundaryWarning = `<div class="boundary-warning">${data.boundary.warningText}${exclamationMarks}</div>`;
+            }
         }
         
         let html = '<strong>DEBUG INFO</strong><br>';
@@ -68,10 +69,19 @@ export class DebugDisplay {
             html += `Speed: ${(data.speed * 3.6).toFixed(2)} km/h<br>`;
         }
         
+        if (data.gear !== undefined) {
+            html += `Gear: ${data.gear} (${data.automatic ? 'auto' : 'manual'}) - ${Math.round(data.rpm)} rpm<br>`;
+        }
+        
         if (data.nitroActive) {
             html += `<span style="color: #ff5500; font-weight: bold;">NITRO ACTIVE!</span><br>`;
         }
         
+        if (data.nitroLevel !== undefined) {
+            const cooldown = data.nitroCooldown > 0 ? ` (empty - ${data.nitroCooldown.toFixed(1)}s)` : '';
+            html += `Nitro: ${Math.round(data.nitroLevel * 100)}%${cooldown}<br>`;
+        }
+        
         if (data.controls) {
             html += `<br><strong>Controls:</strong> `;
             const activeControls = [];
@@ -80,6 +90,7 @@ export class DebugDisplay {
             if (data.controls.left) activeControls.push('Left');
             if (data.controls.right) activeControls.push('Right');
             if (data.controls.brake) activeControls.push('Brake');
+            if (data.controls.handbrake) activeControls.push('Handbrake');
             if (data.controls.nitro) activeControls.push('<span style="color: #ff5500;">Nitro</span>');
             html += activeControls.length ? activeControls.join(', ') : 'None';
         }
@@ -88,6 +99,24 @@ export class DebugDisplay {
             html += `<br>FPS: ${data.fps.toFixed(1)}`;
         }
         
+        if (data.timeOfDay !== undefined) {
+            const speed = data.timeOfDay.speed === 0 ? 'stopped' : `${data.timeOfDay.speed}x`;
+            html += `<br>Time: ${data.timeOfDay.formatTime()} (${speed})`;
+        }
+        
+        if (data.weather !== undefined) {
+            html += `<br>Weather: ${data.weather.label} (grip ${Math.round(data.weather.getState().grip * 100)}%)`;
+        }
+        
+        if (data.post !== undefined) {
+            const effects = data.post.enabled ? data.post.activeEffects.join(', ') || 'none' : 'off';
+            html += `<br>Post: ${data.post.quality} (${effects})`;
+        }
+        
+        if (data.particles !== undefined) {
+            html += `<br>Particles: ${data.particles.count} / ${data.particles.maxParticles}`;
+        }
+        
         if (data.terrainHeight !== undefined) {
             html += `<br>Terrain height: ${data.terrainHeight.toFixed(2)}`;
         }
@@ -96,6 +125,43 @@ export class DebugDisplay {
             html += `<br>Ground contact: ${data.groundContact ? 'Yes' : 'No'}`;
         }
         
+        if (data.surface !== undefined) {
+            html += `<br>Surface: ${data.surface}`;
+        }
+        
+        if (data.lastImpact) {
+            html += `<br>Last impact: ${data.lastImpact.kind} at ${(data.lastImpact.speed * 3.6).toFixed(1)} km/h`;
+        }
+        
+        if (data.airTime > 0) {
+            html += `<br>Airborne: ${data.airTime.toFixed(1)}s`;
+        }
+        
+        if (data.driftAngle !== null && data.driftAngle !== undefined) {
+            html += `<br>Drifting: ${Math.abs(data.driftAngle * 180 / Math.PI).toFixed(0)}° for ${data.driftTime.toFixed(1)}s`;
+        }
+        
+        if (data.lastLanding) {
+            html += `<br>Last landing: ${data.lastLanding.quality} (${data.lastLanding.impactSpeed.toFixed(1)} m/s, ${(data.lastLanding.tilt * 180 / Math.PI).toFixed(0)}°)`;
+        }
+        
+        if (data.damage && data.damage.overall < 1) {
+            const worst = Object.entries(data.damage.parts).sort((a, b) => a[1] - b[1])[0];
+            html += `<br>Truck health: ${Math.round(data.damage.overall * 100)}% (worst: ${worst[0]} ${Math.round(worst[1] * 100)}%)`;
+        }
+        
+        if (data.vehicleName) {
+            html += `<br>Vehicle: ${data.vehicleName}`;
+        }
+        
+        if (data.seed !== undefined) {
+            html += `<br>World seed: ${data.seed}`;
+        }
+        
+        if (data.boundary) {
+            html += `<br>World edge: ${data.boundary.type} (${data.boundary.label})`;
+        }
+        
         if (data.custom) {
             html += `<br><br>${data.custom}`;
         }
@@ -136,10 +202,13 @@ export class DebugDisplay {
     showControlsHelp() {
         const help = `
             <strong>CONTROLS</strong><br>
-            WASD / Arrow keys: Drive<br>
-            Space: Brake<br>
+            WASD / Arrow keys: Drive (lean and roll in the air)<br>
+            Space: Brake, Shift: Handbrake<br>
             N: <span style="color: #ff5500;">Nitro Boost</span><br>
-            R: Reset position<br><br>
+            E / Q: Shift up / down (manual), M: Toggle automatic<br>
+            R: Reset position, F: Repair, G: Garage<br>
+            T: Time speed, [ / ]: Hour back / forward, C: Weather<br>
+            P: Post effect quality, 1-5: Bloom, painterly, outlines, grade, vignette<br><br>
             On mobile, use the joystick in the bottom left corner.
         `;
         this.showMessage(help, 5000);
@@ -0,0 +1,203 @@
+// Engine and gearbox for the truck. Turns the throttle pedal into a drive force at the
+// wheels through an RPM-dependent torque curve and a set of gear ratios.
+// Gears: -1 is reverse, 0 is neutral, 1 and up are the forward gears.
+export class Drivetrain {
+    constructor(options = {}) {
+        // Engine
+        this.idleRpm = options.idleRpm ?? 900;
+        this.maxRpm = options.maxRpm ?? 5500; // Rev limiter - no more power above this
+        this.clutchRpm = options.clutchRpm ?? 1800; // Engine speed held while the clutch slips pulling away
+        this.engineBrakeTorque = options.engineBrakeTorque ?? 60; // Nm of drag at max RPM with the throttle closed
+        this.rpmResponse = 10; // How quickly the engine speed follows its target, per second
+
+        // Torque curve as [rpm, Nm] points - strong low-down pull, tailing off near the limiter
+        this.torqueCurve = options.torqueCurve ?? [
+            [900, 380],
+            [2000, 520],
+            [3500, 600],
+            [4500, 570],
+            [5500, 430]
+        ];
+
+        // Gearbox
+        this.gearRatios = options.gearRatios ?? [4.0, 2.6, 1.8, 1.3, 1.0]; // 1st gear first
+        this.reverseRatio = options.reverseRatio ?? 3.6;
+        this.finalDrive = options.finalDrive ?? 35; // Includes the hub reduction gears of the huge wheels
+        this.efficiency = options.efficiency ?? 0.85; // Fraction of engine torque reaching the wheels
+        this.powerMultiplier = 1; // Lowered when the engine is damaged
+        this.wheelRadius = options.wheelRadius ?? 2.2;
+
+        // Shifting
+        this.automatic = true;
+        this.upshiftRpm = options.upshiftRpm ?? 4800;
+        this.downshiftRpm = options.downshiftRpm ?? 2000;
+        this.shiftDuration = 0.25; // Seconds with no drive while the gear changes
+        this.reverseSpeedThreshold = 1.0; // m/s - slower than this counts as stopped
+
+        // State
+        this.gear = 1;
+        this.rpm = this.idleRpm;
+        this.shiftTimer = 0;
+        this.driveForce = 0;
+
+        // Previous shift button states, so holding a button shifts only once
+        this.previousShiftUp = false;
+        this.previousShiftDown = false;
+        this.previousModeToggle = false;
+    }
+
+    // Engine torque (Nm) at full throttle for the given RPM
+    getTorqueAt(rpm) {
+        const curve = this.torqueCurve;
+        if (rpm <= curve[0][0]) return curve[0][1];
+
+        for (let i = 1; i < curve.length; i++) {
+            if (rpm <= curve[i][0]) {
+                const [rpmA, torqueA] = curve[i - 1];
+                const [rpmB, torqueB] = curve[i];
+                return torqueA + (torqueB - torqueA) * (rpm - rpmA) / (rpmB - rpmA);
+            }
+        }
+        return curve[curve.length - 1][1];
+    }
+
+    // Overall ratio between engine and wheel for a gear, negative in reverse
+    getGearRatio(gear = this.gear) {
+        if (gear === 0) return 0;
+        const ratio = gear < 0 ? -this.reverseRatio : this.gearRatios[gear - 1];
+        return ratio * this.finalDrive;
+    }
+
+    // Engine RPM that matches the wheels turning at this forward speed (m/s)
+    getWheelRpm(forwardSpeed, gear = this.gear) {
+        const wheelRevsPerMinute = forwardSpeed / (2 * Math.PI * this.wheelRadius) * 60;
+        return wheelRevsPerMinute * this.getGearRatio(gear);
+    }
+
+    get gearCount() {
+        return this.gearRatios.length;
+    }
+
+    // Short label for the HUD - R, N or the gear number
+    get gearLabel() {
+        if (this.gear < 0) return 'R';
+        if (this.gear === 0) return 'N';
+        return String(this.gear);
+    }
+
+    shiftTo(gear) {
+        const clamped = Math.max(-1, Math.min(this.gearCount, gear));
+        if (clamped === this.gear) return;
+        this.gear = clamped;
+        this.shiftTimer = this.shiftDuration;
+    }
+
+    // Read the pedals and shift buttons. Returns which pedal the driver is pressing:
+    // in automatic, holding back brakes while rolling forward and then engages reverse.
+    applyInput(input, forwardSpeed) {
+        const shiftUpPressed = input.shiftUp && !this.previousShiftUp;
+        const shiftDownPressed = input.shiftDown && !this.previousShiftDown;
+        const modeTogglePressed = input.gearMode && !this.previousModeToggle;
+        this.previousShiftUp = !!input.shiftUp;
+        this.previousShiftDown = !!input.shiftDown;
+        this.previousModeToggle = !!input.gearMode;
+
+        if (modeTogglePressed) {
+            this.automatic = !this.automatic;
+        }
+
+        // Shifting by hand always switches to the manual gearbox
+        if (shiftUpPressed || shiftDownPressed) {
+            this.automatic = false;
+            this.shiftTo(this.gear + (shiftUpPressed ? 1 : -1));
+        }
+
+        if (!this.automatic) {
+            return { accelerate: !!input.forward, brake: !!input.backward };
+        }
+
+        const stopped = Math.abs(forwardSpeed) < this.reverseSpeedThreshold;
+
+        if (input.forward) {
+            if (this.gear <= 0 && (stopped || forwardSpeed > 0)) {
+                this.shiftTo(1);
+            }
+            return { accelerate: this.gear > 0, brake: this.gear < 0 };
+        }
+
+        if (input.backward) {
+            if (this.gear >= 0 && (stopped || forwardSpeed < 0)) {
+                this.shiftTo(-1);
+            }
+            return { accelerate: this.gear < 0, brake: this.gear > 0 };
+        }
+
+        return { accelerate: false, brake: false };
+    }
+
+    // Advance the engine and gearbox by one step. Returns the drive force (N) along the
+    // truck's forward axis - negative in reverse and when engine braking.
+    update(deltaTime, forwardSpeed, throttle, wheelsOnGround) {
+        this.shiftTimer = Math.max(0, this.shiftTimer - deltaTime);
+        const shifting = this.shiftTimer > 0;
+
+        // Work out what speed the engine wants to turn at
+        const wheelRpm = Math.abs(this.getWheelRpm(forwardSpeed));
+        const freeRevRpm = this.idleRpm + throttle * (this.maxRpm - this.idleRpm);
+        let targetRpm;
+        if (this.gear === 0 || shifting || !wheelsOnGround) {
+            // Clutch open or wheels spinning freely in the air - the engine revs on its own
+            targetRpm = wheelsOnGround && this.gear !== 0 ? Math.max(wheelRpm, this.idleRpm) : freeRevRpm;
+        } else {
+            // Clutch slips below the engagement speed so the truck can pull away
+            const slipRpm = this.idleRpm + throttle * (this.clutchRpm - this.idleRpm);
+            targetRpm = Math.max(wheelRpm, slipRpm);
+        }
+        targetRpm = Math.min(targetRpm, this.maxRpm);
+        this.rpm += (targetRpm - this.rpm) * Math.min(1, deltaTime * this.rpmResponse);
+
+        if (this.automatic && this.gear > 0 && !shifting && wheelsOnGround) {
+            this.updateAutomaticShift(forwardSpeed);
+        }
+
+        // No drive in neutral, mid-shift or with the wheels off the ground
+        if (this.gear === 0 || shifting || !wheelsOnGround) {
+            this.driveForce = 0;
+            return 0;
+        }
+
+        // Full torque below the limiter; closed throttle drags the engine down instead
+        const limiter = wheelRpm >= this.maxRpm ? 0 : 1;
+        const driveTorque = throttle * this.getTorqueAt(this.rpm) * limiter * this.powerMultiplier;
+        const revFraction = Math.max(0, (wheelRpm - this.idleRpm) / (this.maxRpm - this.idleRpm));
+        const brakeTorque = (1 - throttle) * this.engineBrakeTorque * revFraction;
+
+        const ratio = this.getGearRatio();
+        const wheelForce = (driveTorque * ratio - brakeTorque * Math.abs(ratio) * Math.sign(forwardSpeed)) *
+            this.efficiency / this.wheelRadius;
+
+        this.driveForce = wheelForce;
+        return wheelForce;
+    }
+
+    updateAutomaticShift(forwardSpeed) {
+        const wheelRpm = this.getWheelRpm(forwardSpeed);
+
+        if (wheelRpm > this.upshiftRpm && this.gear < this.gearCount) {
+            this.shiftTo(this.gear + 1);
+        } else if (this.gear > 1) {
+            // Only drop a gear if the engine would not be over-revving in it
+            const lowerGearRpm = this.getWheelRpm(forwardSpeed, this.gear - 1);
+            if (wheelRpm < this.downshiftRpm && lowerGearRpm < this.upshiftRpm * 0.9) {
+                this.shiftTo(this.gear - 1);
+            }
+        }
+    }
+
+    reset() {
+        this.gear = 1;
+        this.rpm = this.idleRpm;
+        this.shiftTimer = 0;
+        this.driveForce = 0;
+    }
+}
@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { SURFACE_TYPES, DEFAULT_SURFACE } from './surfaces.js';
+
+// Particle effects driven by the truck - dust and clods thrown up by the wheels, puffs
+// of dust on landing, exhaust smoke from the stacks and sparks or splinters on impacts.
+// Everything goes through one shared ParticleSystem; rates are scaled by its density so
+// a small particle budget still shows every effect, just thinner.
+
+const SMOKE_COLOR = new THREE.Color(0x8A8A8A);
+const NITRO_SMOKE_COLOR = new THREE.Color(0xB8D8F0);
+const SPARK_COLORS = [new THREE.Color(0xFFF2B0), new THREE.Color(0xFFB347), new THREE.Color(0xFF7A1A)];
+const SPLINTER_COLORS = [new THREE.Color(0x7A5230), new THREE.Color(0x5B8C3A), new THREE.Color(0x9CC47A)];
+
+// Obstacles that throw sparks rather than splinters when hit
+const HARD_OBSTACLES = new Set(['rock', 'boundary']);
+
+// A random horizontal vector up to `amount` long in each direction (y is left at 0).
+// Reuses a shared vector - copy or add it straight away.
+const spread = new THREE.Vector3();
+function randomSpread(amount) {
+    return spread.set((Math.random() - 0.5) * 2 * amount, 0, (Math.random() - 0.5) * 2 * amount);
+}
+
+export class DrivingEffects {
+    constructor(particles, vehicle) {
+        this.particles = particles;
+        this.wheelRadius = vehicle.dimensions.wheelRadius;
+        this.wheelWidth = vehicle.dimensions.wheelWidth;
+        this.collisionRadius = vehicle.collision.radius;
+        this.maxRpm = vehicle.physics.engine.maxRpm;
+
+        // Wheel plumes
+        this.dustRate = 40; // Particles per second per wheel at full intensity on the dustiest ground
+        this.clumpRate = 25; // Clods per second per wheel at full intensity on the muddiest ground
+        this.dustStartSpeed = 2; // m/s before the wheels raise any dust
+        this.dustFullSpeed = 25; // m/s where plumes reach full size
+        this.driftDust = 0.6; // Extra intensity while sliding
+
+        // Exhaust smoke, particles per second per pipe
+        this.idleSmokeRate = 6;
+        this.revSmokeRate = 20; // Added at the rev limiter
+        this.nitroSmokeRate = 30;
+
+        this.landingPuffSpeed = 2; // Landings softer than this (m/s) raise no dust
+        this.minSparkSpeed = 3; // Impacts slower than this (m/s) throw nothing
+
+        // Fractional particles carried between frames, so low rates still emit
+        this.wheelDust = [0, 0, 0, 0];
+        this.wheelClumps = [0, 0, 0, 0];
+        this.exhaustSmoke = [];
+
+        // Scratch objects reused every frame
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.color = new THREE.Color();
+        this.forward = new THREE.Vector3();
+    }
+
+    // Emit this frame's particles. physicsResult is the frame's result from Game.updateTruck,
+    // with the impacts and landings of every physics step taken this frame.
+    update(deltaTime, physicsResult, truck) {
+        const surface = SURFACE_TYPES[physicsResult.surface] ?? DEFAULT_SURFACE;
+        truck.truckGroup.updateMatrixWorld();
+
+        this.updateWheelPlumes(deltaTime, physicsResult, truck, surface);
+        this.updateExhaust(deltaTime, physicsResult, truck);
+        (physicsResult.landings ?? []).forEach(landing => this.emitLandingPuff(landing, truck, surface));
+        (physicsResult.impacts ?? []).forEach(impact => this.emitImpactBurst(impact, physicsResult));
+    }
+
+    // How hard the wheels are churning the ground, 0 when crawling
+    getWheelIntensity(physicsResult) {
+        const speed = Math.abs(physicsResult.speed);
+        const rolling = THREE.MathUtils.clamp((speed - this.dustStartSpeed) / (this.dustFullSpeed - this.dustStartSpeed), 0, 1.5);
+        return rolling > 0 && physicsResult.drifting ? rolling + this.driftDust : rolling;
+    }
+
+    updateWheelPlumes(deltaTime, physicsResult, truck, surface) {
+        const intensity = this.getWheelIntensity(physicsResult);
+        const density = this.particles.density;
+        this.forward.set(Math.sin(physicsResult.rotation), 0, Math.cos(physicsResult.rotation));
+        const truckVelocity = physicsResult.velocity;
+
+        truck.wheels.forEach((wheel, index) => {
+            const contact = physicsResult.wheels?.[index]?.contact;
+            if (!contact || intensity <= 0) {
+                this.wheelDust[index] = 0;
+                this.wheelClumps[index] = 0;
+                return;
+            }
+
+            wheel.getWorldPosition(this.position);
+            const groundY = this.position.y - this.wheelRadius;
+
+            // Dust hangs in the air where the truck left it and billows slowly upward
+            this.wheelDust[index] += surface.dust * intensity * this.dustRate * density * deltaTime;
+            while (this.wheelDust[index] >= 1) {
+                this.wheelDust[index] -= 1;
+                this.emitAtContact(wheel, groundY);
+                this.velocity.copy(truckVelocity).multiplyScalar(0.15).add(randomSpread(1.5));
+                this.velocity.y = 1 + Math.random() * 1.5;
+                this.particles.emit(this.position, this.velocity, {
+                    color: this.color.setHex(surface.color).offsetHSL(0, -0.1, 0.1 + Math.random() * 0.1),
+                    life: 1.2 + Math.random(),
+                    size: this.wheelRadius * 0.8,
+                    growth: 3,
+                    opacity: 0.45,
+                    gravity: -0.05,
+                    drag: 1.2
+                });
+            }
+
+            // Clods are flung up off the back of the tire and fall back to the ground
+            this.wheelClumps[index] += surface.clumps * intensity * this.clumpRate * density * deltaTime;
+            while (this.wheelClumps[index] >= 1) {
+                this.wheelClumps[index] -= 1;
+                this.emitAtContact(wheel, groundY);
+                this.velocity.copy(truckVelocity).addScaledVector(this.forward, -Math.abs(physicsResult.speed) * 0.3);
+                this.velocity.add(randomSpread(2));
+                this.velocity.y = 3 + Math.random() * 3;
+                this.particles.emit(this.position, this.velocity, {
+                    color: this.color.setHex(surface.color).offsetHSL(0, 0, -0.15 - Math.random() * 0.1),
+                    life: 1 + Math.random() * 0.5,
+                    size: 0.3 + Math.random() * 0.2,
+                    opacity: 1,
+                    gravity: 1,
+                    drag: 0.2,
+                    floor: groundY
+                });
+            }
+        });
+    }
+
+    // Put this.position somewhere across the bottom of a tire
+    emitAtContact(wheel, groundY) {
+        wheel.getWorldPosition(this.position);
+        this.position.x += (Math.random() - 0.5) * this.wheelWidth;
+        this.position.z += (Math.random() - 0.5) * this.wheelWidth;
+        this.position.y = groundY + 0.2;
+    }
+
+    updateExhaust(deltaTime, physicsResult, truck) {
+        const outlets = truck.getExhaustOutlets();
+        const revs = THREE.MathUtils.clamp(physicsResult.rpm / this.maxRpm, 0, 1);
+        const boost = physicsResult.nitroBoost ?? 0;
+        const rate = (this.idleSmokeRate + revs * this.revSmokeRate + boost * this.nitroSmokeRate) * this.particles.density;
+
+        outlets.forEach((outlet, index) => {
+            this.exhaustSmoke[index] = (this.exhaustSmoke[index] ?? 0) + rate * deltaTime;
+            while (this.exhaustSmoke[index] >= 1) {
+                this.exhaustSmoke[index] -= 1;
+                outlet.getWorldPosition(this.position);
+                this.velocity.copy(randomSpread(0.4));
+                this.velocity.y = 1.5 + Math.random() + revs;
+                this.particles.emit(this.position, this.velocity, {
+                    color: this.color.copy(SMOKE_COLOR).lerp(NITRO_SMOKE_COLOR, boost),
+                    life: 1.2 + Math.random() * 0.6,
+                    size: 0.4,
+                    growth: 4,
+                    opacity: 0.3 + revs * 0.15,
+                    gravity: -0.1,
+                    drag: 0.8
+                });
+            }
+        });
+    }
+
+    // A ring of dust blown out from under every wheel, bigger for harder landings
+    emitLandingPuff(landing, truck, surface) {
+        if (landing.impactSpeed < this.landingPuffSpeed) return;
+
+        const perWheel = Math.round(Math.min(15, landing.impactSpeed * 1.5) * Math.max(0.3, surface.dust) * 4 * this.particles.density);
+        truck.wheels.forEach(wheel => {
+            for (let i = 0; i < perWheel; i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const speed = 3 + Math.random() * 3;
+                this.emitAtContact(wheel, wheel.getWorldPosition(this.position).y - this.wheelRadius);
+                this.velocity.set(Math.cos(angle) * speed, 0.5 + Math.random(), Math.sin(angle) * speed);
+                this.particles.emit(this.position, this.velocity, {
+                    color: this.color.setHex(surface.color).offsetHSL(0, -0.15, 0.15),
+                    life: 1 + Math.random() * 0.8,
+                    size: this.wheelRadius,
+                    growth: 2.5,
+                    opacity: 0.5,
+                    gravity: -0.02,
+                    drag: 2
+                });
+            }
+        });
+    }
+
+    // Sparks off rocks and walls, splinters and leaves off trees, thrown back toward the truck
+    emitImpactBurst(impact, physicsResult) {
+        if (impact.speed < this.minSparkSpeed) return;
+
+        const hard = HARD_OBSTACLES.has(impact.kind);
+        const palette = hard ? SPARK_COLORS : SPLINTER_COLORS;
+        const count = Math.round(Math.min(40, impact.speed * 3) * this.particles.density * 2);
+
+        // Where the truck's side met the obstacle
+        const contact = physicsResult.position.clone().addScaledVector(impact.normal, -this.collisionRadius);
+        for (let i = 0; i < count; i++) {
+            this.velocity.copy(impact.normal).multiplyScalar(3 + Math.random() * 5).add(randomSpread(4));
+            this.velocity.y = 2 + Math.random() * 4;
+            this.particles.emit(contact, this.velocity, {
+                color: palette[Math.floor(Math.random() * palette.length)],
+                life: hard ? 0.3 + Math.random() * 0.4 : 0.8 + Math.random() * 0.6,
+                size: hard ? 0.15 : 0.25,
+                opacity: 1,
+                gravity: 1,
+                drag: hard ? 0.5 : 1.5
+            });
+        }
+    }
+}
+
@@ -1,13 +1,40 @@
 import * as THREE from 'three';
-import { TruckPhysics } from './physics.js';
+import { TruckPhysics, interpolatePhysicsResult } from './physics.js';
 import { Truck } from './truck.js';
 import { Terrain } from './terrain.js';
 import { InputHandler } from './input.js';
 import { GameCamera } from './camera.js';
 import { DebugDisplay } from './debug.js';
+import { normalizeSeed, createRandom } from './noise.js';
+import { resolveVehicleDefinition } from './vehicles.js';
+import { createBoundary } from './boundaries.js';
+import { loadLoadout } from './loadout.js';
+import { Garage } from './garage.js';
+import { ParticleSystem } from './particles.js';
+import { DrivingEffects } from './driving-effects.js';
+import { TireTracks } from './tire-tracks.js';
+import { TimeOfDay } from './time-of-day.js';
+import { SunShadow } from './sun-shadow.js';
+import { Weather, overcastColor } from './weather.js';
+import { Precipitation } from './precipitation.js';
+import { PostProcessing, POST_EFFECTS } from './post-processing.js';
 
 export class Game {
-    constructor() {
+    constructor(options = {}) {
+        // World seed - the same seed always generates the same hills and forests
+        this.seed = normalizeSeed(options.seed ?? Math.floor(Math.random() * 0xFFFFFFFF));
+        
+        // Which truck to drive - a preset id or a full vehicle definition
+        this.vehicle = resolveVehicleDefinition(options.vehicle);
+        
+        // What happens at the world edge - 'open' (endless), 'walls', 'wrap' or 'pull'.
+        // The old endless: false option still means a walled square.
+        this.boundary = createBoundary(options.boundary ?? (options.endless === false ? 'walls' : undefined));
+        this.endless = !this.boundary.finite;
+        
+        // Recenter the scene on the truck once it drives this far from the origin
+        this.originShiftDistance = 500;
+        
         // Set up basic scene
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -27,6 +54,15 @@ export class Game {
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
+        // Post effects for the painted look (see post-processing.js). options.postQuality is
+        // 'off', 'low', 'medium' or 'high'; options.postEffects picks effects by name instead
+        // of the preset's; options.colorGrade is 'warm', 'soft' or 'neutral'.
+        this.post = new PostProcessing(this.renderer, this.scene, this.camera, {
+            quality: options.postQuality,
+            effects: options.postEffects,
+            grade: options.colorGrade
+        });
+        
         // Set sky color - enhanced to a more Ghibli-inspired pastel blue
         const skyColor = new THREE.Color(0xAFD8F0); // Softer pastel blue
         this.renderer.setClearColor(skyColor);
@@ -37,8 +73,16 @@ export class Game {
         this.scene.fog = new THREE.FogExp2(horizonColor, 0.004); // Slightly reduced fog density for dreamy distance
         
         // Add ambient light - increased intensity for better illumination
-        const ambientLight = new THREE.AmbientLight(0xE8F1FF, 0.6); // Increased from 0.5 to 0.6
-        this.scene.add(ambientLight);
+        this.ambientLight = new THREE.AmbientLight(0xE8F1FF, 0.6); // Increased from 0.5 to 0.6
+        this.scene.add(this.ambientLight);
+        
+        // Clock for the day/night cycle - sun, sky, fog and lights follow it (see time-of-day.js).
+        // Starts at options.timeOfDay, an hour from 0 to 24.
+        this.timeOfDay = new TimeOfDay({ hour: options.timeOfDay });
+        
+        // Weather - options.weather picks the type ('clear', 'overcast', 'rain', 'snow' or
+        // 'fog'), options.weatherCycle moves on to the next type every few minutes
+        this.weather = new Weather({ type: options.weather, cycle: options.weatherCycle });
         
         // Time tracking
         this.lastUpdateTime = 0;
@@ -58,32 +102,71 @@ export class Game {
         this.setupLights();
         
         // Create terrain (needs scene access for adding mesh)
-        this.terrain = new Terrain(this.scene);
+        this.terrain = new Terrain(this.scene, { seed: this.seed, boundary: this.boundary });
+        
+        // Create physics simulation - it shares the boundary with the terrain
+        this.physics = new TruckPhysics({
+            vehicle: this.vehicle,
+            boundary: this.boundary
+        });
+        
+        // Create truck visual, painted and fitted out as saved in the garage
+        this.loadout = options.loadout ?? loadLoadout();
+        this.truck = new Truck(this.vehicle, this.loadout);
+        this.garage = new Garage(this.vehicle, this.loadout, {
+            onApply: loadout => this.applyLoadout(loadout)
+        });
+        
+        // Dust, mud, smoke and sparks - one pooled particle system, capped by the budget
+        // ('low', 'medium', 'high' or a number of particles)
+        this.particles = new ParticleSystem({ budget: options.particleBudget });
+        this.particles.setViewport(this.renderer.getDrawingBufferSize(new THREE.Vector2()).y, this.camera.fov);
+        this.scene.add(this.particles.points);
+        this.effects = new DrivingEffects(this.particles, this.vehicle);
         
-        // Create physics simulation
-        this.physics = new TruckPhysics();
+        // Rain and snow around the camera, thinned out with the particle budget
+        this.precipitation = new Precipitation({ density: this.particles.density });
+        this.scene.add(this.precipitation.object);
         
-        // Create truck visual
-        this.truck = new Truck();
+        // Tracks behind the wheels, and ruts in soft ground that the physics drives over
+        this.tracks = new TireTracks(this.terrain, this.vehicle);
         
         // Create camera controller
         this.camera.position.set(0, 10, -15);
         this.cameraController = new GameCamera(this.camera);
         
+        // Fixed-step simulation - physics always advances in equal steps so handling
+        // is identical at any frame rate; rendering interpolates between the last two
+        this.fixedTimeStep = 1 / 60;
+        this.maxPhysicsStepsPerFrame = 5; // Drop time rather than spiral after long stalls
+        this.physicsAccumulator = this.fixedTimeStep; // Guarantees a first step on frame one
+        this.previousPhysicsResult = null;
+        this.currentPhysicsResult = null;
+        
         // Input state
         this.currentInputState = null;
+        
+        // Most recent collision reported by physics
+        this.lastImpact = null;
+        
+        // Jump scoring and rollover recovery
+        this.score = 0;
+        this.lastLanding = null;
+        this.rolledOverTime = 0;
+        this.autoRightDelay = 2; // Seconds after a rollover before the truck is put back upright
     }
     
-    initialize() {
+    async initialize() {
         try {
             // Initialize debug display
             this.debug.initialize();
+            this.garage.initialize();
             
             // Build terrain
             this.terrain.build();
             
-            // Build truck and add to scene
-            const truckModel = this.truck.build();
+            // Build truck and add to scene - from its glTF model if it has one
+            const truckModel = await this.truck.load();
             this.scene.add(truckModel);
             
             // Set up camera
@@ -100,9 +183,46 @@ export class Game {
             
             // Reset key - press 'R' to reset truck position
             window.addEventListener('keydown', (e) => {
+                // Garage key - press 'G' to open or close the garage (Escape also closes it)
+                if (e.code === 'KeyG' || (e.code === 'Escape' && this.garage.isOpen)) {
+                    this.garage.toggle();
+                }
+                if (this.garage.isOpen) return;
+                
+                // Time keys - 'T' steps through the clock speeds, '[' and ']' jump an hour
+                if (e.code === 'KeyT') {
+                    const speed = this.timeOfDay.cycleSpeed();
+                    this.debug.showMessage(speed === 0 ? 'Time stopped' : `Time speed: ${speed}x`);
+                }
+                if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+                    this.timeOfDay.advance(e.code === 'BracketLeft' ? -1 : 1);
+                    this.debug.showMessage(`Time: ${this.timeOfDay.formatTime()}`);
+                }
+                
+                // Post effect keys - 'P' steps through the quality presets, '1' to '5'
+                // switch single effects on and off
+                if (e.code === 'KeyP') {
+                    this.debug.showMessage(`Post effects: ${this.post.cycleQuality()}`);
+                }
+                const effect = POST_EFFECTS[Number(e.code.replace('Digit', '')) - 1];
+                if (e.code.startsWith('Digit') && effect) {
+                    this.debug.showMessage(`${effect}: ${this.post.toggleEffect(effect) ? 'on' : 'off'}`);
+                }
+                
+                // Weather key - press 'C' to change to the next weather
+                if (e.code === 'KeyC') {
+                    this.weather.next();
+                    this.debug.showMessage(`Weather: ${this.weather.label}`);
+                }
+                
                 if (e.code === 'KeyR') {
                     this.resetTruck();
                 }
+                
+                // Repair key - press 'F' to fix all damage
+                if (e.code === 'KeyF') {
+                    this.repairTruck();
+                }
             });
             
             // Show controls help
@@ -146,12 +266,45 @@ export class Game {
                     void main() {
                         float h = normalize(vWorldPosition + offset).y;
                         gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(h, exponent), 0.0)), 1.0);
+                        #include <colorspace_fragment>
                     }
                 `,
                 side: THREE.BackSide
             })
         );
         this.scene.add(skyDome);
+        this.skyDome = skyDome;
+        
+        // Stars just inside the dome, faded in at night
+        this.stars = this.createStars(2000, 850);
+        skyDome.add(this.stars);
+    }
+    
+    // Points scattered over the upper part of a sphere, the same sky for the same world seed
+    createStars(count, radius) {
+        const random = createRandom(this.seed);
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            // Uniform over the sphere, but only down to just below the horizon
+            const y = -0.1 + random() * 1.1;
+            const angle = random() * Math.PI * 2;
+            const ring = Math.sqrt(1 - y * y);
+            positions.set([Math.cos(angle) * ring * radius, y * radius, Math.sin(angle) * ring * radius], i * 3);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const stars = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 2,
+            sizeAttenuation: false, // Pixels, however far away the dome is
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            fog: false
+        }));
+        stars.visible = false;
+        return stars;
     }
     
     setupLights() {
@@ -161,26 +314,58 @@ export class Game {
         sunLight.castShadow = true;
         sunLight.shadow.mapSize.width = 2048;
         sunLight.shadow.mapSize.height = 2048;
-        sunLight.shadow.camera.far = 400; // Increased from 200 to support larger terrain
         sunLight.shadow.bias = -0.0001;
         
-        // Set shadow camera dimensions - increased significantly for better coverage on flat terrain
-        const shadowSize = 200; // Increased from 120 for wider shadow area
-        sunLight.shadow.camera.left = -shadowSize;
-        sunLight.shadow.camera.right = shadowSize;
-        sunLight.shadow.camera.top = shadowSize;
-        sunLight.shadow.camera.bottom = -shadowSize;
+        // The shadow box follows the truck (see sun-shadow.js) - 300 m across, so about
+        // 15 cm per shadow texel
+        this.sunShadow = new SunShadow(sunLight, { size: 150, distance: 200 });
         
-        this.scene.add(sunLight);
+        this.scene.add(sunLight, sunLight.target);
+        this.sunLight = sunLight;
         
         // Fill light to soften shadows - more pastel blue for contrast
         const fillLight = new THREE.DirectionalLight(0xCCE5FF, 0.7); // Increased intensity for flat terrain
         fillLight.position.set(-50, 30, -50);
         this.scene.add(fillLight);
+        this.fillLight = fillLight;
         
         // Add a subtle ground bounce light with warmer tones
         const bounceLight = new THREE.HemisphereLight(0xFFF0D8, 0x87ABC8, 0.6); // Increased intensity for flat terrain
         this.scene.add(bounceLight);
+        this.bounceLight = bounceLight;
+    }
+    
+    // Move the sun and recolor the sky, fog and lights for the time of day and the
+    // weather, and switch the headlights on from dusk till dawn (or in thick fog)
+    updateSky(deltaTime) {
+        this.timeOfDay.update(deltaTime);
+        const state = this.timeOfDay.getState();
+        const weather = this.weather.getState();
+        
+        // Sunlight by day, moonlight by night, from the same shadow-casting light
+        // aimed at the truck. Clouds dim it.
+        this.sunShadow.update(this.truck.truckGroup.position, state.lightDirection);
+        this.sunLight.color.copy(state.light);
+        this.sunLight.intensity = state.lightIntensity * weather.sunlight;
+        
+        this.ambientLight.intensity = state.ambient;
+        this.bounceLight.intensity = state.hemisphere;
+        this.fillLight.intensity = state.fill;
+        
+        const sky = this.skyDome.material.uniforms;
+        overcastColor(sky.topColor.value.copy(state.skyTop), weather.cloud);
+        overcastColor(sky.bottomColor.value.copy(state.skyBottom), weather.cloud);
+        this.scene.background.copy(sky.topColor.value).lerp(sky.bottomColor.value, 0.5);
+        overcastColor(this.scene.fog.color.copy(state.fog), weather.cloud);
+        this.scene.fog.density = weather.fogDensity;
+        
+        // Clouds hide the stars
+        const stars = state.stars * (1 - weather.cloud);
+        this.stars.material.opacity = stars;
+        this.stars.visible = stars > 0.01;
+        
+        this.terrain.setGroundWeather(weather.wetness, weather.snowCover);
+        this.truck.setHeadlights(state.headlights || weather.fogDensity > 0.02);
     }
     
     handleResize() {
@@ -190,14 +375,61 @@ export class Game {
         
         // Update renderer size
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.post.setSize(window.innerWidth, window.innerHeight);
+        this.particles.setViewport(this.renderer.getDrawingBufferSize(new THREE.Vector2()).y, this.camera.fov);
+    }
+    
+    // Keep the truck near the scene origin so far-away coordinates stay precise
+    updateWorldOrigin() {
+        if (!this.endless) return;
+        
+        const position = this.physics.position;
+        if (Math.abs(position.x) < this.originShiftDistance && Math.abs(position.z) < this.originShiftDistance) {
+            return;
+        }
+        
+        // Shift in whole ground chunks so the grid stays aligned
+        const chunkSize = this.terrain.groundChunkSize;
+        const dx = Math.round(position.x / chunkSize) * chunkSize;
+        const dz = Math.round(position.z / chunkSize) * chunkSize;
+        this.shiftOrigin(dx, dz);
+    }
+    
+    shiftOrigin(dx, dz) {
+        if (dx === 0 && dz === 0) return;
+        
+        this.terrain.shiftOrigin(dx, dz);
+        this.physics.shiftOrigin(dx, dz);
+        this.truck.truckGroup.position.x -= dx;
+        this.truck.truckGroup.position.z -= dz;
+        this.truck.shiftOrigin(dx, dz);
+        this.particles.shiftOrigin(dx, dz);
+        this.cameraController.shiftOrigin(dx, dz);
+        
+        // Keep the stored states in the same coordinates so interpolation doesn't jump
+        for (const result of [this.previousPhysicsResult, this.currentPhysicsResult]) {
+            if (result) {
+                result.position.x -= dx;
+                result.position.z -= dz;
+            }
+        }
     }
     
     resetTruck() {
+        // Move the scene origin back to the spawn point
+        this.shiftOrigin(-this.terrain.originX, -this.terrain.originZ);
+        
         // Reset physics
         const resetPosition = this.physics.reset();
         
+        // Start interpolation fresh from the reset state
+        this.previousPhysicsResult = null;
+        this.currentPhysicsResult = null;
+        this.physicsAccumulator = this.fixedTimeStep;
+        
         // Reset truck visuals
         this.truck.reset(resetPosition);
+        this.particles.clear();
         
         // Reset camera
         this.cameraController.reset();
@@ -206,31 +438,171 @@ export class Game {
         this.debug.showMessage('Truck position reset!');
     }
     
-    updateTruck(deltaTime) {
-        // Apply user input to physics with current deltaTime
+    // Swap in a truck built with a new garage loadout, exactly where the old one was
+    async applyLoadout(loadout) {
+        this.loadout = loadout;
+        
+        const truck = new Truck(this.vehicle, loadout);
+        const model = await truck.load();
+        const oldModel = this.truck.truckGroup;
+        model.position.copy(oldModel.position);
+        model.quaternion.copy(oldModel.quaternion);
+        truck.updateDamage(this.physics.damage.getState(), false); // Broken parts stay broken
+        truck.copyDents(this.truck); // and dents stay dented
+        
+        this.truck.dispose();
+        this.truck = truck;
+        this.scene.add(model);
+        this.cameraController.setTarget(model);
+    }
+    
+    repairTruck() {
+        this.physics.repair();
+        this.truck.repair();
+        this.debug.showMessage('Truck repaired!');
+    }
+    
+    // Advance the simulation by exactly one fixed step
+    stepPhysics(stepTime) {
+        // Apply user input to physics with the fixed step
         if (this.currentInputState) {
-            this.physics.applyUserInput(this.currentInputState, deltaTime);
+            this.physics.applyUserInput(this.currentInputState, stepTime);
         }
         
         // Update physics with terrain data
         const physicsResult = this.physics.update(
-            deltaTime,
+            stepTime,
             (x, z) => this.terrain.getHeightAt(x, z),
-            (x, z) => this.terrain.getRoughnessAt(x, z)
+            (x, z) => this.terrain.getSurfaceAt(x, z),
+            (x, z, radius) => this.terrain.getCollidersNear(x, z, radius)
         );
         
-        // Update truck visuals with physics result
+        this.previousPhysicsResult = this.currentPhysicsResult;
+        this.currentPhysicsResult = physicsResult;
+        return physicsResult;
+    }
+    
+    updateTruck(deltaTime) {
+        // Recover from rollovers before stepping so interpolation restarts cleanly
+        this.updateRollover(deltaTime);
+        
+        // Run as many fixed steps as the elapsed time allows
+        const impacts = [];
+        const landings = [];
+        const drifts = [];
+        const damageEvents = [];
+        let steps = 0;
+        this.physicsAccumulator += deltaTime;
+        while (this.physicsAccumulator >= this.fixedTimeStep && steps < this.maxPhysicsStepsPerFrame) {
+            const stepResult = this.stepPhysics(this.fixedTimeStep);
+            impacts.push(...stepResult.impacts);
+            if (stepResult.landing) {
+                landings.push(stepResult.landing);
+            }
+            if (stepResult.drift) {
+                drifts.push(stepResult.drift);
+            }
+            damageEvents.push(...stepResult.damageEvents);
+            this.physicsAccumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        if (steps === this.maxPhysicsStepsPerFrame) {
+            this.physicsAccumulator = Math.min(this.physicsAccumulator, this.fixedTimeStep);
+        }
+        
+        // Remember the most recent obstacle hit for the debug display
+        if (impacts.length) {
+            this.lastImpact = impacts[impacts.length - 1];
+        }
+        
+        // Score any jumps and drifts that ended this frame
+        landings.forEach(landing => this.handleLanding(landing));
+        drifts.forEach(drift => this.handleDrift(drift));
+        
+        // Blend the last two physics states by how far we are into the next step
+        const alpha = this.physicsAccumulator / this.fixedTimeStep;
+        const physicsResult = {
+            ...interpolatePhysicsResult(this.previousPhysicsResult, this.currentPhysicsResult, alpha),
+            impacts,
+            landings,
+            damageEvents
+        };
+        
+        // Update truck visuals with the interpolated state
         this.truck.updateVisuals(physicsResult, deltaTime);
         
         // Return physics data for camera and debug
         return physicsResult;
     }
     
+    handleLanding(landing) {
+        this.lastLanding = landing;
+        
+        const tricks = [];
+        if (landing.flips > 0) tricks.push(`${landing.flips} flip${landing.flips > 1 ? 's' : ''}`);
+        if (landing.barrelRolls > 0) tricks.push(`${landing.barrelRolls} barrel roll${landing.barrelRolls > 1 ? 's' : ''}`);
+        const trickText = tricks.length ? ` + ${tricks.join(' + ')}` : '';
+        
+        if (landing.quality === 'crash') {
+            this.debug.showMessage(`Crash landing! ${landing.airTime.toFixed(1)}s air${trickText}`);
+            return;
+        }
+        
+        this.addScore(landing.score);
+        
+        const label = landing.quality === 'clean' ? 'Clean landing' : 'Rough landing';
+        this.debug.showMessage(`${label}: ${landing.airTime.toFixed(1)}s air${trickText} +${landing.score}`);
+    }
+    
+    handleDrift(drift) {
+        this.addScore(drift.score);
+        const angle = (drift.averageAngle * 180 / Math.PI).toFixed(0);
+        this.debug.showMessage(`Drift: ${drift.duration.toFixed(1)}s at ${angle}° +${drift.score}`);
+    }
+    
+    addScore(points) {
+        this.score += points;
+        const scoreElement = document.getElementById('score-value');
+        if (scoreElement) {
+            scoreElement.textContent = this.score;
+        }
+    }
+    
+    // Put the truck back on its wheels once it has been stuck on its side or roof for a while
+    updateRollover(deltaTime) {
+        if (!this.physics.rolledOver) {
+            this.rolledOverTime = 0;
+            return;
+        }
+        
+        if (this.rolledOverTime === 0) {
+            this.debug.showMessage('Rolled over! Righting the truck...');
+        }
+        this.rolledOverTime += deltaTime;
+        
+        if (this.rolledOverTime >= this.autoRightDelay) {
+            this.physics.rightTruck();
+            this.rolledOverTime = 0;
+            
+            // Snap to the upright truck rather than blending through the ground
+            this.previousPhysicsResult = null;
+            this.currentPhysicsResult = null;
+            this.physicsAccumulator = this.fixedTimeStep;
+        }
+    }
+    
     gameLoop() {
         const updateLoop = (timestamp) => {
             // Convert to seconds
             const currentTime = timestamp / 1000;
             
+            // The game waits while the garage is open
+            if (this.garage.isOpen) {
+                this.lastUpdateTime = currentTime;
+                requestAnimationFrame(updateLoop);
+                return;
+            }
+            
             // Initialize time or calculate delta
             if (!this.lastUpdateTime) {
                 this.lastUpdateTime = currentTime;
@@ -252,14 +624,36 @@ export class Game {
                 this.timeAccumulator = 0;
             }
             
+            // Recenter the world if the truck has driven far from the origin
+            this.updateWorldOrigin();
+            
+            // Weather changes how much grip the tires have
+            this.weather.update(deltaTime);
+            const weather = this.weather.getState();
+            this.physics.gripMultiplier = weather.grip;
+            
             // Update truck physics and visuals
             const physicsResult = this.updateTruck(deltaTime);
             
+            // Dust, smoke and sparks from this frame's driving
+            this.effects.update(deltaTime, physicsResult, this.truck);
+            this.particles.update(deltaTime);
+            this.tracks.update(deltaTime, physicsResult, this.truck);
+            
+            // Sun, sky and headlights for the time of day and weather
+            this.updateSky(deltaTime);
+            
             // Update camera
             this.cameraController.update(deltaTime, physicsResult.speed);
             
-            // Update terrain decorations
-            this.terrain.updateDecorations(this.truck.truckGroup.position);
+            // Rain and snow fall around the camera
+            this.precipitation.update(deltaTime, this.camera.position, weather.rain, weather.snow);
+            
+            // Stream ground and decorations around the truck
+            this.terrain.update(this.truck.truckGroup.position);
+            
+            // Keep the sky dome centered on the camera
+            this.skyDome.position.copy(this.camera.position);
             
             // Update debug display
             const terrainHeight = this.terrain.getHeightAt(
@@ -267,19 +661,44 @@ export class Game {
                 physicsResult.position.z
             );
             
+            // Show the absolute world position rather than the shifted scene position
+            // (folded back into the world square when the world wraps around)
+            const worldPosition = physicsResult.position.clone();
+            worldPosition.x += this.terrain.originX;
+            worldPosition.z += this.terrain.originZ;
+            
             this.debug.update({
-                position: physicsResult.position,
+                position: this.boundary.wrapPosition(worldPosition),
+                boundary: this.boundary,
                 rotation: physicsResult.rotation,
                 speed: physicsResult.speed,
+                rpm: physicsResult.rpm,
+                gear: physicsResult.gearLabel,
+                automatic: physicsResult.automatic,
                 controls: this.input.getInputState(),
                 fps: this.fps,
+                particles: this.particles,
+                timeOfDay: this.timeOfDay,
+                weather: this.weather,
+                post: this.post,
                 terrainHeight: terrainHeight,
                 groundContact: this.physics.groundContact,
-                nitroActive: this.physics.nitroActive
+                surface: physicsResult.surface,
+                seed: this.seed,
+                vehicleName: this.vehicle.name,
+                lastImpact: this.lastImpact,
+                airTime: physicsResult.airborne ? physicsResult.airTime : 0,
+                lastLanding: this.lastLanding,
+                damage: physicsResult.damage,
+                driftAngle: physicsResult.drifting ? physicsResult.driftAngle : null,
+                driftTime: physicsResult.driftTime,
+                nitroActive: this.physics.nitroActive,
+                nitroLevel: physicsResult.nitroLevel,
+                nitroCooldown: physicsResult.nitroCooldown
             });
             
             // Render scene
-            this.renderer.render(this.scene, this.camera);
+            this.post.render(deltaTime);
             
             // Request next frame
             requestAnimationFrame(updateLoop);
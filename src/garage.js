@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+import { Truck } from './truck.js';
+import { getRestingWheelY } from './vehicles.js';
+import { LOADOUT_OPTIONS, normalizeLoadout, resolveAppearance, saveLoadout, sameLoadout } from './loadout.js';
+
+// In-game garage - an overlay with a slowly turning preview of the truck and controls
+// for its paint, wheels, tires, decals and optional parts. Every choice is saved to
+// localStorage straight away; onApply(loadout) runs when the garage closes so the game
+// can rebuild the truck it is driving.
+export class Garage {
+    constructor(vehicle, loadout, options = {}) {
+        this.vehicle = vehicle;
+        this.loadout = normalizeLoadout(loadout);
+        this.onApply = options.onApply ?? (() => {});
+        this.isOpen = false;
+
+        // DOM
+        this.overlay = null;
+        this.controls = null;
+        this.previewCanvas = null;
+
+        // Preview scene, created the first time the garage opens
+        this.renderer = null;
+        this.scene = null;
+        this.camera = null;
+        this.previewTruck = null;
+        this.pendingPreview = null; // Truck still loading for the preview
+        this.turnSpeed = 0.5; // Preview rotation, radians per second
+        this.lastFrameTime = 0;
+        this.previewFrame = null; // requestAnimationFrame id of the running preview loop
+        this.openedLoadout = this.loadout; // Loadout when the garage was opened
+    }
+
+    initialize() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'garage';
+        this.overlay.style.display = 'none';
+
+        const panel = document.createElement('div');
+        panel.className = 'garage-panel';
+        panel.innerHTML = '<h2>Garage</h2>';
+        this.overlay.appendChild(panel);
+
+        this.previewCanvas = document.createElement('canvas');
+        this.previewCanvas.className = 'garage-preview';
+        panel.appendChild(this.previewCanvas);
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'garage-controls';
+        panel.appendChild(this.controls);
+        this.buildControls();
+
+        const buttons = document.createElement('div');
+        buttons.className = 'garage-buttons';
+        buttons.appendChild(this.createButton('Reset', () => this.setLoadout(normalizeLoadout())));
+        buttons.appendChild(this.createButton('Drive! (G)', () => this.close()));
+        panel.appendChild(buttons);
+
+        document.body.appendChild(this.overlay);
+
+        // Open button next to the debug toggle
+        const garageButton = document.createElement('button');
+        garageButton.innerText = 'Garage';
+        garageButton.style.position = 'absolute';
+        garageButton.style.top = '10px';
+        garageButton.style.right = '120px';
+        garageButton.style.zIndex = '1001';
+        garageButton.addEventListener('click', () => this.toggle());
+        document.body.appendChild(garageButton);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.innerText = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // One labelled row of controls
+    addSection(title) {
+        const section = document.createElement('div');
+        section.className = 'garage-section';
+        const heading = document.createElement('div');
+        heading.className = 'garage-section-title';
+        heading.innerText = title;
+        section.appendChild(heading);
+        this.controls.appendChild(section);
+        return section;
+    }
+
+    buildControls() {
+        this.controls.innerHTML = '';
+        const appearance = resolveAppearance(this.vehicle, this.loadout);
+
+        this.addColorChoices('Body paint', 'bodyColor', LOADOUT_OPTIONS.bodyColors, this.vehicle.colors.body);
+        this.addColorChoices('Accents', 'accentColor', LOADOUT_OPTIONS.accentColors, this.vehicle.colors.rollCage);
+        this.addOptionChoices('Wheels', 'wheelStyle', LOADOUT_OPTIONS.wheelStyles, appearance.wheelStyle);
+        this.addOptionChoices('Tires', 'tireStyle', LOADOUT_OPTIONS.tireStyles, appearance.tireStyle);
+        this.addOptionChoices('Decals', 'decals', LOADOUT_OPTIONS.decalSets, appearance.decals);
+
+        // Optional parts, ticked by default when the vehicle comes with them
+        const partsSection = this.addSection('Parts');
+        Object.entries(LOADOUT_OPTIONS.parts).forEach(([part, label]) => {
+            const checkboxLabel = document.createElement('label');
+            checkboxLabel.className = 'garage-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !!appearance.parts[part];
+            checkbox.addEventListener('change', () => {
+                this.setLoadout({ ...this.loadout, parts: { ...this.loadout.parts, [part]: checkbox.checked } });
+            });
+            checkboxLabel.appendChild(checkbox);
+            checkboxLabel.appendChild(document.createTextNode(` ${label}`));
+            partsSection.appendChild(checkboxLabel);
+        });
+    }
+
+    // Swatches for a palette, the vehicle's own color and a picker for anything else
+    addColorChoices(title, key, palette, defaultColor) {
+        const section = this.addSection(title);
+        const current = this.loadout[key];
+
+        const addSwatch = (color, value, tooltip) => {
+            const swatch = document.createElement('button');
+            swatch.className = 'garage-swatch' + (value === current ? ' selected' : '');
+            swatch.style.backgroundColor = color;
+            swatch.title = tooltip;
+            swatch.addEventListener('click', () => this.setLoadout({ ...this.loadout, [key]: value }));
+            section.appendChild(swatch);
+        };
+
+        addSwatch(defaultColor, null, 'Vehicle default');
+        palette.forEach(color => addSwatch(color, color, color));
+
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.className = 'garage-picker';
+        picker.value = (current ?? defaultColor).toLowerCase();
+        picker.title = 'Custom color';
+        picker.addEventListener('change', () => this.setLoadout({ ...this.loadout, [key]: picker.value }));
+        section.appendChild(picker);
+    }
+
+    addOptionChoices(title, key, options, current) {
+        const section = this.addSection(title);
+        Object.entries(options).forEach(([value, label]) => {
+            const button = document.createElement('button');
+            button.className = 'garage-option' + (value === current ? ' selected' : '');
+            button.innerText = label;
+            button.addEventListener('click', () => this.setLoadout({ ...this.loadout, [key]: value }));
+            section.appendChild(button);
+        });
+    }
+
+    // Take a new loadout: save it, show it on the preview and update the controls
+    setLoadout(loadout) {
+        this.loadout = normalizeLoadout(loadout);
+        saveLoadout(this.loadout);
+        this.buildControls();
+        if (this.isOpen) {
+            this.rebuildPreview();
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen || !this.overlay) return;
+        this.isOpen = true;
+        this.overlay.style.display = 'flex';
+
+        if (!this.renderer) {
+            this.createPreviewScene();
+        }
+        this.rebuildPreview();
+
+        // Only a changed loadout rebuilds the game's truck when the garage closes
+        this.openedLoadout = this.loadout;
+
+        this.lastFrameTime = 0;
+        this.previewFrame = requestAnimationFrame(timestamp => this.renderPreview(timestamp));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.style.display = 'none';
+
+        // Stop the preview loop now, so reopening within a frame can't leave two running
+        cancelAnimationFrame(this.previewFrame);
+        this.previewFrame = null;
+
+        if (!sameLoadout(this.loadout, this.openedLoadout)) {
+            this.onApply(this.loadout);
+        }
+    }
+
+    createPreviewScene() {
+        this.renderer = new THREE.WebGLRenderer({ canvas: this.previewCanvas, antialias: true, alpha: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+
+        this.scene = new THREE.Scene();
+        this.scene.add(new THREE.AmbientLight(0xE8F1FF, 0.8));
+        const keyLight = new THREE.DirectionalLight(0xFFE0B3, 1.6); // Same warm sun as the game
+        keyLight.position.set(10, 20, 10);
+        this.scene.add(keyLight);
+        const rimLight = new THREE.DirectionalLight(0xCCE5FF, 0.6);
+        rimLight.position.set(-10, 8, -10);
+        this.scene.add(rimLight);
+
+        // Soft round floor under the wheels
+        const { wheelRadius, bodyLength } = this.vehicle.dimensions;
+        const floor = new THREE.Mesh(
+            new THREE.CircleGeometry(bodyLength * 0.9, 48),
+            new THREE.MeshStandardMaterial({ color: 0x9CC28A, roughness: 0.9 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.y = 0.5 + getRestingWheelY(this.vehicle) - wheelRadius; // Truck.build lifts the body by 0.5
+        this.scene.add(floor);
+
+        // Frame the whole truck from a three-quarter view
+        this.camera = new THREE.PerspectiveCamera(40, 1, 0.1, 200);
+        this.camera.position.set(bodyLength * 1.3, bodyLength * 0.7, bodyLength * 1.3);
+        this.camera.lookAt(0, 0.5, 0);
+    }
+
+    // Build a fresh preview truck with the current loadout, keeping its turn angle.
+    // Loading can take a moment, so only the latest request is shown.
+    async rebuildPreview() {
+        const truck = new Truck(this.vehicle, this.loadout);
+        this.pendingPreview = truck;
+        const model = await truck.load();
+        if (this.pendingPreview !== truck) {
+            truck.dispose();
+            return;
+        }
+
+        const angle = this.previewTruck ? this.previewTruck.truckGroup.rotation.y : Math.PI / 6;
+        if (this.previewTruck) {
+            this.previewTruck.dispose();
+        }
+
+        this.previewTruck = truck;
+        model.rotation.y = angle;
+        this.scene.add(model);
+    }
+
+    renderPreview(timestamp) {
+        if (!this.isOpen) return;
+
+        const deltaTime = this.lastFrameTime ? Math.min(0.1, (timestamp - this.lastFrameTime) / 1000) : 0;
+        this.lastFrameTime = timestamp;
+        if (this.previewTruck) {
+            this.previewTruck.truckGroup.rotation.y += this.turnSpeed * deltaTime;
+        }
+
+        // Follow the canvas size set by the stylesheet
+        const width = this.previewCanvas.clientWidth;
+        const height = this.previewCanvas.clientHeight;
+        if (this.previewCanvas.width !== Math.floor(width * this.renderer.getPixelRatio())) {
+            this.renderer.setSize(width, height, false);
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+        }
+
+        this.renderer.render(this.scene, this.camera);
+        this.previewFrame = requestAnimationFrame(next => this.renderPreview(next));
+    }
+}
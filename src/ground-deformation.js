@@ -0,0 +1,129 @@
+// Ruts pressed into soft ground. Depths are kept on a fine grid (much finer than the
+// 10 m terrain mesh) in square tiles that are only allocated where a tire has actually
+// sunk in. The number of tiles is capped - once the budget is full, the tile that was
+// pressed least recently is forgotten and its ruts disappear.
+// All coordinates are world coordinates.
+export class GroundDeformation {
+    constructor(options = {}) {
+        this.cellSize = options.cellSize ?? 0.5; // Meters between depth samples
+        this.tileCells = options.tileCells ?? 64; // Samples along each side of a tile (32 m)
+        this.maxTiles = options.maxTiles ?? 256; // 256 tiles of 64x64 floats is 4 MB
+
+        // In a wrap-around world the ruts repeat with the ground, every wrapSize meters
+        this.wrapCells = options.wrapSize ? Math.round(options.wrapSize / this.cellSize) : null;
+
+        // Tiles by "x,z" key, kept in the order they were last pressed (oldest first)
+        this.tiles = new Map();
+        this.changedTiles = new Set(); // Keys of tiles pressed or forgotten since takeChangedTiles
+    }
+
+    get tileCount() {
+        return this.tiles.size;
+    }
+
+    // The depth samples of a tile by key, row by row along x, or undefined if it has none
+    getTile(key) {
+        return this.tiles.get(key);
+    }
+
+    // Keys of the tiles that changed since the last call (see RutPatches)
+    takeChangedTiles() {
+        const changed = this.changedTiles;
+        this.changedTiles = new Set();
+        return changed;
+    }
+
+    // Depth stored at a grid sample, 0 where nothing was pressed
+    getCellDepth(ix, iz) {
+        [ix, iz] = this.wrapCell(ix, iz);
+        const tileX = Math.floor(ix / this.tileCells);
+        const tileZ = Math.floor(iz / this.tileCells);
+        const tile = this.tiles.get(`${tileX},${tileZ}`);
+        if (!tile) return 0;
+        return tile[(iz - tileZ * this.tileCells) * this.tileCells + (ix - tileX * this.tileCells)];
+    }
+
+    // How far the ground has been pressed down at a position (bilinear between samples)
+    getDepth(x, z) {
+        if (this.tiles.size === 0) return 0;
+
+        const gridX = x / this.cellSize;
+        const gridZ = z / this.cellSize;
+        const ix = Math.floor(gridX);
+        const iz = Math.floor(gridZ);
+        const fx = gridX - ix;
+        const fz = gridZ - iz;
+
+        const d00 = this.getCellDepth(ix, iz);
+        const d10 = this.getCellDepth(ix + 1, iz);
+        const d01 = this.getCellDepth(ix, iz + 1);
+        const d11 = this.getCellDepth(ix + 1, iz + 1);
+        return (d00 * (1 - fx) + d10 * fx) * (1 - fz) + (d01 * (1 - fx) + d11 * fx) * fz;
+    }
+
+    // Press the ground down by up to `amount` within `radius` of a point, softly at the
+    // edges, never deeper than maxDepth in total
+    press(x, z, radius, amount, maxDepth) {
+        if (amount <= 0 || maxDepth <= 0) return;
+
+        const minX = Math.ceil((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.ceil((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+
+        const touched = new Map(); // Tiles this press reaches, looked up once each
+        for (let iz = minZ; iz <= maxZ; iz++) {
+            for (let ix = minX; ix <= maxX; ix++) {
+                const distance = Math.hypot(ix * this.cellSize - x, iz * this.cellSize - z);
+                if (distance > radius) continue;
+
+                const [cellX, cellZ] = this.wrapCell(ix, iz);
+                const tileX = Math.floor(cellX / this.tileCells);
+                const tileZ = Math.floor(cellZ / this.tileCells);
+                const key = `${tileX},${tileZ}`;
+                let tile = touched.get(key);
+                if (!tile) {
+                    tile = this.touchTile(key);
+                    touched.set(key, tile);
+                }
+
+                const index = (cellZ - tileZ * this.tileCells) * this.tileCells + (cellX - tileX * this.tileCells);
+                const falloff = 1 - (distance / radius) ** 2;
+                tile[index] = Math.max(tile[index], Math.min(maxDepth, tile[index] + amount * falloff));
+            }
+        }
+    }
+
+    // The tile for a key, created if needed and moved to the back of the eviction order.
+    // Makes room by forgetting the least recently pressed tile when the budget is full.
+    touchTile(key) {
+        let tile = this.tiles.get(key);
+        if (tile) {
+            this.tiles.delete(key);
+        } else {
+            if (this.tiles.size >= this.maxTiles) {
+                const oldest = this.tiles.keys().next().value;
+                this.tiles.delete(oldest);
+                this.changedTiles.add(oldest);
+            }
+            tile = new Float32Array(this.tileCells * this.tileCells);
+        }
+        this.tiles.set(key, tile);
+        this.changedTiles.add(key);
+        return tile;
+    }
+
+    // Grid sample indices folded into the world square when the world wraps around
+    wrapCell(ix, iz) {
+        if (!this.wrapCells) return [ix, iz];
+        return [
+            ((ix % this.wrapCells) + this.wrapCells) % this.wrapCells,
+            ((iz % this.wrapCells) + this.wrapCells) % this.wrapCells
+        ];
+    }
+
+    clear() {
+        this.tiles.forEach((tile, key) => this.changedTiles.add(key));
+        this.tiles.clear();
+    }
+}
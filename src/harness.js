@@ -0,0 +1,107 @@
+import { TruckPhysics } from './physics.js';
+import { DEFAULT_SURFACE } from './surfaces.js';
+
+// Headless runner for TruckPhysics - drives the truck from a script of timed inputs at
+// a fixed step and records where it went. Needs no DOM or WebGL, so handling can be
+// checked from Node (see test/physics.test.js) instead of by playing the game.
+
+// Endless flat ground with one surface everywhere and nothing to hit
+export function createFlatTerrain(options = {}) {
+    const height = options.height ?? 0;
+    const surface = options.surface ?? DEFAULT_SURFACE;
+    const obstacles = options.obstacles ?? [];
+    return {
+        getHeightAt: () => height,
+        getSurfaceAt: () => surface,
+        getObstaclesNear: () => obstacles
+    };
+}
+
+// Inputs as InputHandler reports them, with every key released
+export const NO_INPUT = Object.freeze({
+    forward: false,
+    backward: false,
+    left: false,
+    right: false,
+    brake: false,
+    handbrake: false,
+    nitro: false,
+    shiftUp: false,
+    shiftDown: false,
+    gearMode: false
+});
+
+// One recorded sample of the truck's state
+function sampleState(time, result, physics) {
+    return {
+        time,
+        position: result.position.clone(),
+        velocity: result.velocity.clone(),
+        speed: result.speed,
+        rotation: result.rotation,
+        pitch: result.pitch,
+        roll: result.roll,
+        gear: physics.drivetrain.gear,
+        rpm: result.rpm,
+        groundContact: result.groundContact
+    };
+}
+
+// Run a script of inputs. Each step holds an input for a duration (seconds), or until
+// its `until(result, physics)` test passes if one is given (still capped by duration).
+//
+//   runScenario({
+//       vehicle: 'monster',
+//       script: [
+//           { duration: 1, input: {} },                  // let the suspension settle
+//           { duration: 10, input: { forward: true } }
+//       ]
+//   })
+//
+// Returns the physics instance, the last result, every impact and landing, and a
+// trajectory sampled every `sampleInterval` seconds.
+export function runScenario(options = {}) {
+    const timeStep = options.timeStep ?? 1 / 60;
+    const sampleInterval = options.sampleInterval ?? timeStep;
+    const terrain = options.terrain ?? createFlatTerrain();
+    const physics = options.physics ?? new TruckPhysics({
+        vehicle: options.vehicle,
+        boundary: options.boundary,
+        boundaryLimit: options.boundaryLimit ?? null
+    });
+
+    const trajectory = [];
+    const impacts = [];
+    const landings = [];
+    let time = 0;
+    let nextSample = 0;
+    let result = null;
+
+    for (const step of options.script ?? []) {
+        const input = { ...NO_INPUT, ...step.input };
+        const stepCount = Math.round(step.duration / timeStep);
+
+        for (let i = 0; i < stepCount; i++) {
+            physics.applyUserInput(input, timeStep);
+            result = physics.update(
+                timeStep,
+                terrain.getHeightAt,
+                terrain.getSurfaceAt,
+                terrain.getObstaclesNear
+            );
+            time += timeStep;
+
+            impacts.push(...result.impacts);
+            if (result.landing) landings.push(result.landing);
+
+            if (time >= nextSample - 1e-9) {
+                trajectory.push(sampleState(time, result, physics));
+                nextSample += sampleInterval;
+            }
+
+            if (step.until && step.until(result, physics)) break;
+        }
+    }
+
+    return { physics, result, trajectory, impacts, landings, time };
+}
@@ -8,7 +8,11 @@ export class InputHandler {
             left: false,
             right: false,
             brake: false,
-            nitro: false
+            handbrake: false,
+            nitro: false,
+            shiftUp: false,
+            shiftDown: false,
+            gearMode: false
         };
         
         this.joystick = null;
@@ -65,9 +69,22 @@ export class InputHandler {
             case 'Space':
                 this.keys.brake = isPressed;
                 break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.keys.handbrake = isPressed;
+                break;
             case 'KeyN':
                 this.keys.nitro = isPressed;
                 break;
+            case 'KeyE':
+                this.keys.shiftUp = isPressed;
+                break;
+            case 'KeyQ':
+                this.keys.shiftDown = isPressed;
+                break;
+            case 'KeyM':
+                this.keys.gearMode = isPressed;
+                break;
         }
         
         // Only trigger callbacks if state changed
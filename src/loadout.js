@@ -0,0 +1,116 @@
+// Cosmetic choices made in the garage - paint, wheels, tires, decals and optional parts.
+// A loadout only changes the look: it is applied over the vehicle definition's colors
+// and parts when Truck.build runs, and never touches the physics tuning.
+// Any choice left null keeps whatever the vehicle definition says.
+
+export const LOADOUT_STORAGE_KEY = 'vibe-driving.loadout';
+
+export const LOADOUT_OPTIONS = Object.freeze({
+    bodyColors: ['#4CAF50', '#E53935', '#1E88E5', '#FDD835', '#8E24AA', '#FF7043', '#F5F5F5', '#263238'],
+    accentColors: ['#FFD700', '#FFA500', '#C0C0C0', '#00BFFF', '#FF4081', '#111111'],
+    wheelStyles: { classic: 'Classic spokes', star: 'Five star', disc: 'Solid disc', beadlock: 'Beadlock' },
+    tireStyles: { smooth: 'Street', knobby: 'Knobby', paddle: 'Paddle' },
+    decalSets: { none: 'None', flames: 'Flames', stripes: 'Racing stripes', stars: 'Stars' },
+    parts: { rollCage: 'Roll cage', exhaustPipes: 'Exhaust stacks' }
+});
+
+export const DEFAULT_LOADOUT = Object.freeze({
+    bodyColor: null,
+    accentColor: null, // Roll cage, hubs, suspension and decals
+    wheelStyle: 'classic',
+    tireStyle: 'smooth',
+    decals: null,
+    parts: Object.freeze({})
+});
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function pickColor(value) {
+    return typeof value === 'string' && HEX_COLOR.test(value) ? value.toUpperCase() : null;
+}
+
+function pickOption(value, options, fallback) {
+    return Object.prototype.hasOwnProperty.call(options, value) ? value : fallback;
+}
+
+// A complete, valid loadout from anything (saved JSON, a partial object, garbage).
+// Unknown or malformed choices fall back to the defaults.
+export function normalizeLoadout(data) {
+    const source = data !== null && typeof data === 'object' ? data : {};
+    const parts = {};
+    Object.keys(LOADOUT_OPTIONS.parts).forEach(part => {
+        if (typeof source.parts?.[part] === 'boolean') {
+            parts[part] = source.parts[part];
+        }
+    });
+
+    return {
+        bodyColor: pickColor(source.bodyColor),
+        accentColor: pickColor(source.accentColor),
+        wheelStyle: pickOption(source.wheelStyle, LOADOUT_OPTIONS.wheelStyles, DEFAULT_LOADOUT.wheelStyle),
+        tireStyle: pickOption(source.tireStyle, LOADOUT_OPTIONS.tireStyles, DEFAULT_LOADOUT.tireStyle),
+        decals: pickOption(source.decals, LOADOUT_OPTIONS.decalSets, null),
+        parts
+    };
+}
+
+// Whether two loadouts make the same truck
+export function sameLoadout(a, b) {
+    return JSON.stringify(normalizeLoadout(a)) === JSON.stringify(normalizeLoadout(b));
+}
+
+// localStorage when the page has one - it can be missing (Node) or throw (privacy modes)
+function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The player's saved loadout, or the default one if nothing valid is stored
+export function loadLoadout(storage = getDefaultStorage()) {
+    if (!storage) return normalizeLoadout();
+
+    try {
+        return normalizeLoadout(JSON.parse(storage.getItem(LOADOUT_STORAGE_KEY)));
+    } catch (error) {
+        console.warn('Could not read the saved loadout:', error);
+        return normalizeLoadout();
+    }
+}
+
+export function saveLoadout(loadout, storage = getDefaultStorage()) {
+    if (!storage) return;
+
+    try {
+        storage.setItem(LOADOUT_STORAGE_KEY, JSON.stringify(normalizeLoadout(loadout)));
+    } catch (error) {
+        console.warn('Could not save the loadout:', error);
+    }
+}
+
+// Colors, parts and styles a truck is built with: the vehicle definition with the
+// loadout's choices on top
+export function resolveAppearance(vehicle, loadout) {
+    const choices = normalizeLoadout(loadout);
+    const colors = { ...vehicle.colors };
+
+    if (choices.bodyColor) {
+        colors.body = choices.bodyColor;
+    }
+    if (choices.accentColor) {
+        colors.rollCage = choices.accentColor;
+        colors.hubs = choices.accentColor;
+        colors.suspension = choices.accentColor;
+        colors.decals = choices.accentColor;
+    }
+
+    return {
+        colors,
+        parts: { ...vehicle.parts, ...choices.parts },
+        wheelStyle: choices.wheelStyle,
+        tireStyle: choices.tireStyle,
+        decals: choices.decals ?? (vehicle.parts.flameDecals ? 'flames' : 'none')
+    };
+}
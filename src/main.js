@@ -3,8 +3,47 @@ import { Game } from './game.js';
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     try {
+        // Optional world seed from the URL, e.g. ?seed=42 or ?seed=totoro
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed') ?? undefined;
+        
+        // Optional vehicle preset from the URL, e.g. ?vehicle=buggy
+        const vehicle = params.get('vehicle') ?? undefined;
+        
+        // Optional world edge from the URL, e.g. ?world=wrap (walls, wrap, pull or open)
+        const boundary = params.get('world') ?? undefined;
+        
+        // Touch screens are usually phones, which start on lighter settings
+        const touchScreen = window.matchMedia('(pointer: coarse)').matches;
+        
+        // Particle budget from the URL, e.g. ?particles=low (low, medium, high or a count)
+        const particlesParam = params.get('particles');
+        const particleBudget = particlesParam !== null && /^\d+$/.test(particlesParam)
+            ? Number(particlesParam)
+            : particlesParam ?? (touchScreen ? 'low' : undefined);
+        
+        // Optional starting hour from the URL, e.g. ?time=21.5 for half past nine at night
+        const timeParam = Number.parseFloat(params.get('time'));
+        const timeOfDay = Number.isFinite(timeParam) ? timeParam : undefined;
+        
+        // Optional weather from the URL, e.g. ?weather=rain (clear, overcast, rain, snow or
+        // fog), or ?weather=cycle to have it change every few minutes
+        const weatherParam = params.get('weather');
+        const weatherCycle = weatherParam === 'cycle';
+        const weather = weatherCycle ? undefined : weatherParam ?? undefined;
+        
+        // Post effect quality from the URL, e.g. ?post=medium (off, low, medium or high) -
+        // off by default. ?effects=bloom,vignette picks effects by name and ?grade=soft
+        // the color grade (warm, soft or neutral).
+        const postQuality = params.get('post') ?? undefined;
+        const postEffects = params.get('effects')?.split(',').filter(Boolean);
+        const colorGrade = params.get('grade') ?? undefined;
+        
         // Create and initialize game
-        const game = new Game();
+        const game = new Game({
+            seed, vehicle, boundary, particleBudget, timeOfDay, weather, weatherCycle,
+            postQuality, postEffects, colorGrade
+        });
         game.initialize();
         
         console.log('Game started successfully');
@@ -0,0 +1,103 @@
+// Seeded random and noise helpers for procedural world generation.
+// Everything here is deterministic: the same seed always produces the same world.
+
+// Turn any seed (number or string) into a 32-bit unsigned integer
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    // Plain integer strings (e.g. from a URL) map to the same seed as the number
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for other string seeds
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Mix a seed with integer coordinates into a new well-distributed 32-bit hash
+export function hash2D(seed, x, z) {
+    let h = (seed ^ Math.imul(x | 0, 374761393) ^ Math.imul(z | 0, 668265263)) >>> 0;
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Mulberry32 - small, fast seeded PRNG returning values in [0, 1)
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 2D gradient noise (Perlin style) with fractal octaves
+export class GradientNoise2D {
+    constructor(seed = 0) {
+        this.seed = normalizeSeed(seed);
+    }
+
+    // Pick one of 8 unit gradients for a lattice point and dot it with the offset
+    gradient(ix, iy, dx, dy) {
+        const h = hash2D(this.seed, ix, iy) & 7;
+        switch (h) {
+            case 0: return dx + dy;
+            case 1: return dx - dy;
+            case 2: return -dx + dy;
+            case 3: return -dx - dy;
+            case 4: return dx * Math.SQRT2;
+            case 5: return -dx * Math.SQRT2;
+            case 6: return dy * Math.SQRT2;
+            default: return -dy * Math.SQRT2;
+        }
+    }
+
+    // Single octave of noise, roughly in [-1, 1]
+    noise(x, y) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+
+        // Quintic fade curve for smooth, continuous slopes
+        const u = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+        const v = fy * fy * fy * (fy * (fy * 6 - 15) + 10);
+
+        const n00 = this.gradient(ix, iy, fx, fy);
+        const n10 = this.gradient(ix + 1, iy, fx - 1, fy);
+        const n01 = this.gradient(ix, iy + 1, fx, fy - 1);
+        const n11 = this.gradient(ix + 1, iy + 1, fx - 1, fy - 1);
+
+        const nx0 = n00 + (n10 - n00) * u;
+        const nx1 = n01 + (n11 - n01) * u;
+        return nx0 + (nx1 - nx0) * v;
+    }
+
+    // Fractal Brownian motion - layered octaves, normalized to roughly [-1, 1]
+    fbm(x, y, octaves = 4, lacunarity = 2.0, gain = 0.5) {
+        let amplitude = 1;
+        let frequency = 1;
+        let sum = 0;
+        let norm = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            sum += this.noise(x * frequency, y * frequency) * amplitude;
+            norm += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return sum / norm;
+    }
+}
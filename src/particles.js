@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+
+// Pooled particles drawn as one THREE.Points object - a single draw call however many
+// are alive. Particle state lives in flat typed arrays that are allocated once; dead
+// particles are swapped with the last live one so the live ones stay packed at the
+// front of the buffers and only they are drawn.
+
+// How many particles may be alive at once. Phones get the low budget by default (see main.js).
+export const PARTICLE_BUDGETS = Object.freeze({
+    low: 400,
+    medium: 1500,
+    high: 4000
+});
+
+export const DEFAULT_PARTICLE_BUDGET = 'high';
+
+// A budget name or a plain number of particles
+export function resolveParticleBudget(budget) {
+    if (typeof budget === 'number' && Number.isFinite(budget)) {
+        return Math.max(0, Math.floor(budget));
+    }
+    return PARTICLE_BUDGETS[budget] ?? PARTICLE_BUDGETS[DEFAULT_PARTICLE_BUDGET];
+}
+
+const WHITE = new THREE.Color(1, 1, 1);
+
+// Soft round sprites with their own size, color and opacity, fogged like the scene
+const vertexShader = `
+    attribute float size;
+    attribute float opacity;
+    attribute vec3 particleColor;
+    uniform float pointScale;
+    varying vec3 vColor;
+    varying float vOpacity;
+    #include <fog_pars_vertex>
+    void main() {
+        vColor = particleColor;
+        vOpacity = opacity;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * pointScale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const fragmentShader = `
+    varying vec3 vColor;
+    varying float vOpacity;
+    #include <fog_pars_fragment>
+    void main() {
+        float alpha = vOpacity * (1.0 - smoothstep(0.25, 0.5, length(gl_PointCoord - 0.5)));
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(vColor, alpha);
+        #include <colorspace_fragment>
+        #include <fog_fragment>
+    }
+`;
+
+export class ParticleSystem {
+    constructor(options = {}) {
+        this.maxParticles = resolveParticleBudget(options.budget);
+        // Emitters scale their rates by this so a small budget looks thinner rather
+        // than cutting effects off halfway
+        this.density = this.maxParticles / PARTICLE_BUDGETS.high;
+        this.count = 0;
+        this.dropped = 0; // Particles refused because the budget was full
+
+        const max = this.maxParticles;
+        this.positions = new Float32Array(max * 3);
+        this.velocities = new Float32Array(max * 3);
+        this.colors = new Float32Array(max * 3);
+        this.sizes = new Float32Array(max);
+        this.opacities = new Float32Array(max);
+        this.life = new Float32Array(max); // Seconds left
+        this.maxLife = new Float32Array(max);
+        this.startSize = new Float32Array(max);
+        this.growth = new Float32Array(max); // Size multiplier by the end of its life
+        this.startOpacity = new Float32Array(max);
+        this.gravity = new Float32Array(max); // 1 falls like a stone, negative rises
+        this.drag = new Float32Array(max); // Velocity lost per second
+        this.floor = new Float32Array(max); // Falling particles come to rest here
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('particleColor', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { pointScale: { value: 500 } }
+            ]),
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            fog: true
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Particles are spread all over; the bounds never fit
+        this.points.renderOrder = 1; // After the opaque scene
+    }
+
+    // Match sprite sizes to the view: a particle of size 1 is 1 m across on screen
+    setViewport(height, fov) {
+        this.points.material.uniforms.pointScale.value = height / (2 * Math.tan(THREE.MathUtils.degToRad(fov) / 2));
+    }
+
+    // Start one particle. Settings (all optional):
+    //  color - THREE.Color; life - seconds; size - meters across; growth - size multiplier
+    //  at the end of its life; opacity; gravity - 1 falls, negative floats up;
+    //  drag - fraction of velocity lost per second; floor - height it settles at
+    // Returns false when the budget is used up.
+    emit(position, velocity, settings) {
+        if (this.count >= this.maxParticles) {
+            this.dropped++;
+            return false;
+        }
+
+        const i = this.count++;
+        const i3 = i * 3;
+        this.positions[i3] = position.x;
+        this.positions[i3 + 1] = position.y;
+        this.positions[i3 + 2] = position.z;
+        this.velocities[i3] = velocity.x;
+        this.velocities[i3 + 1] = velocity.y;
+        this.velocities[i3 + 2] = velocity.z;
+
+        const color = settings.color ?? WHITE;
+        this.colors[i3] = color.r;
+        this.colors[i3 + 1] = color.g;
+        this.colors[i3 + 2] = color.b;
+
+        this.life[i] = this.maxLife[i] = settings.life ?? 1;
+        this.startSize[i] = this.sizes[i] = settings.size ?? 1;
+        this.growth[i] = settings.growth ?? 1;
+        this.startOpacity[i] = settings.opacity ?? 1;
+        this.opacities[i] = 0;
+        this.gravity[i] = settings.gravity ?? 0;
+        this.drag[i] = settings.drag ?? 0;
+        this.floor[i] = settings.floor ?? -Infinity;
+        return true;
+    }
+
+    update(deltaTime) {
+        let i = 0;
+        while (i < this.count) {
+            this.life[i] -= deltaTime;
+            if (this.life[i] <= 0) {
+                this.kill(i);
+                continue; // The last particle moved into this slot - update it next
+            }
+
+            const i3 = i * 3;
+            const dragFactor = Math.exp(-this.drag[i] * deltaTime);
+            this.velocities[i3] *= dragFactor;
+            this.velocities[i3 + 1] = (this.velocities[i3 + 1] - this.gravity[i] * 9.8 * deltaTime) * dragFactor;
+            this.velocities[i3 + 2] *= dragFactor;
+            this.positions[i3] += this.velocities[i3] * deltaTime;
+            this.positions[i3 + 1] += this.velocities[i3 + 1] * deltaTime;
+            this.positions[i3 + 2] += this.velocities[i3 + 2] * deltaTime;
+
+            // Clumps that hit the ground stay there until they fade
+            if (this.positions[i3 + 1] < this.floor[i]) {
+                this.positions[i3 + 1] = this.floor[i];
+                this.velocities[i3] = this.velocities[i3 + 1] = this.velocities[i3 + 2] = 0;
+            }
+
+            // Grow over the whole life, fade in quickly and out slowly
+            const age = 1 - this.life[i] / this.maxLife[i];
+            this.sizes[i] = this.startSize[i] * (1 + (this.growth[i] - 1) * age);
+            this.opacities[i] = this.startOpacity[i] * Math.min(1, age * 10) * (1 - age);
+            i++;
+        }
+
+        const geometry = this.points.geometry;
+        geometry.setDrawRange(0, this.count);
+        for (const name of ['position', 'particleColor', 'size', 'opacity']) {
+            geometry.attributes[name].needsUpdate = true;
+        }
+    }
+
+    // Move the last live particle into slot i
+    kill(i) {
+        const last = --this.count;
+        if (i === last) return;
+
+        const i3 = i * 3;
+        const last3 = last * 3;
+        for (const array of [this.positions, this.velocities, this.colors]) {
+            array[i3] = array[last3];
+            array[i3 + 1] = array[last3 + 1];
+            array[i3 + 2] = array[last3 + 2];
+        }
+        for (const array of [this.sizes, this.opacities, this.life, this.maxLife, this.startSize,
+            this.growth, this.startOpacity, this.gravity, this.drag, this.floor]) {
+            array[i] = array[last];
+        }
+    }
+
+    clear() {
+        this.count = 0;
+        this.points.geometry.setDrawRange(0, 0);
+    }
+
+    // Keep particles in place when the scene origin moves
+    shiftOrigin(dx, dz) {
+        for (let i = 0; i < this.count; i++) {
+            this.positions[i * 3] -= dx;
+            this.positions[i * 3 + 2] -= dz;
+        }
+    }
+
+    dispose() {
+        this.points.removeFromParent();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -1,53 +1,186 @@
 import * as THREE from 'three';
+import { DEFAULT_SURFACE } from './surfaces.js';
+import { Drivetrain } from './drivetrain.js';
+import { DamageModel, toBodySpace } from './damage.js';
+import { resolveVehicleDefinition, getWheelLayout } from './vehicles.js';
+import { createBoundary } from './boundaries.js';
+
+// Wrap an angle difference into [-PI, PI]
+function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
+
+// Blend two physics results for rendering between fixed simulation steps
+export function interpolatePhysicsResult(previous, current, alpha) {
+    if (!previous) return current;
+    
+    const lerp = (a, b) => a + (b - a) * alpha;
+    return {
+        ...current,
+        position: previous.position.clone().lerp(current.position, alpha),
+        orientation: previous.orientation.clone().slerp(current.orientation, alpha),
+        rotation: lerp(previous.rotation, current.rotation),
+        wheelRotationSpeed: lerp(previous.wheelRotationSpeed, current.wheelRotationSpeed),
+        steering: lerp(previous.steering, current.steering),
+        steeringAngle: lerp(previous.steeringAngle, current.steeringAngle),
+        speed: lerp(previous.speed, current.speed),
+        rpm: lerp(previous.rpm, current.rpm),
+        nitroBoost: lerp(previous.nitroBoost, current.nitroBoost),
+        velocity: previous.velocity.clone().lerp(current.velocity, alpha),
+        pitch: lerp(previous.pitch, current.pitch),
+        roll: lerp(previous.roll, current.roll),
+        wheels: current.wheels.map((wheel, index) => ({
+            ...wheel,
+            compression: lerp(previous.wheels[index].compression, wheel.compression)
+        }))
+    };
+}
 
 export class TruckPhysics {
-    constructor() {
+    constructor(options = {}) {
+        // Tuning and dimensions come from a vehicle definition (see vehicles.js)
+        this.vehicle = resolveVehicleDefinition(options.vehicle);
+        const tuning = this.vehicle.physics;
+        const dimensions = this.vehicle.dimensions;
+        const collision = this.vehicle.collision;
+        
         // Basic movement
-        this.position = new THREE.Vector3(0, 0.5, 0); // Lower starting position to match truck visual
+        this.position = new THREE.Vector3(0, 0, 0);
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.acceleration = new THREE.Vector3(0, 0, 0);
         
-        // Rotation
+        // Rotation - yaw steers the truck, pitch and roll come from the suspension
         this.rotation = 0;
         this.angularVelocity = 0;
+        this.pitch = 0; // Positive pitch tips the nose down
+        this.roll = 0; // Positive roll lifts the +x side
+        this.pitchVelocity = 0;
+        this.rollVelocity = 0;
+        this.orientation = new THREE.Quaternion();
+        this.previousHorizontalVelocity = new THREE.Vector3(); // For measuring weight transfer
+        
+        // Airborne state - full 3D rotation, air control and landing checks
+        this.airTime = 0; // Seconds since all four wheels left the ground
+        this.airRotation = { pitch: 0, roll: 0 }; // Total rotation this jump, for counting flips
+        this.airControl = { pitch: 0, roll: 0 }; // Player lean (-1..1) while in the air
+        this.airPitchControl = 2.5; // rad/s² from leaning forward/back
+        this.airRollControl = 3.5; // rad/s² from barrel roll input
+        this.airAngularDamping = 0.3; // Rotation barely slows in the air
+        this.minAirTimeForLanding = 0.3; // Shorter hops are just bumps
+        this.cleanLandingTilt = 20 * Math.PI / 180; // Max tilt from the ground for a clean landing
+        this.crashLandingTilt = 60 * Math.PI / 180; // Tilt beyond this is a crash
+        this.cleanLandingSpeed = 12; // Max vertical impact speed (m/s) for a clean landing
+        this.crashLandingSpeed = 20; // Impact speed that always counts as a crash
+        
+        // Body contact and rollover - the body itself scraping the ground
+        this.bodyContact = false;
+        this.bodyFriction = 2.0; // Per second, how quickly a sliding body stops
+        this.roofClearance = collision.roofClearance; // Roll cage height above the body origin
+        this.sideClearance = collision.sideClearance; // Half width including the wheels
+        this.rolloverTime = 0; // Seconds spent on the side or roof
+        this.rolloverDelay = 1.0; // How long before we call it a rollover
+        this.rolledOver = false;
+        this.lastVerticalVelocity = 0;
         
         // Physics constants - optimized for better turning
-        this.mass = 1200; // Heavier monster truck
-        this.engineForce = 28000; // Increased from 25000 for more responsive acceleration
-        this.brakingForce = 18000; // Reduced from 20000 for slightly smoother braking
-        this.rollingResistance = 0.01; // Further reduced for less resistance
-        this.dragCoefficient = 0.05; // Further reduced for less air resistance
-        this.wheelBase = 5.6; // Wider wheelbase for monster truck
-        this.maxSteeringAngle = 0.6; // Significantly increased for much better turning capability
-        this.maxSpeedKmh = 120; // Realistic top speed
-        this.normalMaxSpeedKmh = 120; // Store normal max speed for nitro
-        
-        // Tire friction parameters - much reduced for better turning
-        this.lateralFriction = 2.5; // Significantly reduced from 5.0 to allow for much better turning
-        this.lateralFrictionCoefficient = 0.9; // Further reduced from 1.2 for much less aggressive grip
-        this.lateralFrictionCurve = 0.4; // Further reduced from 0.5 for even more gradual friction drop-off
+        this.mass = tuning.mass; // kg
+        this.brakingForce = tuning.brakingForce; // N at full brake
+        this.rollingResistance = tuning.rollingResistance;
+        this.dragCoefficient = tuning.dragCoefficient;
+        this.wheelBase = dimensions.wheelBase; // Distance between the front and rear axles
+        this.maxSteeringAngle = tuning.maxSteeringAngle;
+        this.maxSpeedKmh = tuning.maxSpeedKmh;
+        this.normalMaxSpeedKmh = tuning.maxSpeedKmh; // Store normal max speed for nitro
+        
+        // Tire friction parameters
+        this.lateralFriction = tuning.lateralFriction;
+        this.lateralFrictionCoefficient = tuning.lateralFrictionCoefficient;
+        this.lateralFrictionCurve = tuning.lateralFrictionCurve; // Lower = more gradual friction drop-off
         this.frictionMultiplierAtLowSpeed = 1.0; // Reduced to 1.0 for more consistent turning at all speeds
         this.minSpeedForFullFriction = 1.5; // Further reduced for better handling at low speeds
         
-        // Suspension properties
-        this.suspensionHeight = 0.8; // Lower ground clearance so truck doesn't hover
-        this.suspensionStiffness = 0.9; // Stiffer for more stable driving
-        this.suspensionDamping = 0.7; // Higher for less bounce, more realistic feel
-        this.suspensionTravel = 0.8; // Reduced for more realistic feel
+        // Axle grip - lateral friction is shared between the front and rear axles, and an
+        // axle with less grip than the other lets that end of the truck swing out
+        this.frontGrip = tuning.frontGrip;
+        this.rearGrip = tuning.rearGrip;
+        this.yawInertia = tuning.yawInertia; // kg·m² - kept low so grip differences turn into lively drifts
+        
+        // Grip on top of the surface's, set from the weather (see weather.js) - wet and
+        // snowy ground slides more
+        this.gripMultiplier = options.gripMultiplier ?? 1;
+        
+        // Handbrake - locks the rear wheels and lets the rear slide
+        this.handbrakeForce = tuning.handbrakeForce; // Braking from the locked rear wheels (N)
+        this.handbrakeRearGrip = tuning.handbrakeRearGrip; // Rear grip multiplier with the handbrake fully on
+        this.handbrakeYawDamping = 0.97; // Per 1/60s - the truck keeps rotating while sliding
+        this.handbrakeResponse = 8; // How quickly the handbrake lever moves, per second
+        
+        // Drift detection for scoring
+        this.driftMinAngle = 12 * Math.PI / 180; // Slip angle that counts as drifting
+        this.driftMinSpeed = 6; // m/s
+        this.driftGraceTime = 0.3; // Seconds a drift survives dipping below the thresholds
+        this.minDriftDuration = 0.5; // Shorter slides are not reported
+        this.drift = { active: false, time: 0, graceTimer: 0, maxAngle: 0, angleSum: 0 };
+        this.driftAngle = 0; // Signed angle between heading and direction of travel
+        
+        // Suspension - one raycast spring and damper per wheel
+        this.wheelRadius = dimensions.wheelRadius; // Matches the wheels built by Truck.createWheels
+        this.suspensionAnchorY = dimensions.suspensionAnchorY; // Where the springs mount on the body
+        this.suspensionRestLength = tuning.suspensionRestLength; // Spring length with no load
+        this.suspensionTravel = tuning.suspensionTravel; // Compression before hitting the bump stops
+        this.springStiffness = tuning.springStiffness; // N/m per wheel
+        this.springDamping = tuning.springDamping; // N·s/m per wheel
+        this.bumpStopStiffness = tuning.bumpStopStiffness; // N/m once the travel runs out
+        this.centerOfMassHeight = tuning.centerOfMassHeight; // Lever arm for squat, dive and body lean
+        this.pitchInertia = tuning.pitchInertia; // kg·m² - long body resists pitching
+        this.rollInertia = tuning.rollInertia; // kg·m²
+        this.tiltDamping = 1.5; // Extra damping on pitch and roll rates, per second
+        this.roughnessBumpHeight = 0.15; // Bump height on the roughest ground (m)
+        
+        // Wheel mounts in body space, in the same order and positions as Truck.createWheels:
+        // back left, back right, front left, front right
+        this.wheels = getWheelLayout(this.vehicle).map(({ x, z }) => ({
+            anchor: new THREE.Vector3(x, this.suspensionAnchorY, z),
+            compression: 0,
+            contact: false,
+            force: 0
+        }));
+        
+        // Engine and gearbox - drive force comes from the torque curve and current gear
+        this.drivetrain = new Drivetrain({ ...tuning.engine, wheelRadius: this.wheelRadius });
+        
+        // Damage to the body and wheels from hard impacts, and its effect on handling
+        this.damage = new DamageModel({
+            wheelAnchors: this.wheels.map(wheel => wheel.anchor),
+            halfWidth: dimensions.bodyWidth / 2,
+            halfLength: dimensions.bodyLength / 2,
+            roofHeight: dimensions.bodyHeight / 2
+        });
+        this.landingDamageShare = { clean: 0, rough: 0.3, crash: 1 }; // Impact energy that damages the truck
+        
+        // Ride height of the body above flat ground when the springs carry the truck
+        const staticCompression = this.mass * 9.8 / (this.wheels.length * this.springStiffness);
+        this.suspensionHeight = -this.suspensionAnchorY + this.suspensionRestLength - staticCompression + this.wheelRadius;
+        this.minBodyClearance = collision.minBodyClearance; // The body never sinks closer than this to the ground
+        this.position.y = this.suspensionHeight;
         
         // Terrain interaction
         this.groundContact = true;
         this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.surface = DEFAULT_SURFACE; // Surface type under the truck
+        this.roughnessPhase = 0; // Distance-driven phase for bumps on rough ground
         
         // States
         this.throttle = 0;
         this.brake = 0;
+        this.handbrake = 0;
         this.steering = 0;
         
         // For smooth control transitions
         this.targetSteering = 0;
         this.targetThrottle = 0;
         this.targetBrake = 0;
+        this.targetHandbrake = 0;
         
         // Input mapping
         this.keys = {
@@ -58,52 +191,92 @@ export class TruckPhysics {
             brake: false
         };
         
-        // Track height change to dampen rapid terrain transitions
-        this.previousTerrainHeight = null;
+        // Obstacle collision - the truck is two overlapping circles, rear and front
+        this.collisionCircles = collision.circleOffsets; // Offsets along the forward axis
+        this.collisionRadius = collision.radius; // Covers the body and the wheels
+        this.collisionHeight = collision.height; // Top of the truck above its position
+        this.obstacleRestitution = 0.3; // How much speed bounces back off a tree or rock
+        this.obstacleFriction = 0.3; // How much sliding speed is scrubbed along an obstacle
+        this.obstacleSpinFactor = 0.08; // How strongly off-center hits spin the truck
+        this.minImpactSpeed = 1.0; // Slower contacts (e.g. pushing against a tree) are not reported
         
-        // Track truck bounce for cartoony effects
-        this.bounce = 0;
-        this.bounceVelocity = 0;
+        // What happens at the edge of the world (see boundaries.js). A plain boundaryLimit
+        // is shorthand for solid walls at that half-size.
+        this.boundary = createBoundary(
+            options.boundary ?? (options.boundaryLimit != null ? { type: 'walls', limit: options.boundaryLimit } : undefined)
+        );
         
-        // Track boundary collisions to avoid playing sounds too frequently
-        this.lastBoundaryCollisionTime = 0;
-        this.boundaryCollisionCooldown = 500; // ms
-        
-        // Nitro state
+        // Nitro - a tank that drains while boosting and slowly refills
         this.nitroActive = false;
-        this.nitroMultiplier = 2.0; // Speed multiplier when nitro is active
+        this.nitroRequested = false; // Player is holding the nitro button
+        this.nitroMultiplier = tuning.nitroMultiplier; // Top speed multiplier while boosting
+        this.nitroCapacity = tuning.nitroCapacity;
+        this.nitroLevel = this.nitroCapacity;
+        this.nitroForce = tuning.nitroForce; // Extra forward thrust at full boost (N)
+        this.nitroBoost = 0; // Current boost strength 0..1, ramps in and out
+        this.nitroRampRate = 5; // Boost strength change per second
+        this.nitroDrainRate = 25; // Tank units per second at full boost - a full tank lasts 4s
+        this.nitroRechargeRate = 5; // Tank units per second once recharging
+        this.nitroRechargeDelay = 1.5; // Seconds after boosting before the tank starts refilling
+        this.nitroEmptyCooldown = 3; // Seconds locked out after running the tank dry
+        this.nitroSpeedDecay = 20; // km/h per second the raised top speed falls back after boosting
+        this.nitroRechargeTimer = 0;
+        this.nitroCooldown = 0;
     }
 
-    update(deltaTime, getTerrainHeightAt, getTerrainRoughnessAt) {
+    update(deltaTime, getTerrainHeightAt, getTerrainSurfaceAt, getObstaclesNear) {
         // Update steering with smooth interpolation
         this.steering += (this.targetSteering - this.steering) * Math.min(1, deltaTime * 2.0);
         
         // Update throttle and brake with smooth interpolation
         this.throttle += (this.targetThrottle - this.throttle) * Math.min(1, deltaTime * 1.5);
         this.brake += (this.targetBrake - this.brake) * Math.min(1, deltaTime * 2.0);
+        this.handbrake += (this.targetHandbrake - this.handbrake) * Math.min(1, deltaTime * this.handbrakeResponse);
         
         // Calculate forward direction based on rotation
         const forwardDir = new THREE.Vector3(Math.sin(this.rotation), 0, Math.cos(this.rotation));
         const rightDir = new THREE.Vector3(Math.cos(this.rotation), 0, -Math.sin(this.rotation));
         
-        // Reset acceleration
-        this.acceleration.set(0, -9.8, 0); // Gravity
+        // Surface under the truck affects grip, rolling resistance and bounce
+        const surface = getTerrainSurfaceAt(this.position.x, this.position.z) || DEFAULT_SURFACE;
+        this.surface = surface;
+        
+        // Damaged wheels and engine change the handling
+        const handling = this.damage.getHandling();
+        this.drivetrain.powerMultiplier = handling.powerMultiplier;
         
         // Calculate speed and velocity components
         const speedSq = this.velocity.lengthSq();
         const speed = Math.sqrt(speedSq);
         const speedKmh = speed * 3.6; // Convert m/s to km/h
         
-        // Decompose velocity into forward and lateral components
+        // Suspension springs push the body up and tilt it; gravity added separately
+        this.roughnessPhase += speed * deltaTime;
+        const suspension = this.updateSuspension(deltaTime, getTerrainHeightAt, surface);
+        const contactRatio = suspension.contacts / this.wheels.length;
+        this.groundContact = suspension.contacts > 0;
+        
+        // Start with only the horizontal tire and air forces; load transfer uses these
+        this.acceleration.set(0, 0, 0);
+        
+        // Decompose horizontal velocity into forward and lateral components
         const forwardVelocity = this.velocity.dot(forwardDir);
         const forwardVelocityVector = forwardDir.clone().multiplyScalar(forwardVelocity);
         const lateralVelocityVector = this.velocity.clone().sub(forwardVelocityVector);
+        lateralVelocityVector.y = 0;
         const lateralSpeed = lateralVelocityVector.length();
         
-        // Calculate engine force and apply as acceleration
-        const engineAccel = forwardDir.clone().multiplyScalar(this.throttle * this.engineForce / this.mass);
+        // Engine force through the gearbox - only wheels on the ground can drive
+        const driveForce = this.drivetrain.update(deltaTime, forwardVelocity, this.throttle, this.groundContact);
+        const engineAccel = forwardDir.clone().multiplyScalar(driveForce * contactRatio / this.mass);
         this.acceleration.add(engineAccel);
         
+        // Nitro pushes the truck forward on top of the engine
+        this.updateNitro(deltaTime);
+        if (this.nitroBoost > 0 && this.drivetrain.gear > 0) {
+            this.acceleration.addScaledVector(forwardDir, this.nitroForce * this.nitroBoost * contactRatio / this.mass);
+        }
+        
         // Calculate braking force and apply as acceleration
         if (this.brake > 0) {
             // Get velocity magnitude in forward direction
@@ -111,12 +284,21 @@ export class TruckPhysics {
             // Only apply braking in the direction of motion
             if (Math.abs(velInForwardDir) > 0.1) {
                 const brakeDir = forwardDir.clone().multiplyScalar(-Math.sign(velInForwardDir));
-                const brakeAccel = brakeDir.multiplyScalar(this.brake * this.brakingForce / this.mass);
+                const brakeAccel = brakeDir.multiplyScalar(this.brake * this.brakingForce * contactRatio / this.mass);
                 this.acceleration.add(brakeAccel);
             }
         }
         
-        // Calculate lateral friction (tire grip) - realistic physics for cornering
+        // Handbrake locks the rear wheels - only the rear pair can brake with it
+        const rearContactRatio = (this.wheels[0].contact + this.wheels[1].contact) / 2;
+        const frontContactRatio = (this.wheels[2].contact + this.wheels[3].contact) / 2;
+        if (this.handbrake > 0 && Math.abs(forwardVelocity) > 0.1) {
+            const handbrakeAccel = this.handbrake * this.handbrakeForce * rearContactRatio / this.mass;
+            this.acceleration.addScaledVector(forwardDir, -Math.sign(forwardVelocity) * handbrakeAccel);
+        }
+        
+        // Calculate lateral friction (tire grip) - realistic physics for cornering.
+        // Each axle provides its share; a rear axle with less grip swings the tail out.
         if (this.groundContact && lateralSpeed > 0.01) {
             // Lateral friction increases at lower speeds for better maneuverability
             let frictionMultiplier = 1.0;
@@ -132,25 +314,29 @@ export class TruckPhysics {
             const frictionCoeff = this.lateralFrictionCoefficient * 
                 Math.pow(1.0 - slipRatio, this.lateralFrictionCurve);
             
-            // Calculate lateral friction force
-            const lateralFrictionMag = this.lateralFriction * frictionCoeff * frictionMultiplier * this.mass;
+            // Lateral friction each axle could give with full grip, limited so it never
+            // pushes harder than it takes to stop the slide this step
+            const fullAxleAccel = Math.min(
+                lateralSpeed / deltaTime,
+                this.lateralFriction * frictionCoeff * frictionMultiplier * surface.grip * this.gripMultiplier
+            ) / 2;
             
-            // Create normalized lateral direction vector
-            let lateralDir;
-            if (lateralSpeed > 0.01) {
-                lateralDir = lateralVelocityVector.clone().normalize().negate();
-            } else {
-                lateralDir = rightDir.clone().multiplyScalar(Math.sign(this.velocity.dot(rightDir))).negate();
-            }
-            
-            // Apply lateral friction as acceleration
-            const lateralFrictionAccel = lateralDir.multiplyScalar(lateralFrictionMag / this.mass);
+            // Friction opposes the slide, along the truck's sideways axis
+            const slideSign = Math.sign(this.velocity.dot(rightDir));
+            const handbrakeGrip = 1 - this.handbrake * (1 - this.handbrakeRearGrip);
+            const frontGrip = this.frontGrip * handling.frontGrip;
+            const rearGrip = this.rearGrip * handling.rearGrip * handbrakeGrip;
+            const frontAccel = -slideSign * fullAxleAccel * frontGrip * frontContactRatio;
+            const rearAccel = -slideSign * fullAxleAccel * rearGrip * rearContactRatio;
+            this.acceleration.addScaledVector(rightDir, frontAccel + rearAccel);
             
-            // Limit lateral friction based on speed to prevent unnatural behavior
-            const maxLateralAccel = Math.min(lateralSpeed / deltaTime, lateralFrictionAccel.length());
-            lateralFrictionAccel.normalize().multiplyScalar(maxLateralAccel);
-            
-            this.acceleration.add(lateralFrictionAccel);
+            // The steering model already turns a truck with even grip, so only the grip each
+            // axle is missing (compared to full grip) yaws the truck - front at +d, rear at -d
+            const axleDistance = this.wheelBase / 2;
+            const frontDelta = frontAccel + slideSign * fullAxleAccel * frontContactRatio;
+            const rearDelta = rearAccel + slideSign * fullAxleAccel * rearContactRatio;
+            const yawTorque = (frontDelta - rearDelta) * axleDistance * this.mass;
+            this.angularVelocity += yawTorque / this.yawInertia * deltaTime;
         }
         
         // Calculate drag (air resistance)
@@ -165,9 +351,9 @@ export class TruckPhysics {
         if (this.groundContact && speedSq > 0.01) {
             // Rolling resistance increases at higher speeds
             const speedFactor = Math.min(1.0, speed / 10);
-            const adjustedRollingResistance = this.rollingResistance * (1.0 + speedFactor * 0.5);
+            const adjustedRollingResistance = this.rollingResistance * surface.rollingResistance * (1.0 + speedFactor * 0.5);
             
-            const rollResistMag = adjustedRollingResistance * this.mass * 9.8; // Proportional to normal force
+            const rollResistMag = adjustedRollingResistance * this.mass * 9.8 * contactRatio; // Proportional to normal force
             const rollResistDir = this.velocity.clone().normalize().negate();
             const rollResistAccel = rollResistDir.multiplyScalar(rollResistMag / this.mass);
             this.acceleration.add(rollResistAccel);
@@ -193,144 +379,104 @@ export class TruckPhysics {
             
             // Greatly reduce the impact of lateral grip on steering
             const lateralGripFactor = Math.max(0.9, 1.0 - lateralSpeed / (speed + 0.1)); // Increased from 0.75 to 0.9
-            const steeringEffect = this.steering * steeringResponse * lateralGripFactor;
+            // A damaged truck pulls to one side even with the wheel straight
+            const steeringInput = Math.max(-1, Math.min(1, this.steering + handling.steeringPull));
+            const steeringEffect = steeringInput * steeringResponse * lateralGripFactor;
             
             this.angularVelocity += steeringEffect * deltaTime;
         }
         
-        // Apply less damping to angular velocity for much better turning
-        this.angularVelocity *= 0.9; // Changed from 0.85 to 0.9 for even less damping
+        // Apply less damping to angular velocity for much better turning - tires only.
+        // Sliding rear tires barely resist rotation, so the handbrake lets the truck spin.
+        if (this.groundContact) {
+            const yawDamping = 0.9 + (this.handbrakeYawDamping - 0.9) * this.handbrake;
+            this.angularVelocity *= Math.pow(yawDamping, deltaTime * 60); // 0.9 per 1/60s, independent of step size
+        }
+        
+        // Weight transfer - accelerating squats the rear, braking dives the nose,
+        // cornering leans the body to the outside of the turn. Uses the acceleration
+        // the truck actually achieved last step, so the speed limiter doesn't cause squat.
+        const horizontalVelocity = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
+        if (this.groundContact) {
+            const achievedAccel = horizontalVelocity.clone().sub(this.previousHorizontalVelocity).divideScalar(deltaTime);
+            const bodyRight = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation);
+            suspension.pitchTorque -= this.mass * achievedAccel.dot(forwardDir) * this.centerOfMassHeight;
+            suspension.rollTorque += this.mass * achievedAccel.dot(bodyRight) * this.centerOfMassHeight;
+        }
+        this.previousHorizontalVelocity.copy(horizontalVelocity);
+        
+        // Add suspension and gravity to the tire forces
+        this.acceleration.addScaledVector(suspension.force, 1 / this.mass);
+        this.acceleration.y -= 9.8;
         
-        // Update rotation
-        this.rotation += this.angularVelocity * deltaTime;
+        // Rotate the body - suspension torques on the ground, free 3D rotation in the air
+        this.integrateOrientation(deltaTime, suspension);
         
         // Update velocity using acceleration
         this.velocity.add(this.acceleration.clone().multiplyScalar(deltaTime));
         
-        // Store current position for terrain check
-        const prevPos = this.position.clone();
+        // Vertical speed before any ground contact changes it, for landing impacts.
+        // While the springs are carrying the truck we keep the speed from touchdown.
+        if (!this.groundContact || this.airTime > 0) {
+            this.lastVerticalVelocity = this.velocity.y;
+        }
+        
+        // Velocity before walls and obstacles - their impulses shouldn't count as weight transfer
+        const velocityBeforeCollisions = this.velocity.clone();
         
         // Update position using velocity
         const movementVector = this.velocity.clone().multiplyScalar(deltaTime);
         
-        // Check for terrain height BEFORE we move, so we can adapt to changing terrain
-        const initialTerrainY = getTerrainHeightAt(this.position.x, this.position.z);
-        
-        // Define maxSafeTerrainChange here before it's used
-        const maxSafeTerrainChange = 4.0;  // Increased for monster truck (was 3.0)
-        
-        // For substantial movements, check terrain at several points along the movement path
-        if (movementVector.length() > 1) {
-            // Check terrain at several points along the movement path
-            const steps = Math.ceil(movementVector.length());
-            const stepVector = movementVector.clone().divideScalar(steps);
-            
-            let lastIntermediateTerrainY = initialTerrainY;
-            
-            for (let i = 1; i <= steps; i++) {
-                // Move a step and check terrain height
-                const intermediatePos = prevPos.clone().add(stepVector.clone().multiplyScalar(i));
-                const intermediateTerrainY = getTerrainHeightAt(intermediatePos.x, intermediatePos.z);
-                
-                // Dampen rapid terrain changes for intermediate positions too
-                let dampedIntermediateTerrainY = intermediateTerrainY;
-                const intTerrainHeightChange = intermediateTerrainY - lastIntermediateTerrainY;
-                const stepDeltaTime = deltaTime / steps;
-                
-                // Limit terrain change rate for smooth traversal
-                if (Math.abs(intTerrainHeightChange) > maxSafeTerrainChange * stepDeltaTime) {
-                    dampedIntermediateTerrainY = lastIntermediateTerrainY + 
-                        Math.sign(intTerrainHeightChange) * maxSafeTerrainChange * stepDeltaTime;
-                }
-                
-                lastIntermediateTerrainY = dampedIntermediateTerrainY;
-            }
-        }
-        
-        // Check and enforce ground boundaries (1750 = half of groundSize 3500)
-        const boundaryLimit = 1750 - 5; // Allow a small buffer from the edge
-        const potentialNewPosition = this.position.clone().add(movementVector);
-        
-        if (Math.abs(potentialNewPosition.x) > boundaryLimit || Math.abs(potentialNewPosition.z) > boundaryLimit) {
-            // Calculate the allowed movement vector that keeps the truck within bounds
-            const clampedPosition = potentialNewPosition.clone();
-            clampedPosition.x = Math.max(-boundaryLimit, Math.min(boundaryLimit, clampedPosition.x));
-            clampedPosition.z = Math.max(-boundaryLimit, Math.min(boundaryLimit, clampedPosition.z));
-            
-            // If we're hitting the boundary, reduce velocity in that direction
-            if (Math.abs(potentialNewPosition.x) > boundaryLimit) {
-                this.velocity.x *= 0.5; // Reduce x velocity when hitting x boundary
-            }
-            if (Math.abs(potentialNewPosition.z) > boundaryLimit) {
-                this.velocity.z *= 0.5; // Reduce z velocity when hitting z boundary
-            }
-            
-            // Calculate the allowed movement
-            movementVector.copy(clampedPosition.sub(this.position));
-            
-            // Trigger boundary collision sound if cooldown has elapsed
-            const currentTime = Date.now();
-            if (currentTime - this.lastBoundaryCollisionTime > this.boundaryCollisionCooldown) {
-                this.lastBoundaryCollisionTime = currentTime;
-                this.triggerBoundaryCollisionSound();
-            }
-        }
+        // Keep the truck inside the world - walls, a pull back or nothing, by strategy
+        const boundaryImpacts = this.boundary.constrain(this, movementVector, deltaTime);
         
         // Apply movement
         this.position.add(movementVector);
         
-        // Terrain collision and suspension
-        const terrainY = getTerrainHeightAt(this.position.x, this.position.z);
-        const terrainRoughness = getTerrainRoughnessAt(this.position.x, this.position.z);
-        
-        // Add cartoon bounce effect to suspension - position directly on terrain plus suspension
-        const targetHeight = terrainY + this.suspensionHeight + (this.bounce * 0.7);
+        // Resolve hits against solid trees and rocks
+        const impacts = boundaryImpacts;
+        if (getObstaclesNear) {
+            const queryRadius = this.collisionRadius + Math.max(...this.collisionCircles.map(Math.abs));
+            const obstacles = getObstaclesNear(this.position.x, this.position.z, queryRadius);
+            impacts.push(...this.resolveObstacleCollisions(obstacles, forwardDir));
+        }
+        const collisionImpulse = this.velocity.clone().sub(velocityBeforeCollisions);
+        this.previousHorizontalVelocity.x += collisionImpulse.x;
+        this.previousHorizontalVelocity.z += collisionImpulse.z;
         
-        // Apply suspension force with cartoony bounce
-        if (this.position.y < targetHeight) {
-            // When hitting ground, determine bounce based on velocity and roughness
-            this.groundContact = true;
-            
-            // Calculate impact velocity and bounce accordingly
-            const impactVelocity = Math.max(0, -this.velocity.y);
+        // Never let the body sink into the ground, whatever the springs are doing.
+        // Upright that is the chassis, on its side the wheels, upside down the roll cage.
+        const terrainY = getTerrainHeightAt(this.position.x, this.position.z);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.orientation);
+        const clearance = Math.max(
+            this.minBodyClearance * up.y,
+            this.roofClearance * -up.y,
+            this.sideClearance * Math.sqrt(Math.max(0, 1 - up.y * up.y))
+        );
+        this.bodyContact = this.position.y < terrainY + clearance;
+        if (this.bodyContact) {
+            this.position.y = terrainY + clearance;
+            this.velocity.y = Math.max(0, this.velocity.y);
             
-            // Big impacts cause monster truck bounce - less extreme for more realism
-            if (impactVelocity > 5) {
-                this.bounceVelocity = impactVelocity * 0.2; // Reduced from 0.3 for less exaggerated bounce
+            // A body scraping along the ground slides to a stop
+            if (!this.groundContact) {
+                const scrape = Math.exp(-this.bodyFriction * deltaTime);
+                this.velocity.x *= scrape;
+                this.velocity.z *= scrape;
+                this.angularVelocity *= scrape;
+                this.pitchVelocity *= scrape;
+                this.rollVelocity *= scrape;
             }
-            
-            // Apply suspension stiffness
-            const compressionFactor = (targetHeight - this.position.y) / this.suspensionTravel;
-            const suspensionForce = compressionFactor * this.suspensionStiffness * 9.8 * this.mass;
-            
-            // Apply damping to suspension
-            const suspensionDampingForce = -this.velocity.y * this.suspensionDamping * this.mass;
-            
-            // Update position and velocity based on suspension
-            this.position.y = targetHeight;
-            this.velocity.y = Math.max(0, this.velocity.y); // Don't let it go negative when grounded
-            
-            // Set groundNormal based on terrain
-            this.groundNormal.set(0, 1, 0); // For simplicity, always up
-        } else {
-            // When airborne
-            this.groundContact = false;
-            
-            // Apply gravity normally
-            // Already done in acceleration section
         }
         
-        // Update bounce effect for cartoon feel
-        this.bounce += this.bounceVelocity * deltaTime;
-        this.bounceVelocity -= 5 * this.bounce * deltaTime; // Spring effect
-        this.bounceVelocity *= 0.95; // Damping
-        this.bounce *= 0.95; // Decay bounce over time
+        // Jumps, landings and rollovers
+        const landing = this.updateAirState(deltaTime, up, speed);
         
-        // Simple collision with ground (prevent going below terrain)
-        if (this.position.y < terrainY + 0.1) { // Reduced minimum ground clearance from 0.5 to 0.1
-            this.position.y = terrainY + 0.1;
-            this.velocity.y = Math.max(0, this.velocity.y);
-        }
+        // Slides for drift scoring
+        const drift = this.updateDrift(deltaTime, forwardDir, rightDir);
+        
+        // Hard hits and bad landings damage the truck
+        const damageEvents = this.applyDamage(impacts, landing);
         
         // Calculate wheel rotation speed
         const wheelRotationSpeed = this.velocity.dot(forwardDir);
@@ -346,66 +492,423 @@ export class TruckPhysics {
             steering: this.steering,
             steeringAngle: this.steering * this.maxSteeringAngle,
             speed: speed,
+            rpm: this.drivetrain.rpm,
+            gear: this.drivetrain.gear,
+            gearLabel: this.drivetrain.gearLabel,
+            automatic: this.drivetrain.automatic,
             velocity: this.velocity.clone(),
             groundNormal: this.groundNormal.clone(),
             groundContact: this.groundContact,
-            bounce: this.bounce,
-            nitroActive: this.nitroActive
+            pitch: this.pitch,
+            roll: this.roll,
+            orientation: this.orientation.clone(),
+            airborne: !this.groundContact && !this.bodyContact,
+            airTime: this.airTime,
+            landing: landing,
+            handbrake: this.handbrake,
+            driftAngle: this.driftAngle,
+            drifting: this.drift.active,
+            driftTime: this.drift.time,
+            drift: drift,
+            damage: this.damage.getState(),
+            damageEvents: damageEvents,
+            rolledOver: this.rolledOver,
+            upsideDown: up.y < 0,
+            wheels: this.wheels.map(wheel => ({
+                compression: wheel.compression,
+                compressionRatio: wheel.compression / this.suspensionTravel,
+                contact: wheel.contact,
+                force: wheel.force
+            })),
+            surface: surface.name,
+            impacts: impacts,
+            nitroActive: this.nitroActive,
+            nitroBoost: this.nitroBoost,
+            nitroLevel: this.nitroLevel / this.nitroCapacity,
+            nitroCooldown: this.nitroCooldown
         };
     }
     
+    // Advance yaw, pitch and roll. On the ground pitch and roll follow the suspension
+    // torques; in the air the body spins freely in 3D and the player can lean it.
+    integrateOrientation(deltaTime, suspension) {
+        if (this.groundContact) {
+            // Update rotation
+            this.rotation += this.angularVelocity * deltaTime;
+            
+            // Integrate pitch and roll from the suspension torques
+            const tiltDamping = Math.exp(-this.tiltDamping * deltaTime);
+            this.pitchVelocity = (this.pitchVelocity + suspension.pitchTorque / this.pitchInertia * deltaTime) * tiltDamping;
+            this.rollVelocity = (this.rollVelocity + suspension.rollTorque / this.rollInertia * deltaTime) * tiltDamping;
+            this.pitch += this.pitchVelocity * deltaTime;
+            this.roll += this.rollVelocity * deltaTime;
+            this.orientation.setFromEuler(new THREE.Euler(this.pitch, this.rotation, this.roll, 'YXZ'));
+            return;
+        }
+        
+        // Player air control - lean forward/back and barrel roll
+        this.pitchVelocity += this.airControl.pitch * this.airPitchControl * deltaTime;
+        this.rollVelocity += this.airControl.roll * this.airRollControl * deltaTime;
+        
+        const airDamping = Math.exp(-this.airAngularDamping * deltaTime);
+        this.pitchVelocity *= airDamping;
+        this.rollVelocity *= airDamping;
+        this.angularVelocity *= airDamping;
+        
+        // Rotate the body about its own axes
+        const bodyRate = new THREE.Vector3(this.pitchVelocity, this.angularVelocity, this.rollVelocity);
+        const rate = bodyRate.length();
+        if (rate > 1e-6) {
+            const step = new THREE.Quaternion().setFromAxisAngle(bodyRate.divideScalar(rate), rate * deltaTime);
+            this.orientation.setFromEuler(new THREE.Euler(this.pitch, this.rotation, this.roll, 'YXZ'));
+            this.orientation.multiply(step).normalize();
+            
+            // Back to yaw/pitch/roll, keeping yaw and roll continuous across full turns
+            const euler = new THREE.Euler().setFromQuaternion(this.orientation, 'YXZ');
+            this.rotation += wrapAngle(euler.y - this.rotation);
+            this.roll += wrapAngle(euler.z - this.roll);
+            this.pitch = euler.x;
+        }
+        
+        // Count total rotation for flip scoring
+        this.airRotation.pitch += Math.abs(this.pitchVelocity) * deltaTime;
+        this.airRotation.roll += Math.abs(this.rollVelocity) * deltaTime;
+    }
+    
+    // Track time in the air, score the landing when the truck comes back down, and
+    // detect when it has ended up stuck on its side or roof.
+    updateAirState(deltaTime, up, speed) {
+        let landing = null;
+        const touchingGround = this.groundContact || this.bodyContact;
+        
+        if (!touchingGround) {
+            this.airTime += deltaTime;
+        } else if (this.airTime > 0) {
+            if (this.airTime >= this.minAirTimeForLanding) {
+                landing = this.evaluateLanding(up);
+            }
+            this.airTime = 0;
+            this.airRotation.pitch = 0;
+            this.airRotation.roll = 0;
+        }
+        
+        // Stuck on the side or roof and not going anywhere
+        if (this.bodyContact && up.y < 0.3 && speed < 3) {
+            this.rolloverTime += deltaTime;
+        } else {
+            this.rolloverTime = 0;
+        }
+        this.rolledOver = this.rolloverTime >= this.rolloverDelay;
+        
+        return landing;
+    }
+    
+    // Turn this step's impacts and landing into damage. Returns what was damaged, with
+    // body-space hit points so the truck model can dent and shed parts.
+    applyDamage(impacts, landing) {
+        const events = [];
+        
+        impacts.forEach(impact => {
+            // The point on the truck that hit, on the side facing away from the push-out normal
+            const contact = this.position.clone().addScaledVector(impact.normal, -this.collisionRadius);
+            const localPoint = toBodySpace(contact, this.position, this.orientation);
+            const event = this.damage.applyImpact(localPoint, impact.energy, impact.kind);
+            if (event) events.push(event);
+        });
+        
+        if (landing) {
+            // Whichever side of the truck faced the ground takes the landing
+            const groundPoint = this.position.clone().add(new THREE.Vector3(0, -2.5, 0));
+            const localPoint = toBodySpace(groundPoint, this.position, this.orientation);
+            const energy = landing.energy * this.landingDamageShare[landing.quality];
+            const event = this.damage.applyImpact(localPoint, energy, 'landing');
+            if (event) events.push(event);
+        }
+        
+        return events;
+    }
+    
+    repair() {
+        this.damage.repair();
+    }
+    
+    // Measure the slip angle and time continuous slides. Returns a summary when a drift
+    // long enough to count comes to an end.
+    updateDrift(deltaTime, forwardDir, rightDir) {
+        const forwardSpeed = this.velocity.dot(forwardDir);
+        const lateralSpeed = this.velocity.dot(rightDir);
+        this.driftAngle = Math.atan2(lateralSpeed, Math.abs(forwardSpeed));
+        
+        const angle = Math.abs(this.driftAngle);
+        const horizontalSpeed = Math.hypot(forwardSpeed, lateralSpeed);
+        const sliding = this.groundContact && forwardSpeed > 0 &&
+            horizontalSpeed > this.driftMinSpeed && angle > this.driftMinAngle;
+        
+        const drift = this.drift;
+        if (sliding) {
+            drift.active = true;
+            drift.graceTimer = this.driftGraceTime;
+            drift.time += deltaTime;
+            drift.angleSum += angle * deltaTime;
+            drift.maxAngle = Math.max(drift.maxAngle, angle);
+            return null;
+        }
+        
+        if (!drift.active) return null;
+        
+        // Keep the drift alive through brief wobbles while changing direction
+        drift.graceTimer -= deltaTime;
+        if (drift.graceTimer > 0 && this.groundContact) return null;
+        
+        const result = drift.time >= this.minDriftDuration ? {
+            duration: drift.time,
+            maxAngle: drift.maxAngle,
+            averageAngle: drift.angleSum / drift.time,
+            score: Math.round(drift.time * (drift.angleSum / drift.time) * 180 / Math.PI * 5)
+        } : null;
+        
+        drift.active = false;
+        drift.time = 0;
+        drift.angleSum = 0;
+        drift.maxAngle = 0;
+        return result;
+    }
+    
+    evaluateLanding(up) {
+        const tilt = up.angleTo(this.groundNormal);
+        const impactSpeed = Math.max(0, -this.lastVerticalVelocity);
+        const flips = Math.floor(this.airRotation.pitch / (Math.PI * 2) + 0.25);
+        const barrelRolls = Math.floor(this.airRotation.roll / (Math.PI * 2) + 0.25);
+        
+        let quality = 'rough';
+        if (!this.groundContact || tilt > this.crashLandingTilt || impactSpeed > this.crashLandingSpeed) {
+            quality = 'crash';
+        } else if (tilt < this.cleanLandingTilt && impactSpeed < this.cleanLandingSpeed) {
+            quality = 'clean';
+        }
+        
+        // Air time and tricks score, halved for a sloppy landing and lost in a crash
+        const trickScore = this.airTime * 100 + (flips + barrelRolls) * 500;
+        const multiplier = quality === 'clean' ? 1 : quality === 'rough' ? 0.5 : 0;
+        
+        return {
+            quality,
+            airTime: this.airTime,
+            impactSpeed,
+            energy: 0.5 * this.mass * impactSpeed * impactSpeed,
+            tilt,
+            flips,
+            barrelRolls,
+            score: Math.round(trickScore * multiplier)
+        };
+    }
+    
+    // Put a rolled-over truck back on its wheels where it is
+    rightTruck() {
+        this.pitch = 0;
+        this.roll = 0;
+        this.pitchVelocity = 0;
+        this.rollVelocity = 0;
+        this.angularVelocity = 0;
+        this.velocity.set(0, 0, 0);
+        this.position.y += this.roofClearance;
+        this.orientation.setFromEuler(new THREE.Euler(0, this.rotation, 0, 'YXZ'));
+        this.rolloverTime = 0;
+        this.rolledOver = false;
+    }
+    
+    // Raycast each wheel down to the terrain and work out its spring and damper force.
+    // Returns the total force (world space), the pitch and roll torques (body space)
+    // and how many wheels are touching the ground.
+    updateSuspension(deltaTime, getTerrainHeightAt, surface) {
+        this.orientation.setFromEuler(new THREE.Euler(this.pitch, this.rotation, this.roll, 'YXZ'));
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.orientation);
+        
+        // Soft ground soaks up bounces, hard ground gives them back
+        const damping = this.springDamping / surface.bounce;
+        
+        const result = { force: new THREE.Vector3(), pitchTorque: 0, rollTorque: 0, contacts: 0 };
+        const groundPoints = [];
+        
+        this.wheels.forEach((wheel, index) => {
+            const anchor = wheel.anchor.clone().applyQuaternion(this.orientation).add(this.position);
+            
+            // Rough surfaces shake each wheel a little differently
+            const phase = this.roughnessPhase + index * 1.3;
+            const bump = Math.sin(phase * 1.7) * Math.sin(phase * 0.63 + index) *
+                surface.roughness * this.roughnessBumpHeight;
+            const groundY = getTerrainHeightAt(anchor.x, anchor.z) + bump;
+            groundPoints.push(new THREE.Vector3(anchor.x, groundY, anchor.z));
+            
+            // Distance along the body's down axis to where the tire meets the ground
+            const springLength = up.y > 0.1
+                ? (anchor.y - groundY) / up.y - this.wheelRadius
+                : Infinity;
+            const compression = this.suspensionRestLength - springLength;
+            
+            if (compression <= 0) {
+                // Wheel hanging free
+                wheel.compression = 0;
+                wheel.contact = false;
+                wheel.force = 0;
+                return;
+            }
+            
+            const compressionVelocity = (compression - wheel.compression) / deltaTime;
+            let force = this.springStiffness * compression + damping * compressionVelocity;
+            if (compression > this.suspensionTravel) {
+                force += this.bumpStopStiffness * (compression - this.suspensionTravel);
+            }
+            force = Math.max(0, force); // Springs push, they never pull the tire down
+            
+            wheel.compression = Math.min(compression, this.suspensionTravel);
+            wheel.contact = true;
+            wheel.force = force;
+            
+            result.force.addScaledVector(up, force);
+            result.pitchTorque -= force * wheel.anchor.z;
+            result.rollTorque += force * wheel.anchor.x;
+            result.contacts++;
+        });
+        
+        // Ground normal from the two diagonals between the wheel contact points
+        const diagonalA = groundPoints[3].clone().sub(groundPoints[0]);
+        const diagonalB = groundPoints[2].clone().sub(groundPoints[1]);
+        this.groundNormal.crossVectors(diagonalA, diagonalB).normalize();
+        if (this.groundNormal.y < 0) {
+            this.groundNormal.negate();
+        }
+        
+        return result;
+    }
+    
+    // Push the truck out of any obstacles it overlaps and bounce its velocity off them.
+    // Returns an impact event for every obstacle hit while moving into it.
+    resolveObstacleCollisions(obstacles, forwardDir) {
+        const impacts = [];
+        if (!obstacles || obstacles.length === 0) return impacts;
+        
+        const truckBottom = this.position.y - this.suspensionHeight;
+        const truckTop = this.position.y + this.collisionHeight;
+        const normal = new THREE.Vector3();
+        
+        for (const offset of this.collisionCircles) {
+            for (const obstacle of obstacles) {
+                // Circle of the obstacle at the truck's height
+                let obstacleRadius;
+                if (obstacle.type === 'sphere') {
+                    const closestY = Math.max(truckBottom, Math.min(truckTop, obstacle.y));
+                    const dy = closestY - obstacle.y;
+                    if (Math.abs(dy) >= obstacle.radius) continue;
+                    obstacleRadius = Math.sqrt(obstacle.radius * obstacle.radius - dy * dy);
+                } else {
+                    if (truckTop < obstacle.baseY || truckBottom > obstacle.baseY + obstacle.height) continue;
+                    obstacleRadius = obstacle.radius;
+                }
+                
+                const circleX = this.position.x + forwardDir.x * offset;
+                const circleZ = this.position.z + forwardDir.z * offset;
+                const dx = circleX - obstacle.x;
+                const dz = circleZ - obstacle.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const minDistance = this.collisionRadius + obstacleRadius;
+                if (distance >= minDistance) continue;
+                
+                // Push straight out of the obstacle
+                if (distance > 1e-6) {
+                    normal.set(dx / distance, 0, dz / distance);
+                } else {
+                    normal.copy(forwardDir).multiplyScalar(-Math.sign(offset) || -1);
+                }
+                const penetration = minDistance - distance;
+                this.position.x += normal.x * penetration;
+                this.position.z += normal.z * penetration;
+                
+                // Only respond when moving into the obstacle
+                const normalSpeed = this.velocity.dot(normal);
+                if (normalSpeed >= 0) continue;
+                
+                // Bounce back along the normal
+                const impulse = -(1 + this.obstacleRestitution) * normalSpeed;
+                this.velocity.addScaledVector(normal, impulse);
+                
+                // Scrub some of the sliding speed along the obstacle
+                const tangent = this.velocity.clone().sub(normal.clone().multiplyScalar(this.velocity.dot(normal)));
+                tangent.y = 0;
+                const tangentSpeed = tangent.length();
+                if (tangentSpeed > 1e-6) {
+                    const scrub = Math.min(tangentSpeed, this.obstacleFriction * impulse);
+                    this.velocity.addScaledVector(tangent, -scrub / tangentSpeed);
+                }
+                
+                // Off-center hits spin the truck around
+                const torque = forwardDir.z * offset * normal.x - forwardDir.x * offset * normal.z;
+                this.angularVelocity += torque * impulse * this.obstacleSpinFactor;
+                
+                if (-normalSpeed < this.minImpactSpeed) continue;
+                
+                impacts.push({
+                    type: 'obstacle',
+                    kind: obstacle.kind,
+                    speed: -normalSpeed,
+                    energy: 0.5 * this.mass * normalSpeed * normalSpeed,
+                    position: new THREE.Vector3(obstacle.x, this.position.y, obstacle.z),
+                    normal: normal.clone()
+                });
+            }
+        }
+        
+        return impacts;
+    }
+    
     // Process user inputs
     applyUserInput(input, deltaTime = 0.016) {
-        // Apply nitro effect
-        if (input.nitro && !this.nitroActive) {
-            // Activate nitro
-            this.nitroActive = true;
-            this.maxSpeedKmh = this.normalMaxSpeedKmh * this.nitroMultiplier;
-        } else if (!input.nitro && this.nitroActive) {
-            // Deactivate nitro
-            this.nitroActive = false;
-            this.maxSpeedKmh = this.normalMaxSpeedKmh;
-        }
+        // Nitro is held rather than toggled - the tank is handled in updateNitro
+        this.nitroRequested = !!input.nitro;
+        
+        // The gearbox decides what forward/back mean - in automatic, back brakes and then reverses
+        const forwardSpeed = this.velocity.x * Math.sin(this.rotation) + this.velocity.z * Math.cos(this.rotation);
+        const pedals = this.drivetrain.applyInput(input, forwardSpeed);
         
         // Set target controls based on input
-        if (input.forward) {
+        if (pedals.accelerate) {
             // Progressive throttle application
             const throttleIncrement = 0.7; // Reduced from 0.8 for smoother acceleration
             const newThrottle = Math.min(1.0, this.targetThrottle + throttleIncrement * deltaTime);
             this.targetThrottle = newThrottle;
-            this.targetBrake = 0;
-        } else if (input.backward) {
-            // Reverse with progressive application
-            const throttleIncrement = 0.5; // Reduced from 0.6 for smoother reverse
-            const newThrottle = Math.max(-0.4, this.targetThrottle - throttleIncrement * deltaTime);
-            this.targetThrottle = newThrottle;
-            this.targetBrake = 0;
         } else {
             // Gradual throttle release
-            if (Math.abs(this.targetThrottle) > 0.05) {
-                this.targetThrottle *= 0.92; // Increased from 0.95 for quicker deceleration
+            if (this.targetThrottle > 0.05) {
+                this.targetThrottle *= Math.pow(0.92, deltaTime * 60); // 0.92 per 1/60s for quicker deceleration
             } else {
                 this.targetThrottle = 0;
             }
-            this.targetBrake = 0;
         }
         
         // Braking takes priority over throttle
-        if (input.brake) {
+        if (input.brake || pedals.brake) {
             // Progressive brake application
             const brakeIncrement = 0.8; // Increased from 0.7 for more responsive braking
-            const newBrake = Math.min(1.0, this.targetBrake + brakeIncrement * deltaTime);
-            this.targetBrake = newBrake;
+            this.targetBrake = Math.min(1.0, this.targetBrake + brakeIncrement * deltaTime);
             this.targetThrottle = 0;
+        } else {
+            this.targetBrake = 0;
         }
         
+        // Handbrake is all or nothing - the lever itself moves quickly but not instantly
+        this.targetHandbrake = input.handbrake ? 1 : 0;
+        
+        // In the air the same keys lean the truck: forward/back pitch, left/right barrel roll
+        this.airControl.pitch = (input.forward ? 1 : 0) - (input.backward ? 1 : 0);
+        this.airControl.roll = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        
         // Steering input processing - much more responsive steering
         // Apply progressive steering with greatly enhanced response
         const steeringIncrement = 2.5; // Significantly increased from 1.5 for much quicker steering response
-        const steeringDecay = 0.95; // Increased from 0.9 to keep steering input even longer
+        const steeringDecay = 0.95; // Per 1/60s - increased from 0.9 to keep steering input even longer
         
         // Start with decay toward center
-        this.targetSteering *= steeringDecay;
+        this.targetSteering *= Math.pow(steeringDecay, deltaTime * 60);
         
         // Apply steering input progressively but much faster
         if (input.left) {
@@ -418,62 +921,113 @@ export class TruckPhysics {
         }
     }
     
+    // Drain the tank while boosting, refill it after a pause, and lock nitro out for a
+    // while when it runs dry
+    updateNitro(deltaTime) {
+        this.nitroCooldown = Math.max(0, this.nitroCooldown - deltaTime);
+        
+        this.nitroActive = this.nitroRequested && this.nitroCooldown === 0 && this.nitroLevel > 0;
+        const targetBoost = this.nitroActive ? 1 : 0;
+        const rampStep = this.nitroRampRate * deltaTime;
+        this.nitroBoost += Math.max(-rampStep, Math.min(rampStep, targetBoost - this.nitroBoost));
+        
+        if (this.nitroActive) {
+            this.nitroLevel = Math.max(0, this.nitroLevel - this.nitroDrainRate * this.nitroBoost * deltaTime);
+            this.nitroRechargeTimer = this.nitroRechargeDelay;
+            this.maxSpeedKmh = this.normalMaxSpeedKmh * this.nitroMultiplier;
+            
+            if (this.nitroLevel === 0) {
+                this.nitroCooldown = this.nitroEmptyCooldown;
+            }
+        } else {
+            this.nitroRechargeTimer = Math.max(0, this.nitroRechargeTimer - deltaTime);
+            if (this.nitroRechargeTimer === 0) {
+                this.nitroLevel = Math.min(this.nitroCapacity, this.nitroLevel + this.nitroRechargeRate * deltaTime);
+            }
+            
+            // Let the raised top speed fall away gradually instead of slamming the brakes on
+            this.maxSpeedKmh = Math.max(this.normalMaxSpeedKmh, this.maxSpeedKmh - this.nitroSpeedDecay * deltaTime);
+        }
+    }
+    
+    // Refill the nitro tank, e.g. from a pickup. Returns how much was actually added.
+    addNitro(amount) {
+        const added = Math.min(amount, this.nitroCapacity - this.nitroLevel);
+        this.nitroLevel += added;
+        return added;
+    }
+    
+    // Move the scene origin by (dx, dz) - the truck keeps its place in the world
+    shiftOrigin(dx, dz) {
+        this.position.x -= dx;
+        this.position.z -= dz;
+    }
+    
     // Reset the truck physics
     reset() {
         // Reset position on flat terrain
         this.position.set(0, this.suspensionHeight, 0); // Position the truck at suspension height above ground
         this.velocity.set(0, 0, 0);
         this.acceleration.set(0, 0, 0);
+        this.previousHorizontalVelocity.set(0, 0, 0);
         
         // Reset rotation
         this.rotation = 0;
         this.angularVelocity = 0;
+        this.pitch = 0;
+        this.roll = 0;
+        this.pitchVelocity = 0;
+        this.rollVelocity = 0;
+        
+        // Reset suspension
+        this.wheels.forEach(wheel => {
+            wheel.compression = 0;
+            wheel.contact = false;
+            wheel.force = 0;
+        });
+        this.groundNormal.set(0, 1, 0);
+        this.orientation.identity();
+        this.drivetrain.reset();
+        
+        // Reset air and rollover state
+        this.airTime = 0;
+        this.airRotation.pitch = 0;
+        this.airRotation.roll = 0;
+        this.bodyContact = false;
+        this.rolloverTime = 0;
+        this.rolledOver = false;
         
         // Reset controls
         this.throttle = 0;
         this.brake = 0;
+        this.handbrake = 0;
         this.steering = 0;
         this.targetThrottle = 0;
         this.targetBrake = 0;
+        this.targetHandbrake = 0;
+        
+        // Reset drift tracking
+        this.driftAngle = 0;
+        Object.assign(this.drift, { active: false, time: 0, graceTimer: 0, maxAngle: 0, angleSum: 0 });
         this.targetSteering = 0;
         
-        // Reset bounce effects
-        this.bounce = 0;
-        this.bounceVelocity = 0;
+        // Reset bumpy-ground phase
+        this.roughnessPhase = 0;
         
         // Reset nitro state
         this.nitroActive = false;
+        this.nitroRequested = false;
+        this.nitroBoost = 0;
+        this.nitroLevel = this.nitroCapacity;
+        this.nitroRechargeTimer = 0;
+        this.nitroCooldown = 0;
         this.maxSpeedKmh = this.normalMaxSpeedKmh;
         
         return this.position;
     }
     
-    // Trigger boundary collision sound effect
-    triggerBoundaryCollisionSound() {
-        try {
-            // Simple sound using Web Audio API
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            // Connect nodes
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            // Configure sound
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(200, audioContext.currentTime);
-            oscillator.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + 0.2);
-            
-            // Configure volume
-            gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
-            
-            // Play and stop
-            oscillator.start();
-            oscillator.stop(audioContext.currentTime + 0.3);
-        } catch (error) {
-            console.warn('Could not play boundary collision sound:', error);
-        }
+    // Half-size of a walled world, or null when nothing stops the truck
+    get boundaryLimit() {
+        return this.boundary.limit;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { LUTPass } from 'three/addons/postprocessing/LUTPass.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+// Post effects for the painted look - soft bloom, a painterly (Kuwahara) filter, ink
+// outlines, color grading and a vignette, run through one EffectComposer. Every effect
+// can be switched on and off, and quality presets pick a set that suits the device.
+// With quality 'off' the scene is rendered straight to the screen as before.
+//
+// Pass order: scene -> bloom -> painterly -> output (sRGB) -> outlines -> grade -> vignette.
+// Bloom and the painterly filter work on the linear image; outlines and grading come
+// after the sRGB conversion, where their thresholds and LUTs match what's on screen.
+
+export const POST_EFFECTS = Object.freeze(['bloom', 'painterly', 'outlines', 'grade', 'vignette']);
+
+export const POST_QUALITY_PRESETS = Object.freeze({
+    off: Object.freeze({ effects: [], samples: 0, painterlyRadius: 0 }),
+    low: Object.freeze({ effects: ['grade', 'vignette'], samples: 0, painterlyRadius: 0 }),
+    medium: Object.freeze({ effects: ['bloom', 'outlines', 'grade', 'vignette'], samples: 2, painterlyRadius: 0 }),
+    high: Object.freeze({ effects: [...POST_EFFECTS], samples: 4, painterlyRadius: 3 })
+});
+
+// Off unless asked for with ?post= or the P key - the full pipeline is too heavy to run
+// on every machine by default
+export const DEFAULT_POST_QUALITY = 'off';
+
+// Order the quality key steps through
+export const POST_QUALITY_ORDER = Object.freeze(Object.keys(POST_QUALITY_PRESETS));
+
+// Color grades, as functions from an sRGB color (0 to 1) to the graded color. They are
+// baked into 3D lookup tables for LUTPass.
+export const COLOR_GRADES = Object.freeze({
+    neutral: (r, g, b) => [r, g, b],
+
+    // Warm highlights, cool blue-green shadows and a little more color
+    warm: (r, g, b) => {
+        const luma = r * 0.299 + g * 0.587 + b * 0.114;
+        const shadow = (1 - luma) ** 2;
+        const highlight = luma ** 2;
+        return saturate([
+            r + shadow * -0.02 + highlight * 0.05,
+            g + shadow * 0.015 + highlight * 0.02,
+            b + shadow * 0.04 - highlight * 0.05
+        ], 1.12);
+    },
+
+    // Pastel - lifted blacks, gentler contrast, slightly faded color
+    soft: (r, g, b) => saturate([r, g, b].map(c => 0.06 + c * 0.9), 0.9)
+});
+
+export const DEFAULT_COLOR_GRADE = 'warm';
+
+function saturate(color, amount) {
+    const luma = color[0] * 0.299 + color[1] * 0.587 + color[2] * 0.114;
+    return color.map(c => Math.min(1, Math.max(0, luma + (c - luma) * amount)));
+}
+
+// A lookup table for a grade - size³ colors, red fastest, then green, then blue
+export function createGradeLUT(grade, size = 32) {
+    const transform = COLOR_GRADES[grade] ?? COLOR_GRADES[DEFAULT_COLOR_GRADE];
+    const data = new Uint8Array(size * size * size * 4);
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const index = ((b * size + g) * size + r) * 4;
+                const graded = transform(r / (size - 1), g / (size - 1), b / (size - 1));
+                data[index] = Math.round(graded[0] * 255);
+                data[index + 1] = Math.round(graded[1] * 255);
+                data[index + 2] = Math.round(graded[2] * 255);
+                data[index + 3] = 255;
+            }
+        }
+    }
+
+    const texture = new THREE.Data3DTexture(data, size, size, size);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Kuwahara filter - each pixel takes the average color of whichever of the four
+// squares around it varies least, which flattens detail into brush-like patches
+// while keeping edges sharp
+const PainterlyShader = {
+    name: 'PainterlyShader',
+    defines: { RADIUS: 3 },
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        strength: { value: 0.8 }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float strength;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 texel = 1.0 / resolution;
+            vec3 best = vec3(0.0);
+            float bestVariance = 1e20;
+            const float count = float((RADIUS + 1) * (RADIUS + 1));
+
+            for (int quadrant = 0; quadrant < 4; quadrant++) {
+                vec2 direction = vec2(quadrant % 2 == 0 ? -1.0 : 1.0, quadrant < 2 ? -1.0 : 1.0);
+                vec3 sum = vec3(0.0);
+                vec3 sumSquares = vec3(0.0);
+                for (int y = 0; y <= RADIUS; y++) {
+                    for (int x = 0; x <= RADIUS; x++) {
+                        vec3 color = texture2D(tDiffuse, vUv + vec2(float(x), float(y)) * direction * texel).rgb;
+                        sum += color;
+                        sumSquares += color * color;
+                    }
+                }
+                vec3 mean = sum / count;
+                vec3 variance = abs(sumSquares / count - mean * mean);
+                float total = variance.r + variance.g + variance.b;
+                if (total < bestVariance) {
+                    bestVariance = total;
+                    best = mean;
+                }
+            }
+
+            vec4 original = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(mix(original.rgb, best, strength), original.a);
+        }
+    `
+};
+
+// Ink lines where the brightness changes sharply (Sobel filter), in a warm dark brown
+const OutlineShader = {
+    name: 'OutlineShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        threshold: { value: 0.15 }, // Brightness change below this draws no line
+        strength: { value: 0.55 },
+        inkColor: { value: new THREE.Vector3(0.18, 0.13, 0.1) } // Screen (sRGB) color
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float threshold;
+        uniform float strength;
+        uniform vec3 inkColor;
+        varying vec2 vUv;
+
+        float luma(vec2 offset) {
+            return dot(texture2D(tDiffuse, vUv + offset / resolution).rgb, vec3(0.299, 0.587, 0.114));
+        }
+
+        void main() {
+            float tl = luma(vec2(-1.0, 1.0));
+            float t = luma(vec2(0.0, 1.0));
+            float tr = luma(vec2(1.0, 1.0));
+            float l = luma(vec2(-1.0, 0.0));
+            float r = luma(vec2(1.0, 0.0));
+            float bl = luma(vec2(-1.0, -1.0));
+            float b = luma(vec2(0.0, -1.0));
+            float br = luma(vec2(1.0, -1.0));
+            float gx = tr + 2.0 * r + br - tl - 2.0 * l - bl;
+            float gy = tl + 2.0 * t + tr - bl - 2.0 * b - br;
+            float edge = smoothstep(threshold, threshold * 2.0, length(vec2(gx, gy)));
+
+            vec4 color = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(mix(color.rgb, inkColor, edge * strength), color.a);
+        }
+    `
+};
+
+// Which preset a quality name means, falling back to the default
+export function resolvePostQuality(quality) {
+    return POST_QUALITY_PRESETS[quality] ? quality : DEFAULT_POST_QUALITY;
+}
+
+export class PostProcessing {
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+
+        const size = renderer.getSize(new THREE.Vector2());
+        this.composer = new EffectComposer(renderer, new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType
+        }));
+        this.composer.setPixelRatio(renderer.getPixelRatio());
+
+        this.passes = {
+            bloom: new UnrealBloomPass(size.clone(), 0.35, 0.6, 0.85), // Strength, radius, threshold
+            painterly: new ShaderPass(PainterlyShader),
+            outlines: new ShaderPass(OutlineShader),
+            grade: new LUTPass({ intensity: 1 }),
+            vignette: new ShaderPass(VignetteShader)
+        };
+        this.passes.vignette.uniforms.offset.value = 0.8;
+        this.passes.vignette.uniforms.darkness.value = 0.7; // Corners fade about a third of the way to dark grey
+
+        this.composer.addPass(new RenderPass(scene, camera));
+        this.composer.addPass(this.passes.bloom);
+        this.composer.addPass(this.passes.painterly);
+        this.composer.addPass(new OutputPass());
+        this.composer.addPass(this.passes.outlines);
+        this.composer.addPass(this.passes.grade);
+        this.composer.addPass(this.passes.vignette);
+
+        this.luts = new Map(); // Baked grades by name
+        this.setGrade(options.grade ?? DEFAULT_COLOR_GRADE);
+        this.setQuality(options.quality, options.effects);
+        this.setSize(size.x, size.y);
+    }
+
+    // True when frames go through the composer rather than straight to the screen
+    get enabled() {
+        return this.quality !== 'off';
+    }
+
+    // Switch to a quality preset. `effects` (a list of effect names) overrides which
+    // effects the preset turns on; picking effects with post effects off runs them at low.
+    // Unknown names are skipped, like other settings from the URL, and the preset's own
+    // effects are used if none are left.
+    setQuality(quality, effects) {
+        effects = effects?.filter(name => POST_EFFECTS.includes(name));
+        if (!effects?.length) {
+            effects = undefined;
+        }
+        this.quality = resolvePostQuality(quality);
+        if (this.quality === 'off' && effects) {
+            this.quality = 'low';
+        }
+        const preset = POST_QUALITY_PRESETS[this.quality];
+
+        const enabled = new Set(effects ?? preset.effects);
+        POST_EFFECTS.forEach(name => this.setEffect(name, enabled.has(name)));
+
+        // Multisampling on the composer's buffers stands in for the canvas antialiasing
+        // that rendering offscreen loses. New sample counts take effect once the buffers
+        // are recreated.
+        [this.composer.renderTarget1, this.composer.renderTarget2].forEach(target => {
+            if (target.samples !== preset.samples) {
+                target.samples = preset.samples;
+                target.dispose();
+            }
+        });
+
+        if (preset.painterlyRadius > 0) {
+            const painterly = this.passes.painterly.material;
+            painterly.defines.RADIUS = preset.painterlyRadius;
+            painterly.needsUpdate = true;
+        }
+        return this.quality;
+    }
+
+    // Step to the next quality preset; returns its name
+    cycleQuality() {
+        const index = POST_QUALITY_ORDER.indexOf(this.quality);
+        return this.setQuality(POST_QUALITY_ORDER[(index + 1) % POST_QUALITY_ORDER.length]);
+    }
+
+    setEffect(name, on) {
+        if (!this.passes[name]) {
+            throw new Error(`Unknown post effect "${name}" - pick one of ${POST_EFFECTS.join(', ')}`);
+        }
+        this.passes[name].enabled = on;
+    }
+
+    // Flip one effect; returns whether it is now on. With post effects off, the effect is
+    // switched on by itself at low quality, so the composer runs it.
+    toggleEffect(name) {
+        if (!this.enabled) {
+            this.setQuality('low', [name]);
+        } else {
+            this.setEffect(name, !this.isEffectOn(name));
+        }
+        return this.isEffectOn(name);
+    }
+
+    isEffectOn(name) {
+        return this.passes[name].enabled;
+    }
+
+    // Effects that are switched on, in pass order
+    get activeEffects() {
+        return POST_EFFECTS.filter(name => this.isEffectOn(name));
+    }
+
+    setGrade(grade) {
+        this.grade = COLOR_GRADES[grade] ? grade : DEFAULT_COLOR_GRADE;
+        if (!this.luts.has(this.grade)) {
+            this.luts.set(this.grade, createGradeLUT(this.grade));
+        }
+        this.passes.grade.lut = this.luts.get(this.grade);
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+        const pixelRatio = this.renderer.getPixelRatio();
+        [this.passes.painterly, this.passes.outlines].forEach(pass => {
+            pass.uniforms.resolution.value.set(width * pixelRatio, height * pixelRatio);
+        });
+    }
+
+    render(deltaTime) {
+        if (this.enabled) {
+            this.composer.render(deltaTime);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    dispose() {
+        this.composer.dispose();
+        Object.values(this.passes).forEach(pass => pass.dispose());
+        this.luts.forEach(lut => lut.dispose());
+    }
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+
+// Rain and snow falling in a box around the camera. Drops that fall out of the bottom
+// of the box, or that the camera leaves behind, wrap around to the other side, so a
+// fixed number of drops fills the air wherever the truck goes. Rain is drawn as short
+// streaks (one line per drop), snow as flakes (one point per flake); how many of them
+// are drawn follows the rain and snow amounts from Weather.
+
+export class Precipitation {
+    constructor(options = {}) {
+        this.area = options.area ?? 60; // Meters across the box
+        this.height = options.height ?? 30;
+        // Drops at full strength, scaled like the particle budget (see particles.js)
+        this.maxDrops = Math.floor((options.maxDrops ?? 4000) * (options.density ?? 1));
+
+        this.rainSpeed = 18; // m/s
+        this.rainStreak = 0.04; // Seconds of fall each streak shows
+        this.snowSpeed = 1.5; // m/s
+        this.snowSway = 0.6; // m/s side to side
+        this.wind = new THREE.Vector3(1.5, 0, 0.8); // m/s, pushes both
+
+        this.time = 0;
+        this.object = new THREE.Group();
+
+        // Rain - two vertices per drop, the head and the end of its streak
+        this.rainDrops = this.createDrops();
+        this.rainPositions = new Float32Array(this.maxDrops * 6);
+        const rainGeometry = new THREE.BufferGeometry();
+        rainGeometry.setAttribute('position', new THREE.BufferAttribute(this.rainPositions, 3).setUsage(THREE.DynamicDrawUsage));
+        rainGeometry.setDrawRange(0, 0);
+        this.rain = new THREE.LineSegments(rainGeometry, new THREE.LineBasicMaterial({
+            color: 0xC8D8E8,
+            transparent: true,
+            opacity: 0.45,
+            depthWrite: false
+        }));
+
+        // Snow - one point per flake, with its own sway phase
+        this.snowDrops = this.createDrops();
+        this.snowPhases = Float32Array.from({ length: this.maxDrops }, () => Math.random() * Math.PI * 2);
+        const snowGeometry = new THREE.BufferGeometry();
+        snowGeometry.setAttribute('position', new THREE.BufferAttribute(this.snowDrops, 3).setUsage(THREE.DynamicDrawUsage));
+        snowGeometry.setDrawRange(0, 0);
+        this.snow = new THREE.Points(snowGeometry, new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 0.12,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        }));
+
+        [this.rain, this.snow].forEach(layer => {
+            layer.frustumCulled = false; // The box moves with the camera; it is always in view
+            layer.visible = false;
+            this.object.add(layer);
+        });
+    }
+
+    // Positions spread through a box at the origin; they are wrapped around the camera
+    // on the first update
+    createDrops() {
+        const drops = new Float32Array(this.maxDrops * 3);
+        for (let i = 0; i < this.maxDrops; i++) {
+            drops[i * 3] = (Math.random() - 0.5) * this.area;
+            drops[i * 3 + 1] = (Math.random() - 0.5) * this.height;
+            drops[i * 3 + 2] = (Math.random() - 0.5) * this.area;
+        }
+        return drops;
+    }
+
+    // Fall, drift and wrap around `center` (the camera). rain and snow are 0 to 1.
+    update(deltaTime, center, rain, snow) {
+        this.time += deltaTime;
+        this.updateRain(deltaTime, center, rain);
+        this.updateSnow(deltaTime, center, snow);
+    }
+
+    updateRain(deltaTime, center, amount) {
+        const count = Math.floor(this.maxDrops * amount);
+        this.rain.visible = count > 0;
+        if (!count) return;
+
+        const drops = this.rainDrops;
+        const dx = this.wind.x * deltaTime;
+        const dy = -this.rainSpeed * deltaTime;
+        const dz = this.wind.z * deltaTime;
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            drops[i3] += dx;
+            drops[i3 + 1] += dy;
+            drops[i3 + 2] += dz;
+            this.wrapDrop(drops, i3, center);
+
+            // The streak trails back up the way the drop came
+            const i6 = i * 6;
+            this.rainPositions[i6] = drops[i3];
+            this.rainPositions[i6 + 1] = drops[i3 + 1];
+            this.rainPositions[i6 + 2] = drops[i3 + 2];
+            this.rainPositions[i6 + 3] = drops[i3] - this.wind.x * this.rainStreak;
+            this.rainPositions[i6 + 4] = drops[i3 + 1] + this.rainSpeed * this.rainStreak;
+            this.rainPositions[i6 + 5] = drops[i3 + 2] - this.wind.z * this.rainStreak;
+        }
+
+        const geometry = this.rain.geometry;
+        geometry.setDrawRange(0, count * 2);
+        geometry.attributes.position.needsUpdate = true;
+    }
+
+    updateSnow(deltaTime, center, amount) {
+        const count = Math.floor(this.maxDrops * amount);
+        this.snow.visible = count > 0;
+        if (!count) return;
+
+        const drops = this.snowDrops;
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            const sway = Math.sin(this.time * 1.3 + this.snowPhases[i]) * this.snowSway;
+            drops[i3] += (this.wind.x + sway) * deltaTime;
+            drops[i3 + 1] -= this.snowSpeed * deltaTime;
+            drops[i3 + 2] += (this.wind.z + Math.cos(this.time + this.snowPhases[i]) * this.snowSway) * deltaTime;
+            this.wrapDrop(drops, i3, center);
+        }
+
+        const geometry = this.snow.geometry;
+        geometry.setDrawRange(0, count);
+        geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Keep a drop inside the box around the center - most of the box is above it, where
+    // drops fall into view
+    wrapDrop(drops, i3, center) {
+        drops[i3] = center.x + wrap(drops[i3] - center.x, this.area);
+        drops[i3 + 1] = center.y + this.height * 0.1 + wrap(drops[i3 + 1] - center.y - this.height * 0.1, this.height);
+        drops[i3 + 2] = center.z + wrap(drops[i3 + 2] - center.z, this.area);
+    }
+
+    dispose() {
+        this.object.removeFromParent();
+        [this.rain, this.snow].forEach(layer => {
+            layer.geometry.dispose();
+            layer.material.dispose();
+        });
+    }
+}
+
+// An offset folded into [-size/2, size/2)
+function wrap(offset, size) {
+    return offset - Math.floor(offset / size + 0.5) * size;
+}
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+
+// Ruts drawn into the ground. The ground chunks have 10 m between vertices, far too
+// coarse to show a tire-wide rut, so each rut tile of GroundDeformation near the truck
+// gets a patch of ground on the deformation's own 0.5 m grid, lowered by the rut depths.
+// The ground material cuts the coarse ground away wherever there is a patch (see
+// cutGround), so the patch is the only ground drawn there.
+//
+// Patches live under the terrain root in world coordinates. In a wrap-around world each
+// one sits at the copy of its tile nearest the truck.
+export class RutPatches {
+    constructor(terrain, options = {}) {
+        this.terrain = terrain;
+        this.deformation = terrain.deformation;
+        this.material = null; // The ground material without the cut, set by Terrain.build
+        this.range = options.range ?? 250; // Meters - ruts further away are too small to see
+        this.maxBuildsPerUpdate = options.maxBuildsPerUpdate ?? 1; // Spread patch building over frames
+
+        this.patches = new Map(); // By deformation tile key
+        this.pending = new Set(); // Tile keys to build, move or remove patches for
+        this.dirty = new Set(); // Patch keys whose heights need refreshing
+        this.truckTile = null;
+
+        // Which tiles have a patch, for the ground shader. Tile coordinates fold into a
+        // maskSize square, and each texel holds its tile's own coordinates so a tile
+        // folded onto the same texel doesn't lose its ground.
+        this.maskSize = 64; // Tiles - 2 km, more than the ground in view
+        this.maskData = new Float32Array(this.maskSize * this.maskSize * 4);
+        this.mask = new THREE.DataTexture(this.maskData, this.maskSize, this.maskSize, THREE.RGBAFormat, THREE.FloatType);
+        this.mask.needsUpdate = true;
+
+        this.uniforms = {
+            rutMask: { value: this.mask },
+            rutOrigin: { value: new THREE.Vector2() }, // Terrain origin, to get back to world coordinates
+            rutCellSize: { value: this.deformation.cellSize },
+            rutTileCells: { value: this.deformation.tileCells },
+            rutWrapCells: { value: this.deformation.wrapCells ?? 0 }
+        };
+    }
+
+    // Cut the coarse ground away under the patches - for the ground material's
+    // onBeforeCompile
+    cutGround(shader) {
+        Object.assign(shader.uniforms, this.uniforms);
+        shader.vertexShader = 'uniform vec2 rutOrigin;\nvarying vec2 vRutPosition;\n' +
+            shader.vertexShader.replace(
+                '#include <begin_vertex>',
+                '#include <begin_vertex>\n\tvRutPosition = (modelMatrix * vec4(transformed, 1.0)).xz + rutOrigin;'
+            );
+        shader.fragmentShader = 'uniform sampler2D rutMask;\nuniform float rutCellSize;\nuniform float rutTileCells;\nuniform float rutWrapCells;\nvarying vec2 vRutPosition;\n' +
+            shader.fragmentShader.replace(
+                'void main() {',
+                [
+                    'void main() {',
+                    '\tvec2 rutCell = vRutPosition / rutCellSize;',
+                    '\tif (rutWrapCells > 0.0) rutCell = mod(rutCell, rutWrapCells);',
+                    '\tvec2 rutTile = floor(rutCell / rutTileCells);',
+                    `\tvec4 rutPatch = texelFetch(rutMask, ivec2(mod(rutTile, ${this.maskSize}.0)), 0);`,
+                    '\tif (rutPatch.a > 0.5 && rutPatch.xy == rutTile) discard;'
+                ].join('\n')
+            );
+    }
+
+    // Follow the origin shift (see Terrain.shiftOrigin)
+    setOrigin(originX, originZ) {
+        this.uniforms.rutOrigin.value.set(originX, originZ);
+    }
+
+    // Build, move, lower and remove patches for the ruts pressed since the last update
+    // and the truck's new position (scene coordinates)
+    update(truckPosition) {
+        if (!this.material) return;
+
+        const worldX = truckPosition.x + this.terrain.originX;
+        const worldZ = truckPosition.z + this.terrain.originZ;
+        this.deformation.takeChangedTiles().forEach(key => this.pending.add(key));
+
+        // Crossing into another tile can bring ruts into range, or take them out of it
+        const tileSize = this.deformation.cellSize * this.deformation.tileCells;
+        const truckTile = `${Math.floor(worldX / tileSize)},${Math.floor(worldZ / tileSize)}`;
+        if (truckTile !== this.truckTile) {
+            this.truckTile = truckTile;
+            this.deformation.tiles.forEach((tile, key) => this.pending.add(key));
+            this.patches.forEach((patch, key) => this.pending.add(key));
+        }
+
+        let builds = 0;
+        for (const key of this.pending) {
+            const placement = this.deformation.getTile(key) ? this.placeTile(key, worldX, worldZ) : null;
+            const patch = this.patches.get(key);
+            if (!placement) {
+                if (patch) this.removePatch(patch);
+            } else if (!patch || patch.cellX !== placement.cellX || patch.cellZ !== placement.cellZ) {
+                if (builds >= this.maxBuildsPerUpdate) continue;
+                builds++;
+                if (patch) this.removePatch(patch);
+                this.createPatch(key, placement);
+            } else {
+                this.dirty.add(key);
+            }
+            this.pending.delete(key);
+        }
+
+        this.dirty.forEach(key => {
+            const patch = this.patches.get(key);
+            if (patch) this.refreshPatch(patch);
+        });
+        this.dirty.clear();
+    }
+
+    // Where a tile's patch goes - the grid cell of its corner and its size in cells - or
+    // null when it is out of range. In a wrap-around world the tile's cells are moved to
+    // the copy nearest the truck, and the last tile may be cut short by the seam.
+    placeTile(key, worldX, worldZ) {
+        const { cellSize, tileCells, wrapCells } = this.deformation;
+        const [tileX, tileZ] = key.split(',').map(Number);
+        let cellX = tileX * tileCells;
+        let cellZ = tileZ * tileCells;
+        let cellsX = tileCells;
+        let cellsZ = tileCells;
+        if (wrapCells) {
+            cellsX = Math.min(tileCells, wrapCells - cellX);
+            cellsZ = Math.min(tileCells, wrapCells - cellZ);
+            cellX += Math.round((worldX / cellSize - cellX) / wrapCells) * wrapCells;
+            cellZ += Math.round((worldZ / cellSize - cellZ) / wrapCells) * wrapCells;
+        }
+
+        const distanceX = Math.abs((cellX + cellsX / 2) * cellSize - worldX);
+        const distanceZ = Math.abs((cellZ + cellsZ / 2) * cellSize - worldZ);
+        if (Math.max(distanceX, distanceZ) > this.range) return null;
+        return { cellX, cellZ, cellsX, cellsZ };
+    }
+
+    createPatch(key, placement) {
+        const { cellX, cellZ, cellsX, cellsZ } = placement;
+        const cellSize = this.deformation.cellSize;
+        const width = cellsX * cellSize;
+        const depth = cellsZ * cellSize;
+        const centerX = cellX * cellSize + width / 2;
+        const centerZ = cellZ * cellSize + depth / 2;
+
+        // Laid out like a ground chunk, so it has the ground's heights, normals and colors
+        const geometry = new THREE.PlaneGeometry(width, depth, cellsX, cellsZ);
+        const vertices = geometry.attributes.position.array;
+        const ground = new Float32Array(vertices.length / 3);
+        const groundNormals = new Float32Array(vertices.length);
+        const normal = new THREE.Vector3();
+        for (let i = 0, v = 0; i < vertices.length; i += 3, v++) {
+            const x = centerX + vertices[i];
+            const z = centerZ - vertices[i + 1]; // Plane y maps to world -z after rotating flat
+            ground[v] = this.terrain.getWorldGroundHeightAt(x, z);
+            this.terrain.getWorldGroundNormalAt(x, z, normal);
+            groundNormals.set([normal.x, -normal.z, normal.y], i); // Back into the plane's axes
+        }
+        this.terrain.createSurfaceColors(geometry, centerX, centerZ);
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(centerX, 0, centerZ);
+        mesh.receiveShadow = true;
+        this.terrain.root.add(mesh);
+
+        const patch = { key, ...placement, mesh, ground, groundNormals, depths: new Float32Array(ground.length) };
+        this.patches.set(key, patch);
+        this.setMask(key, true);
+        this.refreshPatch(patch);
+        this.touchNeighbors(patch);
+    }
+
+    removePatch(patch) {
+        patch.mesh.removeFromParent();
+        patch.mesh.geometry.dispose();
+        this.patches.delete(patch.key);
+        this.setMask(patch.key, false);
+        this.touchNeighbors(patch);
+    }
+
+    // A patch's edges only sink where the patch next door is there to meet them, so
+    // patches that come and go change their neighbors
+    touchNeighbors(patch) {
+        const tileCells = this.deformation.tileCells;
+        this.patches.forEach((other, key) => {
+            if (other !== patch &&
+                Math.abs(other.cellX - patch.cellX) <= tileCells &&
+                Math.abs(other.cellZ - patch.cellZ) <= tileCells) {
+                this.dirty.add(key);
+            }
+        });
+    }
+
+    // Lower a patch by the rut depths and bend its normals down the sides of the ruts
+    refreshPatch(patch) {
+        const { cellX, cellZ, cellsX, cellsZ, ground, groundNormals, depths } = patch;
+        const { cellSize, tileCells } = this.deformation;
+        const tile = this.deformation.getTile(patch.key);
+        const columns = cellsX + 1;
+
+        for (let row = 0; row <= cellsZ; row++) {
+            for (let column = 0; column <= cellsX; column++) {
+                const v = row * columns + column;
+                if (column > 0 && row > 0 && column < cellsX && row < cellsZ) {
+                    depths[v] = tile[row * tileCells + column];
+                } else {
+                    // On the edge, shared with the tiles next door
+                    const x = cellX + column;
+                    const z = cellZ + row;
+                    depths[v] = this.isCovered(x, z) ? this.deformation.getCellDepth(x, z) : 0;
+                }
+            }
+        }
+
+        const vertices = patch.mesh.geometry.attributes.position.array;
+        const normals = patch.mesh.geometry.attributes.normal.array;
+        const normal = new THREE.Vector3();
+        for (let row = 0; row <= cellsZ; row++) {
+            for (let column = 0; column <= cellsX; column++) {
+                const v = row * columns + column;
+                vertices[v * 3 + 2] = ground[v] - depths[v];
+
+                // Slope of the ruts along x and along the plane's y (world -z)
+                const left = row * columns + Math.max(0, column - 1);
+                const right = row * columns + Math.min(cellsX, column + 1);
+                const back = Math.max(0, row - 1) * columns + column;
+                const front = Math.min(cellsZ, row + 1) * columns + column;
+                const slopeX = (depths[right] - depths[left]) / ((right - left) * cellSize);
+                const slopeY = -(depths[front] - depths[back]) / ((front - back) / columns * cellSize);
+
+                const groundZ = groundNormals[v * 3 + 2];
+                normal.set(groundNormals[v * 3] / groundZ + slopeX, groundNormals[v * 3 + 1] / groundZ + slopeY, 1).normalize();
+                normal.toArray(normals, v * 3);
+            }
+        }
+
+        patch.mesh.geometry.attributes.position.needsUpdate = true;
+        patch.mesh.geometry.attributes.normal.needsUpdate = true;
+    }
+
+    // Whether a grid sample on a patch edge has a patch on every side of it
+    isCovered(x, z) {
+        const tileCells = this.deformation.tileCells;
+        for (const [dx, dz] of [[0, 0], [-1, 0], [0, -1], [-1, -1]]) {
+            const [cellX, cellZ] = this.deformation.wrapCell(x + dx, z + dz);
+            if (!this.patches.has(`${Math.floor(cellX / tileCells)},${Math.floor(cellZ / tileCells)}`)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    setMask(key, on) {
+        const [tileX, tileZ] = key.split(',').map(Number);
+        const size = this.maskSize;
+        const index = ((((tileZ % size) + size) % size) * size + (((tileX % size) + size) % size)) * 4;
+        if (!on && (this.maskData[index] !== tileX || this.maskData[index + 1] !== tileZ)) return;
+
+        this.maskData.set([tileX, tileZ, 0, on ? 1 : 0], index);
+        this.mask.needsUpdate = true;
+    }
+
+    dispose() {
+        this.patches.forEach(patch => {
+            patch.mesh.removeFromParent();
+            patch.mesh.geometry.dispose();
+        });
+        this.patches.clear();
+        this.pending.clear();
+        this.dirty.clear();
+        this.mask.dispose();
+        this.material?.dispose();
+    }
+}
@@ -0,0 +1,83 @@
+// Uniform grid for fast "what is near this point" lookups on the ground plane.
+// Items need x, z and radius properties; they are stored in every cell they overlap.
+export class SpatialHash {
+    constructor(cellSize = 20) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.queryStamp = 0; // Used to skip items already returned by the current query
+    }
+
+    cellRange(x, z, radius) {
+        return {
+            minX: Math.floor((x - radius) / this.cellSize),
+            maxX: Math.floor((x + radius) / this.cellSize),
+            minZ: Math.floor((z - radius) / this.cellSize),
+            maxZ: Math.floor((z + radius) / this.cellSize)
+        };
+    }
+
+    insert(item) {
+        const range = this.cellRange(item.x, item.z, item.radius);
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+                const key = `${cx},${cz}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+
+    remove(item) {
+        const range = this.cellRange(item.x, item.z, item.radius);
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+                const key = `${cx},${cz}`;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                const index = cell.indexOf(item);
+                if (index !== -1) {
+                    cell.splice(index, 1);
+                }
+                if (cell.length === 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+    }
+
+    // All items whose bounds overlap the circle at (x, z)
+    query(x, z, radius, results = []) {
+        const stamp = ++this.queryStamp;
+        const range = this.cellRange(x, z, radius);
+
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+                const cell = this.cells.get(`${cx},${cz}`);
+                if (!cell) continue;
+
+                for (const item of cell) {
+                    if (item.queryStamp === stamp) continue;
+                    item.queryStamp = stamp;
+
+                    const dx = item.x - x;
+                    const dz = item.z - z;
+                    const reach = item.radius + radius;
+                    if (dx * dx + dz * dz <= reach * reach) {
+                        results.push(item);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+}
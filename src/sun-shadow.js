@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+
+// Keeps the sun's shadow map centered on the truck. A directional light's shadows only
+// cover the box of its orthographic shadow camera, so instead of one huge box over the
+// whole world (blurry shadows, and none at all past its edge) a smaller box follows the
+// truck around.
+//
+// Moving the box by arbitrary amounts makes shadow edges crawl and shimmer, because the
+// shadow map texels land on different spots of the ground every frame. So the box only
+// moves in whole texels across the light's view; along the light's direction it can
+// move freely, as that doesn't change where the texels fall.
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class SunShadow {
+    constructor(light, options = {}) {
+        this.light = light;
+        this.size = options.size ?? 150; // Meters from the truck to the edge of the shadow box
+        this.distance = options.distance ?? 200; // Meters from the truck back to the light
+
+        const camera = light.shadow.camera;
+        camera.left = -this.size;
+        camera.right = this.size;
+        camera.top = this.size;
+        camera.bottom = -this.size;
+        camera.far = this.distance * 2;
+        camera.updateProjectionMatrix();
+
+        // Scratch vectors - the light's right and up axes as the shadow camera sees them
+        this.right = new THREE.Vector3();
+        this.up = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+    }
+
+    // Meters of ground covered by one shadow map texel
+    get texelSize() {
+        return this.size * 2 / this.light.shadow.mapSize.width;
+    }
+
+    // Aim the light at `center` from `lightDirection` (pointing toward the light)
+    update(center, lightDirection) {
+        this.direction.copy(lightDirection).normalize();
+        this.snapToTexels(center, this.direction, this.light.target.position);
+        this.light.position.copy(this.light.target.position).addScaledVector(this.direction, this.distance);
+        this.light.target.updateMatrixWorld();
+    }
+
+    // `center` moved onto the nearest shadow texel corner, as seen from the light
+    snapToTexels(center, direction, target = new THREE.Vector3()) {
+        // The same axes Matrix4.lookAt gives the shadow camera
+        this.right.crossVectors(UP, direction);
+        if (this.right.lengthSq() < 1e-8) {
+            this.right.set(1, 0, 0); // Light straight overhead
+        }
+        this.right.normalize();
+        this.up.crossVectors(direction, this.right);
+
+        const texel = this.texelSize;
+        const x = center.dot(this.right);
+        const y = center.dot(this.up);
+        const z = center.dot(direction);
+        return target.copy(this.right).multiplyScalar(Math.round(x / texel) * texel)
+            .addScaledVector(this.up, Math.round(y / texel) * texel)
+            .addScaledVector(direction, z);
+    }
+}
@@ -0,0 +1,73 @@
+// Ground surface types and how they affect driving.
+//  grip              - multiplier on lateral tire grip (1 = normal grass)
+//  rollingResistance - multiplier on rolling resistance (higher = more drag)
+//  bounce            - multiplier on landing and bump bounce
+//  roughness         - how bumpy the surface feels (0 = smooth, 1 = very rough)
+//  dust              - how much dust the wheels kick up (0 = none, 1 = thick plumes)
+//  clumps            - how many clods of earth the tires fling (0 = none, 1 = lots)
+//  marks             - how dark the tire tracks left behind are (0 = none, 1 = black)
+//  rutDepth          - how far one pass of a tire sinks into the ground (m, 0 = hard)
+export const SURFACE_TYPES = Object.freeze({
+    grass: Object.freeze({
+        name: 'grass',
+        color: 0x9CC47A, // Soft meadow green
+        grip: 1.0,
+        rollingResistance: 1.0,
+        bounce: 1.0,
+        roughness: 0.15,
+        dust: 0.15,
+        clumps: 0.2,
+        marks: 0.35,
+        rutDepth: 0
+    }),
+    dirt: Object.freeze({
+        name: 'dirt',
+        color: 0xC9A577, // Warm packed earth
+        grip: 0.85,
+        rollingResistance: 1.3,
+        bounce: 0.9,
+        roughness: 0.35,
+        dust: 0.8,
+        clumps: 0.3,
+        marks: 0.5,
+        rutDepth: 0.02
+    }),
+    sand: Object.freeze({
+        name: 'sand',
+        color: 0xEEDCAA, // Pale golden sand
+        grip: 0.6,
+        rollingResistance: 3.5,
+        bounce: 0.5,
+        roughness: 0.1,
+        dust: 1.0,
+        clumps: 0.1,
+        marks: 0.45,
+        rutDepth: 0.08
+    }),
+    mud: Object.freeze({
+        name: 'mud',
+        color: 0x7A5A3E, // Dark wet brown
+        grip: 0.45,
+        rollingResistance: 5.0,
+        bounce: 0.3,
+        roughness: 0.25,
+        dust: 0.05,
+        clumps: 1.0,
+        marks: 0.75,
+        rutDepth: 0.15
+    }),
+    rock: Object.freeze({
+        name: 'rock',
+        color: 0xA8A39B, // Warm gray stone
+        grip: 1.1,
+        rollingResistance: 0.8,
+        bounce: 1.4,
+        roughness: 0.8,
+        dust: 0.3,
+        clumps: 0.0,
+        marks: 0.15,
+        rutDepth: 0
+    })
+});
+
+export const DEFAULT_SURFACE = SURFACE_TYPES.grass;
@@ -1,95 +1,462 @@
 import * as THREE from 'three';
+import { GradientNoise2D, createRandom, hash2D, normalizeSeed } from './noise.js';
+import { SURFACE_TYPES } from './surfaces.js';
+import { SpatialHash } from './spatial-hash.js';
+import { createBoundary } from './boundaries.js';
+import { GroundDeformation } from './ground-deformation.js';
+import { RutPatches } from './rut-patches.js';
+
+const gridNormal = new THREE.Vector3();
 
 export class Terrain {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
-        this.groundSize = 3500; // Increased from 2000 to make the canvas larger but still finite
-        this.groundSegments = 50; // Reduced since we don't need as many segments for a flat terrain
-        this.terrainMesh = null;
-        this.heightData = null;
+        
+        // The world edge strategy decides the shape of the world: a finite square (walls,
+        // pull back), ground streamed forever (open) or forever repeating (wrap-around)
+        this.boundary = createBoundary(options.boundary);
+        this.endless = !this.boundary.finite;
+        this.wrapsAround = typeof this.boundary.wrap === 'function';
+        this.groundSize = this.boundary.size ?? 3500; // Size of the world square when it has one
+        this.boundaryMarkers = null;
+        
+        // Ground is streamed in square chunks around the truck, like decorations
+        this.groundChunks = new Map();
+        this.groundChunkSize = 250; // Divides groundSize evenly for bounded and wrap-around worlds
+        this.groundChunkSegments = 25; // 10m grid spacing - enough detail for rolling hills
+        this.groundVisibleRange = 600; // Fog hides everything past this
+        this.maxGroundChunksPerUpdate = 2; // Spread chunk building over frames to avoid hitches
+        this.groundMaterial = null;
+        
+        // Weather on the ground (see setGroundWeather) - shader uniforms, 0 to 1
+        this.groundWeather = {
+            groundWetness: { value: 0 },
+            groundSnow: { value: 0 }
+        };
+        
+        // All terrain objects live under one root positioned at -origin. Objects keep
+        // absolute world coordinates while the truck and camera stay near the scene
+        // origin, which avoids float precision jitter far away from spawn.
+        this.root = new THREE.Group();
+        this.originX = 0;
+        this.originZ = 0;
+        
+        // Seeded noise so the same seed always builds the same hills
+        this.seed = normalizeSeed(options.seed ?? 1337);
+        this.noise = new GradientNoise2D(this.seed);
+        this.decorationSeed = hash2D(this.seed, 0x5eed, 0xdec0); // Separate stream for decorations
+        
+        // Hill shape parameters - broad, soft Ghibli-style rolling hills
+        this.hillScale = 320; // Horizontal size of the big hills
+        this.hillHeight = 22; // Peak height of the big hills
+        this.bumpScale = 90; // Horizontal size of the smaller bumps on top
+        this.bumpHeight = 4; // Height of the smaller bumps
+        this.spawnFlatRadius = 40; // Keep the start area flat for spawning
+        this.spawnBlendDistance = 120; // Distance over which hills fade in around spawn
+        
+        // Surface map parameters - large patches so surfaces are readable from the road
+        this.moistureScale = 260; // Size of wet/dry regions (mud vs sand)
+        this.patchScale = 60; // Size of dirt patches within grassland
+        this.rockHeight = 8; // Hilltops above this height turn rocky
+        this.mudHeight = -5; // Wet hollows below this height turn muddy
+        
         this.decorationChunks = new Map();
         this.chunkSize = 100; // Size of each decoration chunk
+        
+        // Decorations are drawn as instanced batches of shared geometry, one batch per
+        // part per chunk. Batches from unloaded chunks go back to a pool for reuse.
+        this.decorationParts = null;
+        this.decorationLayouts = null;
+        this.instancePools = new Map();
+        
+        // Solid trees and rocks register simple colliders here (world coordinates)
+        this.colliders = new SpatialHash(20);
         this.visibleRange = 350; // Increased visible range from 350 to 450
+        
+        // Ruts pressed into soft ground by the tires (see TireTracks) - they lower the
+        // height the physics sees, so the next pass drops into them, and finer patches of
+        // ground show them
+        this.deformation = new GroundDeformation({
+            wrapSize: this.wrapsAround ? this.groundSize : null,
+            maxTiles: options.maxRutTiles
+        });
+        this.rutPatches = new RutPatches(this);
     }
     
     build() {
-        // Create the ground geometry
-        const groundGeometry = new THREE.PlaneGeometry(
-            this.groundSize, 
-            this.groundSize, 
-            this.groundSegments, 
-            this.groundSegments
-        );
+        this.scene.add(this.root);
+        
+        // The ground chunks are cut away under the rut patches, which are drawn with the
+        // same material uncut
+        this.groundMaterial = this.createGroundMaterial(true);
+        this.rutPatches.material = this.createGroundMaterial(false);
         
-        // Create flat height data (no variation)
-        this.createFlatHeightData(groundGeometry);
+        // Shared decoration geometry and materials
+        this.createDecorationAssets();
+        
+        // Build all ground around the spawn point straight away
+        this.updateGroundChunks(new THREE.Vector3(), Infinity);
+        
+        // Add boundary markers to show where the world edge is
+        this.addBoundaryMarkers();
         
-        // Create ground material with softer, more Ghibli-inspired colors
-        const groundMaterial = new THREE.MeshStandardMaterial({
-            color: 0xDDC9A9, // Softer, warmer earth tone
+        return this.root;
+    }
+    
+    // Create ground material - colors come from the surface map. With cutRuts it leaves
+    // holes for the rut patches (see RutPatches).
+    createGroundMaterial(cutRuts) {
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xFFFFFF,
+            vertexColors: true,
             roughness: 0.8,
             metalness: 0.1,
             side: THREE.DoubleSide
         });
         
-        // Create the ground mesh
-        this.terrainMesh = new THREE.Mesh(groundGeometry, groundMaterial);
-        this.terrainMesh.rotation.x = -Math.PI / 2;
-        this.terrainMesh.receiveShadow = true;
-        this.scene.add(this.terrainMesh);
+        // Wet ground is darker and shinier; snow covers it in white
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.groundWeather);
+            shader.fragmentShader = 'uniform float groundWetness;\nuniform float groundSnow;\n' +
+                shader.fragmentShader
+                    .replace(
+                        '#include <color_fragment>',
+                        '#include <color_fragment>\n\tdiffuseColor.rgb *= 1.0 - groundWetness * 0.35;\n\tdiffuseColor.rgb = mix(diffuseColor.rgb, vec3(0.93, 0.95, 1.0), groundSnow * 0.85);'
+                    )
+                    .replace(
+                        '#include <roughnessmap_fragment>',
+                        '#include <roughnessmap_fragment>\n\troughnessFactor *= 1.0 - groundWetness * 0.5;'
+                    );
+            if (cutRuts) {
+                this.rutPatches.cutGround(shader);
+            }
+        };
+        material.customProgramCacheKey = () => cutRuts ? 'ground-cut' : 'ground';
+        return material;
+    }
+    
+    // How wet and how snowy the ground looks, 0 to 1 (see weather.js)
+    setGroundWeather(wetness, snow) {
+        this.groundWeather.groundWetness.value = wetness;
+        this.groundWeather.groundSnow.value = snow;
+    }
+    
+    // Stream ground and decorations around the truck (scene coordinates)
+    update(truckPosition) {
+        this.updateGroundChunks(truckPosition);
+        this.rutPatches.update(truckPosition);
+        this.updateDecorations(truckPosition);
+        this.updateBoundaryMarkers(truckPosition);
+    }
+    
+    // Move the scene origin by (dx, dz) world units. Everything in the terrain
+    // stays put in the world; scene coordinates shift by (-dx, -dz).
+    shiftOrigin(dx, dz) {
+        this.originX += dx;
+        this.originZ += dz;
+        this.root.position.set(-this.originX, 0, -this.originZ);
+        this.rutPatches.setOrigin(this.originX, this.originZ);
+    }
+    
+    updateGroundChunks(truckPosition, maxBuilds = this.maxGroundChunksPerUpdate) {
+        const worldX = truckPosition.x + this.originX;
+        const worldZ = truckPosition.z + this.originZ;
+        const chunkX = Math.floor(worldX / this.groundChunkSize);
+        const chunkZ = Math.floor(worldZ / this.groundChunkSize);
+        const range = Math.ceil(this.groundVisibleRange / this.groundChunkSize);
+        
+        // Remove ground chunks that are too far away
+        for (const [key, chunk] of this.groundChunks) {
+            if (Math.abs(chunk.chunkX - chunkX) > range || Math.abs(chunk.chunkZ - chunkZ) > range) {
+                this.root.remove(chunk.mesh);
+                chunk.mesh.geometry.dispose();
+                this.groundChunks.delete(key);
+            }
+        }
         
-        // Add boundary markers to show the edges
-        this.addBoundaryMarkers();
+        // Collect missing chunks in range
+        const missing = [];
+        for (let x = chunkX - range; x <= chunkX + range; x++) {
+            for (let z = chunkZ - range; z <= chunkZ + range; z++) {
+                if (!this.groundChunks.has(`${x},${z}`) && this.isGroundChunkInWorld(x, z)) {
+                    missing.push({ x, z, distance: Math.max(Math.abs(x - chunkX), Math.abs(z - chunkZ)) });
+                }
+            }
+        }
+        
+        // Build the nearest chunks first
+        missing.sort((a, b) => a.distance - b.distance);
+        const count = Math.min(missing.length, maxBuilds);
+        for (let i = 0; i < count; i++) {
+            this.createGroundChunk(missing[i].x, missing[i].z);
+        }
+    }
+    
+    isGroundChunkInWorld(chunkX, chunkZ) {
+        if (this.endless) return true;
         
-        return this.terrainMesh;
+        const halfChunks = this.groundSize / this.groundChunkSize / 2;
+        return chunkX >= -halfChunks && chunkX < halfChunks && chunkZ >= -halfChunks && chunkZ < halfChunks;
     }
     
-    createFlatHeightData(groundGeometry) {
+    createGroundChunk(chunkX, chunkZ) {
+        const size = this.groundChunkSize;
+        const segments = this.groundChunkSegments;
+        const centerX = chunkX * size + size / 2;
+        const centerZ = chunkZ * size + size / 2;
+        
+        const groundGeometry = new THREE.PlaneGeometry(size, size, segments, segments);
+        
+        // Displace the ground with seeded hills
+        const heightData = this.createHeightData(groundGeometry, centerX, centerZ);
+        
+        // Paint each vertex with the color of its surface type
+        this.createSurfaceColors(groundGeometry, centerX, centerZ);
+        
+        // Create the ground mesh
+        const mesh = new THREE.Mesh(groundGeometry, this.groundMaterial);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(centerX, 0, centerZ);
+        mesh.receiveShadow = true;
+        this.root.add(mesh);
+        
+        this.groundChunks.set(`${chunkX},${chunkZ}`, { chunkX, chunkZ, mesh, heightData });
+    }
+    
+    createHeightData(groundGeometry, centerX, centerZ) {
         const vertices = groundGeometry.attributes.position.array;
-        const width = this.groundSegments + 1;
-        const height = this.groundSegments + 1;
+        const width = this.groundChunkSegments + 1;
         
-        // Create height data array initialized to zero (flat terrain)
-        this.heightData = new Float32Array(width * height);
+        // One height sample per vertex, laid out in the same order as the plane vertices
+        const heightData = new Float32Array(width * width);
         
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 1]; // Note: y is up in geometry, z in world
+        for (let i = 0, v = 0; i < vertices.length; i += 3, v++) {
+            const x = centerX + vertices[i];
+            const z = centerZ - vertices[i + 1]; // Plane y maps to world -z after rotating flat
             
-            // Set all heights to 0 for completely flat terrain
-            vertices[i + 2] = 0;
-            
-            // Store in height data array
-            const ix = Math.floor((x + this.groundSize / 2) / this.groundSize * width);
-            const iz = Math.floor((z + this.groundSize / 2) / this.groundSize * height);
-            if (ix >= 0 && ix < width && iz >= 0 && iz < height) {
-                this.heightData[iz * width + ix] = 0;
-            }
+            const terrainHeight = this.sampleHeight(x, z);
+            vertices[i + 2] = terrainHeight;
+            heightData[v] = terrainHeight;
         }
         
+        groundGeometry.attributes.position.needsUpdate = true;
+        
         // Update normals for lighting
         groundGeometry.computeVertexNormals();
+        
+        return heightData;
+    }
+    
+    createSurfaceColors(groundGeometry, centerX, centerZ) {
+        const vertices = groundGeometry.attributes.position.array;
+        const colors = new Float32Array(vertices.length);
+        const color = new THREE.Color();
+        
+        for (let i = 0; i < vertices.length; i += 3) {
+            const x = centerX + vertices[i];
+            const z = centerZ - vertices[i + 1];
+            
+            color.setHex(this.getWorldSurfaceAt(x, z).color);
+            
+            // Gentle brightness variation so large patches don't look flat
+            const variation = 1 + this.sampleField(x, z, (fx, fz) => this.noise.noise(fx / 12 + 300, fz / 12 - 300)) * 0.06;
+            colors[i] = color.r * variation;
+            colors[i + 1] = color.g * variation;
+            colors[i + 2] = color.b * variation;
+        }
+        
+        groundGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
     }
     
     simplifiedNoise(x, y) {
-        // Simple noise function approximation - now returns 0 for flat terrain
-        return 0;
+        // Layered seeded noise, roughly in [-1, 1]
+        return this.noise.fbm(x, y, 4);
+    }
+    
+    // Sample a noise field at a world position. In a wrap-around world the field repeats
+    // every groundSize meters: coordinates fold into the world square, and close to the
+    // far seams the value cross-fades into the one from the other side so nothing steps.
+    sampleField(x, z, field) {
+        if (!this.wrapsAround) return field(x, z);
+        
+        const size = this.groundSize;
+        const wx = this.boundary.wrap(x);
+        const wz = this.boundary.wrap(z);
+        const tx = this.getSeamBlend(wx);
+        const tz = this.getSeamBlend(wz);
+        
+        const value = field(wx, wz);
+        if (tx === 0 && tz === 0) return value;
+        
+        return value * (1 - tx) * (1 - tz) +
+            field(wx - size, wz) * tx * (1 - tz) +
+            field(wx, wz - size) * (1 - tx) * tz +
+            field(wx - size, wz - size) * tx * tz;
     }
     
+    // 0 away from the seam, rising to 1 at the positive edge of the world square
+    getSeamBlend(value) {
+        const blendDistance = this.boundary.seamBlendDistance;
+        const t = Math.min(1, Math.max(0, (value - (this.groundSize / 2 - blendDistance)) / blendDistance));
+        return t * t * (3 - 2 * t); // Smoothstep
+    }
+    
+    // Raw procedural height at a world position, before it is baked into the grid
+    sampleHeight(x, z) {
+        let terrainHeight = this.sampleField(x, z, (fx, fz) => {
+            // Big, soft rolling hills
+            const hills = this.simplifiedNoise(fx / this.hillScale, fz / this.hillScale) * this.hillHeight;
+            
+            // Smaller bumps on top for something to bounce over
+            return hills + this.noise.fbm(fx / this.bumpScale + 71.3, fz / this.bumpScale - 19.7, 3) * this.bumpHeight;
+        });
+        
+        // Fade hills out near the spawn point (and its copies) so the truck starts on flat ground
+        if (this.wrapsAround) {
+            x = this.boundary.wrap(x);
+            z = this.boundary.wrap(z);
+        }
+        const distanceFromOrigin = Math.sqrt(x * x + z * z);
+        const t = Math.min(1, Math.max(0, (distanceFromOrigin - this.spawnFlatRadius) / this.spawnBlendDistance));
+        const blend = t * t * (3 - 2 * t); // Smoothstep
+        
+        // Round like the Float32 chunk data so loaded and unloaded ground agree
+        return Math.fround(terrainHeight * blend);
+    }
+    
+    // Height of the ground at a scene position
     getHeightAt(x, z) {
-        // Always return 0 for a flat terrain
-        return 0;
+        return this.getWorldHeightAt(x + this.originX, z + this.originZ);
+    }
+    
+    // Height of the ground at a world position, down in any ruts
+    getWorldHeightAt(x, z) {
+        return this.getWorldGroundHeightAt(x, z) - this.deformation.getDepth(x, z);
+    }
+    
+    // Height of the ground at a world position, matching the rendered chunk meshes
+    getWorldGroundHeightAt(x, z) {
+        const cellSize = this.groundChunkSize / this.groundChunkSegments;
+        const gridX = x / cellSize;
+        const gridZ = z / cellSize;
+        const ix = Math.floor(gridX);
+        const iz = Math.floor(gridZ);
+        const fx = gridX - ix;
+        const fz = gridZ - iz;
+        
+        // Corner heights of the grid cell - from the loaded chunk when we have it
+        const h00 = this.getGridHeight(ix, iz);
+        const h10 = this.getGridHeight(ix + 1, iz);
+        const h01 = this.getGridHeight(ix, iz + 1);
+        const h11 = this.getGridHeight(ix + 1, iz + 1);
+        
+        // Interpolate across the same two triangles PlaneGeometry uses for each cell,
+        // so the physics surface matches the rendered ground exactly
+        if (fx + fz <= 1) {
+            return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+        }
+        return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+    }
+    
+    // Normal of the ground at a world position, smoothed across the grid cells like the
+    // rendered chunk meshes
+    getWorldGroundNormalAt(x, z, target = new THREE.Vector3()) {
+        const cellSize = this.groundChunkSize / this.groundChunkSegments;
+        const gridX = x / cellSize;
+        const gridZ = z / cellSize;
+        const ix = Math.floor(gridX);
+        const iz = Math.floor(gridZ);
+        const fx = gridX - ix;
+        const fz = gridZ - iz;
+        
+        // Weigh the corners of the same triangle getWorldGroundHeightAt uses
+        target.set(0, 0, 0);
+        if (fx + fz <= 1) {
+            target.addScaledVector(this.getGridNormal(ix, iz, gridNormal), 1 - fx - fz);
+            target.addScaledVector(this.getGridNormal(ix + 1, iz, gridNormal), fx);
+            target.addScaledVector(this.getGridNormal(ix, iz + 1, gridNormal), fz);
+        } else {
+            target.addScaledVector(this.getGridNormal(ix + 1, iz + 1, gridNormal), fx + fz - 1);
+            target.addScaledVector(this.getGridNormal(ix, iz + 1, gridNormal), 1 - fx);
+            target.addScaledVector(this.getGridNormal(ix + 1, iz, gridNormal), 1 - fz);
+        }
+        return target.normalize();
+    }
+    
+    // Normal at a global grid vertex, straight up where the ground isn't loaded
+    getGridNormal(ix, iz, target) {
+        const segments = this.groundChunkSegments;
+        const chunkX = Math.floor(ix / segments);
+        const chunkZ = Math.floor(iz / segments);
+        const chunk = this.groundChunks.get(`${chunkX},${chunkZ}`);
+        if (!chunk) return target.set(0, 1, 0);
+        
+        const normals = chunk.mesh.geometry.attributes.normal.array;
+        const index = ((iz - chunkZ * segments) * (segments + 1) + (ix - chunkX * segments)) * 3;
+        return target.set(normals[index], normals[index + 2], -normals[index + 1]); // Plane axes to world axes
+    }
+    
+    // Height at a global grid vertex
+    getGridHeight(ix, iz) {
+        const segments = this.groundChunkSegments;
+        const chunkX = Math.floor(ix / segments);
+        const chunkZ = Math.floor(iz / segments);
+        const chunk = this.groundChunks.get(`${chunkX},${chunkZ}`);
+        
+        if (chunk) {
+            const localX = ix - chunkX * segments;
+            const localZ = iz - chunkZ * segments;
+            return chunk.heightData[localZ * (segments + 1) + localX];
+        }
+        
+        const cellSize = this.groundChunkSize / segments;
+        return this.sampleHeight(ix * cellSize, iz * cellSize);
+    }
+    
+    // Surface type at a scene position (see SURFACE_TYPES for the properties)
+    getSurfaceAt(x, z) {
+        return this.getWorldSurfaceAt(x + this.originX, z + this.originZ);
+    }
+    
+    // Surface type at a world position
+    getWorldSurfaceAt(x, z) {
+        const terrainHeight = this.sampleHeight(x, z);
+        const moisture = this.sampleField(x, z, (fx, fz) =>
+            this.noise.fbm(fx / this.moistureScale + 400, fz / this.moistureScale - 300, 3));
+        
+        // Exposed rock on the highest hilltops
+        if (terrainHeight > this.rockHeight) {
+            return SURFACE_TYPES.rock;
+        }
+        
+        // Water collects in low, wet hollows
+        if (terrainHeight < this.mudHeight && moisture > 0) {
+            return SURFACE_TYPES.mud;
+        }
+        
+        // Dry regions turn to sand
+        if (moisture < -0.3) {
+            return SURFACE_TYPES.sand;
+        }
+        
+        // Scattered dirt patches through the grass
+        const patch = this.sampleField(x, z, (fx, fz) =>
+            this.noise.fbm(fx / this.patchScale - 150, fz / this.patchScale + 220, 2));
+        if (patch > 0.3) {
+            return SURFACE_TYPES.dirt;
+        }
+        
+        return SURFACE_TYPES.grass;
     }
     
     getRoughnessAt(x, z) {
-        // Always return 0 since the terrain is perfectly flat
-        return 0;
+        return this.getSurfaceAt(x, z).roughness;
     }
     
     updateDecorations(truckPosition) {
-        // Get the current chunk the truck is in
-        const chunkX = Math.floor(truckPosition.x / this.chunkSize);
-        const chunkZ = Math.floor(truckPosition.z / this.chunkSize);
+        // Get the current chunk the truck is in (decorations are keyed by world position)
+        const chunkX = Math.floor((truckPosition.x + this.originX) / this.chunkSize);
+        const chunkZ = Math.floor((truckPosition.z + this.originZ) / this.chunkSize);
         
         // Range of chunks to keep loaded
         const range = Math.ceil(this.visibleRange / this.chunkSize);
@@ -98,10 +465,7 @@ export class Terrain {
         for (const key of this.decorationChunks.keys()) {
             const [x, z] = key.split(',').map(Number);
             if (Math.abs(x - chunkX) > range || Math.abs(z - chunkZ) > range) {
-                const chunk = this.decorationChunks.get(key);
-                if (chunk) {
-                    chunk.forEach(obj => this.scene.remove(obj));
-                }
+                this.releaseDecorationChunk(this.decorationChunks.get(key));
                 this.decorationChunks.delete(key);
             }
         }
@@ -118,116 +482,225 @@ export class Terrain {
     }
     
     createDecorationChunk(chunkX, chunkZ) {
-        const chunkObjects = [];
+        const chunk = { meshes: [], colliders: [] };
         const chunkKey = `${chunkX},${chunkZ}`;
         
         // Calculate world position of chunk center
         const centerX = chunkX * this.chunkSize + this.chunkSize / 2;
         const centerZ = chunkZ * this.chunkSize + this.chunkSize / 2;
         
+        // In a wrap-around world every chunk is a copy of one inside the world square
+        // (groundSize is a whole number of chunks), so it gets that chunk's decorations
+        let sourceX = chunkX;
+        let sourceZ = chunkZ;
+        let sourceCenterX = centerX;
+        let sourceCenterZ = centerZ;
+        if (this.wrapsAround) {
+            const chunksPerSide = this.groundSize / this.chunkSize;
+            sourceX = ((chunkX % chunksPerSide) + chunksPerSide) % chunksPerSide;
+            sourceZ = ((chunkZ % chunksPerSide) + chunksPerSide) % chunksPerSide;
+            sourceCenterX = this.boundary.wrap(centerX);
+            sourceCenterZ = this.boundary.wrap(centerZ);
+        }
+        
         // Skip chunks near the origin (playing area)
-        const distanceFromOrigin = Math.sqrt(centerX * centerX + centerZ * centerZ);
+        const distanceFromOrigin = Math.sqrt(sourceCenterX * sourceCenterX + sourceCenterZ * sourceCenterZ);
         if (distanceFromOrigin < 40) {
-            this.decorationChunks.set(chunkKey, chunkObjects);
+            this.decorationChunks.set(chunkKey, chunk);
             return;
         }
         
+        // Every chunk gets its own random sequence derived from the world seed and its
+        // coordinates, so a rebuilt chunk always looks exactly the same
+        const random = createRandom(hash2D(this.decorationSeed, sourceX, sourceZ));
+        
+        // Instance transforms (and colors) collected per decoration part
+        const instances = {};
+        const addInstance = (partName, decorationMatrix, localMatrix, color) => {
+            if (!instances[partName]) {
+                instances[partName] = { matrices: [], colors: [] };
+            }
+            instances[partName].matrices.push(decorationMatrix.clone().multiply(localMatrix));
+            if (color !== undefined) {
+                instances[partName].colors.push(color);
+            }
+        };
+        const placement = new THREE.Object3D();
+        
         // Generate more decorations in Ghibli style - more grouped together for visual richness
-        const numTrees = Math.floor(Math.random() * 7) + 3; // More trees
-        const numRocks = Math.floor(Math.random() * 5) + 1; // More rocks, at least 1
-        const numFlowers = Math.floor(Math.random() * 8) + 5; // Many more flowers for color
+        const numTrees = Math.floor(random() * 7) + 3; // More trees
+        const numRocks = Math.floor(random() * 5) + 1; // More rocks, at least 1
         
         // Add trees in more natural clusters
-        const treeClusterX = centerX + (Math.random() - 0.5) * this.chunkSize * 0.5;
-        const treeClusterZ = centerZ + (Math.random() - 0.5) * this.chunkSize * 0.5;
+        const treeClusterX = centerX + (random() - 0.5) * this.chunkSize * 0.5;
+        const treeClusterZ = centerZ + (random() - 0.5) * this.chunkSize * 0.5;
         
         for (let i = 0; i < numTrees; i++) {
             // Create more natural clustering of trees
-            const clusterRadius = 15 + Math.random() * 20;
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * clusterRadius;
+            const clusterRadius = 15 + random() * 20;
+            const angle = random() * Math.PI * 2;
+            const distance = random() * clusterRadius;
             
             const x = treeClusterX + Math.cos(angle) * distance;
             const z = treeClusterZ + Math.sin(angle) * distance;
-            // Flat terrain, so y is always 0
-            const y = 0;
-            
-            // Create tree and add to scene
-            const tree = this.createTree();
-            tree.position.set(x, y, z);
+            // Sink slightly so the trunk base stays buried on slopes
+            const y = this.getWorldGroundHeightAt(x, z) - 0.3;
             
             // More varied sizes for Ghibli style
-            tree.rotation.y = Math.random() * Math.PI * 2;
-            const scale = 1.1 + Math.random() * 1.2; // More varied and larger trees
-            tree.scale.set(scale, scale + (Math.random() * 0.4 - 0.2), scale); // Slightly vary height independently
+            const scale = 1.1 + random() * 1.2; // More varied and larger trees
+            placement.position.set(x, y, z);
+            placement.rotation.set(0, random() * Math.PI * 2, 0);
+            placement.scale.set(scale, scale + (random() * 0.4 - 0.2), scale); // Slightly vary height independently
+            placement.updateMatrix();
+            
+            for (const [partName, localMatrix] of this.decorationLayouts.tree) {
+                addInstance(partName, placement.matrix, localMatrix);
+            }
             
-            this.scene.add(tree);
-            chunkObjects.push(tree);
+            // Trunks are solid - a cylinder a little narrower than the flared base
+            chunk.colliders.push({
+                type: 'cylinder',
+                kind: 'tree',
+                x,
+                z,
+                radius: 0.9 * scale,
+                baseY: y,
+                height: 6 * placement.scale.y
+            });
         }
         
         // Add rocks
+        const smallRockLocal = new THREE.Matrix4();
+        const smallRockRotation = new THREE.Quaternion();
+        const smallRockEuler = new THREE.Euler();
         for (let i = 0; i < numRocks; i++) {
-            const x = centerX + (Math.random() - 0.5) * this.chunkSize * 0.8;
-            const z = centerZ + (Math.random() - 0.5) * this.chunkSize * 0.8;
-            // Flat terrain, so y is always 0
-            const y = 0;
+            const x = centerX + (random() - 0.5) * this.chunkSize * 0.8;
+            const z = centerZ + (random() - 0.5) * this.chunkSize * 0.8;
+            const y = this.getWorldGroundHeightAt(x, z);
+            
+            const scale = 0.6 + random() * 1.0;
+            placement.position.set(x, y, z);
+            placement.rotation.set(0, random() * Math.PI * 2, 0);
+            placement.scale.set(scale, scale * (0.8 + random() * 0.4), scale); // Vary height a bit
+            placement.updateMatrix();
+            
+            addInstance('rockMain', placement.matrix, this.decorationLayouts.rockMain);
             
-            const rock = this.createRock();
-            rock.position.set(x, y, z);
-            rock.rotation.y = Math.random() * Math.PI * 2;
-            const scale = 0.6 + Math.random() * 1.0; 
-            rock.scale.set(scale, scale * (0.8 + Math.random() * 0.4), scale); // Vary height a bit
+            // Boulders are solid spheres; the small side rock is ignored
+            chunk.colliders.push({
+                type: 'sphere',
+                kind: 'rock',
+                x,
+                y: y + 0.2 * placement.scale.y,
+                z,
+                radius: 1.8 * scale
+            });
             
-            this.scene.add(rock);
-            chunkObjects.push(rock);
+            // The smaller rock beside it tumbles differently for each boulder
+            smallRockRotation.setFromEuler(smallRockEuler.set(random(), random(), random()));
+            smallRockLocal.compose(new THREE.Vector3(1.2, 0, 0.5), smallRockRotation, new THREE.Vector3(0.6, 0.6, 0.6));
+            addInstance('rockSmall', placement.matrix, smallRockLocal);
         }
         
         // Add flowers in more deliberate clusters, Ghibli style
         for (let cluster = 0; cluster < 3; cluster++) {
-            const clusterX = centerX + (Math.random() - 0.5) * this.chunkSize * 0.8;
-            const clusterZ = centerZ + (Math.random() - 0.5) * this.chunkSize * 0.8;
+            const clusterX = centerX + (random() - 0.5) * this.chunkSize * 0.8;
+            const clusterZ = centerZ + (random() - 0.5) * this.chunkSize * 0.8;
             
-            const clusterSize = Math.floor(Math.random() * 5) + 3;
+            const clusterSize = Math.floor(random() * 5) + 3;
             
             for (let i = 0; i < clusterSize; i++) {
-                const radius = 2 + Math.random() * 5;
-                const angle = Math.random() * Math.PI * 2;
+                const radius = 2 + random() * 5;
+                const angle = random() * Math.PI * 2;
                 
                 const x = clusterX + Math.cos(angle) * radius;
                 const z = clusterZ + Math.sin(angle) * radius;
-                // Flat terrain, so y is always 0
-                const y = 0;
+                const y = this.getWorldGroundHeightAt(x, z);
                 
-                const flower = this.createFlower();
-                flower.position.set(x, y, z);
-                flower.rotation.y = Math.random() * Math.PI * 2;
-                const scale = 0.9 + Math.random() * 0.5;
-                flower.scale.set(scale, scale, scale);
+                const petalColor = this.flowerColors[Math.floor(random() * this.flowerColors.length)];
+                const scale = 0.9 + random() * 0.5;
+                placement.position.set(x, y, z);
+                placement.rotation.set(0, random() * Math.PI * 2, 0);
+                placement.scale.set(scale, scale, scale);
+                placement.updateMatrix();
                 
-                this.scene.add(flower);
-                chunkObjects.push(flower);
+                for (const [partName, localMatrix] of this.decorationLayouts.flower) {
+                    addInstance(partName, placement.matrix, localMatrix, partName === 'flowerPetal' ? petalColor : undefined);
+                }
+            }
+        }
+        
+        // One instanced batch per decoration part for the whole chunk
+        const color = new THREE.Color();
+        for (const [partName, data] of Object.entries(instances)) {
+            const mesh = this.acquireInstancedMesh(partName);
+            mesh.count = data.matrices.length;
+            
+            data.matrices.forEach((matrix, index) => {
+                mesh.setMatrixAt(index, matrix);
+                if (data.colors.length) {
+                    mesh.setColorAt(index, color.setHex(data.colors[index]));
+                }
+            });
+            
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) {
+                mesh.instanceColor.needsUpdate = true;
             }
+            mesh.computeBoundingSphere();
+            
+            this.root.add(mesh);
+            chunk.meshes.push(mesh);
         }
         
+        chunk.colliders.forEach(collider => this.colliders.insert(collider));
+        
         // Store the chunk
-        this.decorationChunks.set(chunkKey, chunkObjects);
+        this.decorationChunks.set(chunkKey, chunk);
+    }
+    
+    releaseDecorationChunk(chunk) {
+        chunk.colliders.forEach(collider => this.colliders.remove(collider));
+        chunk.colliders.length = 0;
+        
+        chunk.meshes.forEach(mesh => {
+            this.root.remove(mesh);
+            this.instancePools.get(mesh.userData.partName).push(mesh);
+        });
+        chunk.meshes.length = 0;
+    }
+    
+    // Reuse a pooled instanced mesh for a decoration part, or make a new one
+    acquireInstancedMesh(partName) {
+        let pool = this.instancePools.get(partName);
+        if (!pool) {
+            pool = [];
+            this.instancePools.set(partName, pool);
+        }
+        
+        if (pool.length) {
+            return pool.pop();
+        }
+        
+        const part = this.decorationParts[partName];
+        const mesh = new THREE.InstancedMesh(part.geometry, part.material, part.capacity);
+        mesh.castShadow = true;
+        mesh.userData.partName = partName;
+        return mesh;
     }
     
-    createTree() {
-        const tree = new THREE.Group();
+    // Shared geometry and materials for every decoration, built once
+    createDecorationAssets() {
+        // Fixed seed so rock shapes are identical between sessions
+        const random = createRandom(hash2D(this.decorationSeed, 0x70c, 0x70c));
+        const maxTrees = 9;
+        const maxRocks = 5;
+        const maxFlowers = 21;
+        const petalsPerFlower = 8;
         
         // Create a more Ghibli-inspired trunk - slightly curved and tapered
         const trunkGeometry = new THREE.CylinderGeometry(0.5, 1.2, 6, 12);
-        // Add slight bend to trunk vertices
-        const trunkPositions = trunkGeometry.attributes.position.array;
-        for (let i = 0; i < trunkPositions.length; i += 3) {
-            const y = trunkPositions[i + 1];
-            // Apply gentle curve based on height
-            const bendFactor = 0.1 * Math.pow((y + 3) / 6, 2);
-            trunkPositions[i] += bendFactor;
-        }
-        trunkGeometry.attributes.position.needsUpdate = true;
-        trunkGeometry.computeVertexNormals();
+        this.bendGeometry(trunkGeometry, 0.1, 6);
         
         // Warm, rich brown with slight red tint like Ghibli trees
         const trunkMaterial = new THREE.MeshStandardMaterial({
@@ -235,76 +708,15 @@ export class Terrain {
             roughness: 0.9,
             metalness: 0.1
         });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = 3;
-        trunk.castShadow = true;
-        tree.add(trunk);
-        
-        // Create Ghibli-inspired foliage - more rounded and puffy, warmer colors
-        const foliageColors = [
-            0x76A665, // Soft green with hint of blue
-            0x8FBD6B, // Lighter yellow-green
-            0x5A9E5A  // Slightly deeper green
-        ];
-        
-        // Bottom layer - wider and rounder
-        const foliage1 = new THREE.Mesh(
-            new THREE.SphereGeometry(4.8, 10, 10),
-            new THREE.MeshStandardMaterial({
-                color: foliageColors[0],
-                roughness: 0.8
-            })
-        );
-        foliage1.position.y = 6;
-        foliage1.scale.y = 0.9; // Slightly flatten
-        foliage1.castShadow = true;
-        tree.add(foliage1);
-        
-        // Middle layer - also round
-        const foliage2 = new THREE.Mesh(
-            new THREE.SphereGeometry(3.5, 10, 10),
-            new THREE.MeshStandardMaterial({
-                color: foliageColors[1],
-                roughness: 0.8
-            })
-        );
-        foliage2.position.y = 9;
-        foliage2.scale.y = 0.85;
-        foliage2.castShadow = true;
-        tree.add(foliage2);
-        
-        // Top layer - smaller round top
-        const foliage3 = new THREE.Mesh(
-            new THREE.SphereGeometry(2.2, 10, 10),
-            new THREE.MeshStandardMaterial({
-                color: foliageColors[2],
-                roughness: 0.8
-            })
-        );
-        foliage3.position.y = 11.5;
-        foliage3.scale.y = 0.9;
-        foliage3.castShadow = true;
-        tree.add(foliage3);
         
-        return tree;
-    }
-    
-    createRock() {
-        const rock = new THREE.Group();
+        // Ghibli-inspired foliage - more rounded and puffy, warmer colors
+        const foliageMaterial = (color) => new THREE.MeshStandardMaterial({ color, roughness: 0.8 });
         
         // Main rock - more organic, Ghibli-inspired shapes
         const rockGeometry = new THREE.DodecahedronGeometry(1.8, 2); // More subdivision for smooth look
-        
-        // Apply some random gentle deformation to make it more natural
-        const rockPositions = rockGeometry.attributes.position.array;
-        for (let i = 0; i < rockPositions.length; i += 3) {
-            const noise = 0.1 * (Math.random() - 0.5);
-            rockPositions[i] *= 1 + noise;
-            rockPositions[i + 1] *= 1 + noise;
-            rockPositions[i + 2] *= 1 + noise;
-        }
-        rockGeometry.attributes.position.needsUpdate = true;
-        rockGeometry.computeVertexNormals();
+        this.deformGeometry(rockGeometry, 0.1, random);
+        const smallRockGeometry = new THREE.DodecahedronGeometry(1, 1);
+        this.deformGeometry(smallRockGeometry, 0.15, random);
         
         // Warmer gray with hint of warmth like Ghibli rocks
         const rockMaterial = new THREE.MeshStandardMaterial({
@@ -313,158 +725,230 @@ export class Terrain {
             metalness: 0.1
         });
         
-        const mainRock = new THREE.Mesh(rockGeometry, rockMaterial);
-        mainRock.castShadow = true;
-        mainRock.position.y = 0.2;
-        rock.add(mainRock);
-        
-        // Add a smaller rock beside it for more natural look
-        const smallRockGeometry = new THREE.DodecahedronGeometry(1, 1);
-        // Apply similar deformation
-        const smallRockPositions = smallRockGeometry.attributes.position.array;
-        for (let i = 0; i < smallRockPositions.length; i += 3) {
-            const noise = 0.15 * (Math.random() - 0.5);
-            smallRockPositions[i] *= 1 + noise;
-            smallRockPositions[i + 1] *= 1 + noise;
-            smallRockPositions[i + 2] *= 1 + noise;
-        }
-        smallRockGeometry.attributes.position.needsUpdate = true;
-        smallRockGeometry.computeVertexNormals();
-        
-        const smallRock = new THREE.Mesh(smallRockGeometry, rockMaterial);
-        smallRock.position.set(1.2, 0, 0.5);
-        smallRock.scale.set(0.6, 0.6, 0.6);
-        smallRock.rotation.set(Math.random(), Math.random(), Math.random());
-        smallRock.castShadow = true;
-        rock.add(smallRock);
+        // Flower stem with slight curve
+        const stemGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1.3, 8);
+        this.bendGeometry(stemGeometry, 0.06, 1.3);
         
-        return rock;
-    }
-    
-    createFlower() {
-        const flower = new THREE.Group();
+        // Petal color comes from each instance; the subtle glow follows it
+        const petalMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFFFFFF,
+            roughness: 0.5, // Slightly glossier for vibrant look
+            metalness: 0.05,
+            emissive: 0xFFFFFF,
+            emissiveIntensity: 0.1 // Subtle glow effect
+        });
+        petalMaterial.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                '#include <emissivemap_fragment>',
+                '#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor.rgb;'
+            );
+        };
+        
+        this.decorationParts = {
+            treeTrunk: { geometry: trunkGeometry, material: trunkMaterial, capacity: maxTrees },
+            treeFoliageBottom: { geometry: new THREE.SphereGeometry(4.8, 10, 10), material: foliageMaterial(0x76A665), capacity: maxTrees }, // Soft green with hint of blue
+            treeFoliageMiddle: { geometry: new THREE.SphereGeometry(3.5, 10, 10), material: foliageMaterial(0x8FBD6B), capacity: maxTrees }, // Lighter yellow-green
+            treeFoliageTop: { geometry: new THREE.SphereGeometry(2.2, 10, 10), material: foliageMaterial(0x5A9E5A), capacity: maxTrees }, // Slightly deeper green
+            rockMain: { geometry: rockGeometry, material: rockMaterial, capacity: maxRocks },
+            rockSmall: { geometry: smallRockGeometry, material: rockMaterial, capacity: maxRocks },
+            flowerStem: {
+                geometry: stemGeometry,
+                material: new THREE.MeshStandardMaterial({ color: 0x7EC850, roughness: 0.8 }), // Brighter green
+                capacity: maxFlowers
+            },
+            flowerCenter: {
+                geometry: new THREE.SphereGeometry(0.2, 8, 8),
+                material: new THREE.MeshStandardMaterial({
+                    color: 0xFFFF80, // Brighter yellow center
+                    roughness: 0.5,
+                    emissive: 0xFFFF00,
+                    emissiveIntensity: 0.1
+                }),
+                capacity: maxFlowers
+            },
+            flowerPetal: { geometry: new THREE.SphereGeometry(0.18, 8, 8), material: petalMaterial, capacity: maxFlowers * petalsPerFlower }
+        };
         
         // Ghibli-inspired flower colors - brighter, more vivid colors with warmth
-        const flowerColors = [
+        this.flowerColors = [
             0xFFF899, // Sunny yellow
             0xFF6B97, // Warm pink
             0xFFAA5E, // Warm orange 
             0xC7F0FF, // Pale blue
             0xE085FF  // Lavender
         ];
-        const selectedColor = flowerColors[Math.floor(Math.random() * flowerColors.length)];
-        
-        // Create stem with slight curve
-        const stemGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1.3, 8);
-        // Add slight bend to stem vertices
-        const stemPositions = stemGeometry.attributes.position.array;
-        for (let i = 0; i < stemPositions.length; i += 3) {
-            const y = stemPositions[i + 1];
-            // Apply gentle curve based on height
-            const bendFactor = 0.06 * Math.pow((y + 0.65) / 1.3, 2);
-            stemPositions[i] += bendFactor;
-        }
-        stemGeometry.attributes.position.needsUpdate = true;
-        stemGeometry.computeVertexNormals();
-        
-        const stemMaterial = new THREE.MeshStandardMaterial({
-            color: 0x7EC850, // Brighter green
-            roughness: 0.8
-        });
-        const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-        stem.position.y = 0.65;
-        stem.castShadow = true;
-        flower.add(stem);
         
-        // Create flower head with Ghibli-style round petals
-        const petalGeometry = new THREE.SphereGeometry(0.18, 8, 8);
-        const petalMaterial = new THREE.MeshStandardMaterial({
-            color: selectedColor,
-            roughness: 0.5, // Slightly glossier for vibrant look
-            metalness: 0.05,
-            emissive: selectedColor,
-            emissiveIntensity: 0.1 // Subtle glow effect
-        });
+        // Where each part sits inside its decoration
+        const local = (x, y, z, scaleY = 1) => new THREE.Matrix4().compose(
+            new THREE.Vector3(x, y, z),
+            new THREE.Quaternion(),
+            new THREE.Vector3(1, scaleY, 1)
+        );
         
-        // Center of flower
-        const centerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const centerMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFFF80, // Brighter yellow center
-            roughness: 0.5,
-            emissive: 0xFFFF00,
-            emissiveIntensity: 0.1
-        });
-        const center = new THREE.Mesh(centerGeometry, centerMaterial);
-        center.position.y = 1.3;
-        center.castShadow = true;
-        flower.add(center);
-        
-        // Create petals in a circle - more petals, more Ghibli-like
-        const numPetals = 8; // More petals
-        const radius = 0.26;
-        for (let i = 0; i < numPetals; i++) {
-            const angle = (i / numPetals) * Math.PI * 2;
-            const petal = new THREE.Mesh(petalGeometry, petalMaterial);
-            petal.position.set(
-                Math.cos(angle) * radius,
-                1.3, // Same height as center
-                Math.sin(angle) * radius
-            );
-            
-            // Rotate each petal to face outward
-            petal.lookAt(new THREE.Vector3(
-                petal.position.x * 2,
-                1.3,
-                petal.position.z * 2
-            ));
-            
-            // Scale petals to be slightly elongated
+        // Petals in a circle, each rotated to face outward and slightly elongated
+        const petals = [];
+        const petalRadius = 0.26;
+        const petal = new THREE.Object3D();
+        for (let i = 0; i < petalsPerFlower; i++) {
+            const angle = (i / petalsPerFlower) * Math.PI * 2;
+            petal.position.set(Math.cos(angle) * petalRadius, 1.3, Math.sin(angle) * petalRadius);
+            petal.lookAt(petal.position.x * 2, 1.3, petal.position.z * 2);
             petal.scale.set(1.4, 1.0, 1.0);
-            
-            petal.castShadow = true;
-            flower.add(petal);
+            petal.updateMatrix();
+            petals.push(['flowerPetal', petal.matrix.clone()]);
         }
         
-        return flower;
+        this.decorationLayouts = {
+            tree: [
+                ['treeTrunk', local(0, 3, 0)],
+                ['treeFoliageBottom', local(0, 6, 0, 0.9)], // Slightly flatten
+                ['treeFoliageMiddle', local(0, 9, 0, 0.85)],
+                ['treeFoliageTop', local(0, 11.5, 0, 0.9)]
+            ],
+            rockMain: local(0, 0.2, 0),
+            flower: [
+                ['flowerStem', local(0, 0.65, 0)],
+                ['flowerCenter', local(0, 1.3, 0)],
+                ...petals
+            ]
+        };
     }
     
-    // Add visible boundary markers
+    // Solid obstacles near a scene position, converted to scene coordinates
+    getCollidersNear(x, z, radius) {
+        const nearby = this.colliders.query(x + this.originX, z + this.originZ, radius);
+        return nearby.map(collider => ({
+            ...collider,
+            x: collider.x - this.originX,
+            z: collider.z - this.originZ
+        }));
+    }
+    
+    // Apply a gentle curve along the height of a cylinder
+    bendGeometry(geometry, amount, height) {
+        const positions = geometry.attributes.position.array;
+        for (let i = 0; i < positions.length; i += 3) {
+            const y = positions[i + 1];
+            positions[i] += amount * Math.pow((y + height / 2) / height, 2);
+        }
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+    }
+    
+    // Apply some random gentle deformation to make rocks more natural
+    deformGeometry(geometry, amount, random) {
+        const positions = geometry.attributes.position.array;
+        for (let i = 0; i < positions.length; i += 3) {
+            const noise = amount * (random() - 0.5);
+            positions[i] *= 1 + noise;
+            positions[i + 1] *= 1 + noise;
+            positions[i + 2] *= 1 + noise;
+        }
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+    }
+    
+    // Free every GPU resource owned by the terrain
+    dispose() {
+        for (const chunk of this.groundChunks.values()) {
+            this.root.remove(chunk.mesh);
+            chunk.mesh.geometry.dispose();
+        }
+        this.groundChunks.clear();
+        
+        for (const chunk of this.decorationChunks.values()) {
+            this.releaseDecorationChunk(chunk);
+        }
+        this.decorationChunks.clear();
+        this.colliders.clear();
+        this.deformation.clear();
+        this.rutPatches.dispose();
+        
+        for (const pool of this.instancePools.values()) {
+            pool.forEach(mesh => mesh.dispose());
+        }
+        this.instancePools.clear();
+        
+        if (this.decorationParts) {
+            const materials = new Set();
+            for (const part of Object.values(this.decorationParts)) {
+                part.geometry.dispose();
+                materials.add(part.material);
+            }
+            materials.forEach(material => material.dispose());
+        }
+        
+        // Boundary posts all share one geometry and material
+        if (this.boundaryMarkers) {
+            const post = this.boundaryMarkers.children[0];
+            post?.geometry.dispose();
+            post?.material.dispose();
+            this.root.remove(this.boundaryMarkers);
+            this.boundaryMarkers = null;
+        }
+        
+        this.groundMaterial?.dispose();
+        this.scene.remove(this.root);
+    }
+    
+    // Posts showing where the world edge is, in the style of the boundary strategy
     addBoundaryMarkers() {
-        const boundarySize = this.groundSize / 2;
-        const markerHeight = 15;
-        const postSpacing = 50;
+        const markers = this.boundary.getMarkers();
+        if (!markers) return;
+        
+        const boundarySize = markers.distance;
+        const markerHeight = markers.height;
+        const postSpacing = markers.spacing;
         
         // Create boundary post geometry and material
         const postGeometry = new THREE.BoxGeometry(2, markerHeight, 2);
         const postMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF5555,
+            color: markers.color,
             roughness: 0.7,
             metalness: 0.2,
         });
         
+        // All posts share a group so a repeating world can move them along with the truck
+        this.boundaryMarkers = new THREE.Group();
+        this.boundaryMarkers.userData.repeat = !!markers.repeat;
+        this.root.add(this.boundaryMarkers);
+        
         // Create boundary posts along the perimeter
         for (let i = -boundarySize; i <= boundarySize; i += postSpacing) {
             // Create posts at the X boundaries
             const postX1 = new THREE.Mesh(postGeometry, postMaterial);
-            postX1.position.set(i, markerHeight / 2, -boundarySize);
+            postX1.position.set(i, this.getWorldGroundHeightAt(i, -boundarySize) + markerHeight / 2, -boundarySize);
             postX1.castShadow = true;
-            this.scene.add(postX1);
+            this.boundaryMarkers.add(postX1);
             
             const postX2 = new THREE.Mesh(postGeometry, postMaterial);
-            postX2.position.set(i, markerHeight / 2, boundarySize);
+            postX2.position.set(i, this.getWorldGroundHeightAt(i, boundarySize) + markerHeight / 2, boundarySize);
             postX2.castShadow = true;
-            this.scene.add(postX2);
+            this.boundaryMarkers.add(postX2);
             
             // Create posts at the Z boundaries
             const postZ1 = new THREE.Mesh(postGeometry, postMaterial);
-            postZ1.position.set(-boundarySize, markerHeight / 2, i);
+            postZ1.position.set(-boundarySize, this.getWorldGroundHeightAt(-boundarySize, i) + markerHeight / 2, i);
             postZ1.castShadow = true;
-            this.scene.add(postZ1);
+            this.boundaryMarkers.add(postZ1);
             
             const postZ2 = new THREE.Mesh(postGeometry, postMaterial);
-            postZ2.position.set(boundarySize, markerHeight / 2, i);
+            postZ2.position.set(boundarySize, this.getWorldGroundHeightAt(boundarySize, i) + markerHeight / 2, i);
             postZ2.castShadow = true;
-            this.scene.add(postZ2);
+            this.boundaryMarkers.add(postZ2);
         }
     }
+    
+    // In a wrap-around world the seam repeats every lap - keep the posts on the copy
+    // of the world square the truck is driving through (the terrain repeats exactly)
+    updateBoundaryMarkers(truckPosition) {
+        if (!this.boundaryMarkers || !this.boundaryMarkers.userData.repeat) return;
+        
+        const size = this.groundSize;
+        this.boundaryMarkers.position.set(
+            Math.round((truckPosition.x + this.originX) / size) * size,
+            0,
+            Math.round((truckPosition.z + this.originZ) / size) * size
+        );
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// Time of day - a clock that runs through a full day every dayLength seconds and the
+// look of the world at each hour: where the sun (or moon) is, the color of the light,
+// the sky gradient and fog, how bright the ambient and fill lights are and how many
+// stars show. The look is blended between the keyframes below; Game applies it to the
+// scene.
+
+// Sky and light at set hours. Noon matches the original fixed daytime scene.
+const KEYFRAMES = [
+    { hour: 0, skyTop: 0x0B1430, skyBottom: 0x1E2A4A, fog: 0x1A2238, light: 0x9DB4FF, lightIntensity: 0.25, ambient: 0.15, hemisphere: 0.15, fill: 0.18, stars: 1 },
+    { hour: 4.5, skyTop: 0x0B1430, skyBottom: 0x1E2A4A, fog: 0x1A2238, light: 0x9DB4FF, lightIntensity: 0.25, ambient: 0.15, hemisphere: 0.15, fill: 0.18, stars: 1 },
+    { hour: 5.5, skyTop: 0x2A3A6A, skyBottom: 0xE8A07A, fog: 0x6A5A70, light: 0x9DB4FF, lightIntensity: 0.1, ambient: 0.25, hemisphere: 0.25, fill: 0.29, stars: 0.4 },
+    { hour: 6, skyTop: 0x4A6AA0, skyBottom: 0xF5B485, fog: 0xB08A88, light: 0xFFB070, lightIntensity: 0.02, ambient: 0.3, hemisphere: 0.3, fill: 0.35, stars: 0.1 },
+    { hour: 6.5, skyTop: 0x6F9BD0, skyBottom: 0xFFC48A, fog: 0xF2C8A0, light: 0xFFB070, lightIntensity: 0.6, ambient: 0.4, hemisphere: 0.4, fill: 0.47, stars: 0 },
+    { hour: 8, skyTop: 0x7FB3DC, skyBottom: 0xFFEED4, fog: 0xFFEBD6, light: 0xFFE0B3, lightIntensity: 1.3, ambient: 0.55, hemisphere: 0.55, fill: 0.64, stars: 0 },
+    { hour: 12, skyTop: 0x7FB3DC, skyBottom: 0xFFEED4, fog: 0xFFEBD6, light: 0xFFE0B3, lightIntensity: 1.5, ambient: 0.6, hemisphere: 0.6, fill: 0.7, stars: 0 },
+    { hour: 16, skyTop: 0x7FB3DC, skyBottom: 0xFFE8C8, fog: 0xFFE6CC, light: 0xFFD9A0, lightIntensity: 1.4, ambient: 0.55, hemisphere: 0.55, fill: 0.64, stars: 0 },
+    { hour: 17.5, skyTop: 0x6A8FC8, skyBottom: 0xFFB27A, fog: 0xF5C29A, light: 0xFF9A5A, lightIntensity: 0.7, ambient: 0.4, hemisphere: 0.4, fill: 0.47, stars: 0 },
+    { hour: 18, skyTop: 0x4A5E96, skyBottom: 0xF09A70, fog: 0xB07E7E, light: 0xFF9A5A, lightIntensity: 0.02, ambient: 0.3, hemisphere: 0.3, fill: 0.35, stars: 0.1 },
+    { hour: 18.5, skyTop: 0x2E3566, skyBottom: 0xD9826A, fog: 0x7A5E6E, light: 0x9DB4FF, lightIntensity: 0.1, ambient: 0.25, hemisphere: 0.25, fill: 0.29, stars: 0.3 },
+    { hour: 19.5, skyTop: 0x0B1430, skyBottom: 0x1E2A4A, fog: 0x1A2238, light: 0x9DB4FF, lightIntensity: 0.25, ambient: 0.15, hemisphere: 0.15, fill: 0.18, stars: 1 },
+    { hour: 24, skyTop: 0x0B1430, skyBottom: 0x1E2A4A, fog: 0x1A2238, light: 0x9DB4FF, lightIntensity: 0.25, ambient: 0.15, hemisphere: 0.15, fill: 0.18, stars: 1 }
+];
+
+const COLOR_KEYS = ['skyTop', 'skyBottom', 'fog', 'light'];
+const NUMBER_KEYS = ['lightIntensity', 'ambient', 'hemisphere', 'fill', 'stars'];
+
+export class TimeOfDay {
+    constructor(options = {}) {
+        this.hour = wrapHour(options.hour ?? 11);
+        this.dayLength = options.dayLength ?? 1200; // Real seconds for a full day at normal speed
+
+        // Speeds the time control steps through - normal, fast, very fast and stopped
+        this.speeds = [1, 10, 60, 0];
+        this.speedIndex = 0;
+
+        this.sunTilt = 0.5; // Radians the sun's path leans toward +z, so noon shadows fall at an angle
+        this.headlightsOn = 18.25; // Hour the headlights switch on at dusk
+        this.headlightsOff = 5.75; // and off again at dawn
+
+        // Returned by getState, updated in place
+        this.state = {
+            hour: 0,
+            sunDirection: new THREE.Vector3(),
+            lightDirection: new THREE.Vector3(), // Toward the sun by day, the moon by night
+            moonlight: false,
+            headlights: false
+        };
+        COLOR_KEYS.forEach(key => { this.state[key] = new THREE.Color(); });
+        this.blendColor = new THREE.Color();
+    }
+
+    get speed() {
+        return this.speeds[this.speedIndex];
+    }
+
+    update(deltaTime) {
+        this.hour = wrapHour(this.hour + deltaTime * this.speed * 24 / this.dayLength);
+    }
+
+    setHour(hour) {
+        this.hour = wrapHour(hour);
+    }
+
+    // Jump forward (or back, with a negative number) by some hours
+    advance(hours) {
+        this.setHour(this.hour + hours);
+    }
+
+    // Step to the next speed; returns it (0 means the clock is stopped)
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % this.speeds.length;
+        return this.speed;
+    }
+
+    // "HH:MM" on a 24 hour clock
+    formatTime() {
+        const minutes = Math.floor(this.hour * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // The look of the world right now
+    getState() {
+        const state = this.state;
+        state.hour = this.hour;
+
+        // Blend between the keyframes either side of the current hour
+        const nextIndex = KEYFRAMES.findIndex(frame => frame.hour > this.hour);
+        const next = KEYFRAMES[nextIndex];
+        const previous = KEYFRAMES[nextIndex - 1];
+        const t = (this.hour - previous.hour) / (next.hour - previous.hour);
+        COLOR_KEYS.forEach(key => {
+            state[key].setHex(previous[key]).lerp(this.blendColor.setHex(next[key]), t);
+        });
+        NUMBER_KEYS.forEach(key => {
+            state[key] = previous[key] + (next[key] - previous[key]) * t;
+        });
+
+        // The sun rises in the east (+x) at 6:00 and sets in the west at 18:00. At night
+        // the moon, opposite the sun, lights the world instead.
+        const angle = (this.hour - 6) / 24 * Math.PI * 2;
+        state.sunDirection.set(Math.cos(angle), Math.sin(angle) * Math.cos(this.sunTilt), Math.sin(angle) * Math.sin(this.sunTilt));
+        state.moonlight = state.sunDirection.y < 0;
+        state.lightDirection.copy(state.sunDirection).multiplyScalar(state.moonlight ? -1 : 1);
+
+        state.headlights = this.hour >= this.headlightsOn || this.hour < this.headlightsOff;
+        return state;
+    }
+}
+
+function wrapHour(hour) {
+    return ((hour % 24) + 24) % 24;
+}
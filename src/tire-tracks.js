@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+
+// Tire tracks left on the ground behind each wheel, drawn as ribbons of quads that fade
+// out over time, and ruts pressed into soft ground (see GroundDeformation) so the next
+// pass over the same spot sinks in deeper.
+//
+// All ribbons share one mesh under the terrain root, in world coordinates. Each segment
+// is two quads side by side, so the track can dip into the middle of its rut. Segments
+// go into a fixed-size ring buffer, so memory is capped: once it is full the oldest is
+// overwritten. Fading is done in the shader from each segment's birth time, so old tracks
+// cost nothing on the CPU. Tracks keep the height they were laid at, so one from an
+// earlier pass sits a little above a rut that was pressed deeper since.
+export class TireTracks {
+    constructor(terrain, vehicle, options = {}) {
+        this.terrain = terrain;
+        this.halfWidth = vehicle.dimensions.wheelWidth / 2;
+
+        this.maxSegments = options.maxSegments ?? 6000; // Ring buffer size - about 1.1 MB of vertex data
+        this.fadeTime = options.fadeTime ?? 90; // Seconds for a track to fade away
+        this.segmentLength = 0.6; // Meters of travel per segment
+        this.maxGap = 5; // Further than this between frames (a reset or a jump) starts a new track
+        this.lift = 0.04; // Height above the ground, with polygon offset to stop flicker
+        this.skidMarks = 0.35; // Extra darkness while drifting or on the handbrake
+        this.maxRutPasses = 3; // Ruts stop deepening after this many passes
+        this.trackColor = new THREE.Color(0x2B2118); // Surface color is darkened toward this
+
+        this.time = 0;
+        this.segmentCount = 0; // Segments written so far, including overwritten ones
+        this.wheels = []; // Last point of each wheel's track, and the points across it there
+
+        const vertexCount = this.maxSegments * 6;
+        this.positions = new Float32Array(vertexCount * 3);
+        this.colors = new Float32Array(vertexCount * 3);
+        this.fade = new Float32Array(vertexCount * 2).fill(-1e6); // Birth time and strength per vertex
+
+        // Vertices 0-2 go across the start of a segment (left, middle, right), 3-5 across its end
+        const indices = new Uint32Array(this.maxSegments * 12);
+        for (let i = 0; i < this.maxSegments; i++) {
+            const v = i * 6;
+            indices.set([v, v + 3, v + 1, v + 1, v + 3, v + 4, v + 1, v + 4, v + 2, v + 2, v + 4, v + 5], i * 12);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('trackFade', new THREE.BufferAttribute(this.fade, 2).setUsage(THREE.DynamicDrawUsage));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2
+        });
+
+        // Fade each segment out by its age
+        this.timeUniform = { value: 0 };
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.trackTime = this.timeUniform;
+            shader.uniforms.trackFadeTime = { value: this.fadeTime };
+            shader.vertexShader = 'attribute vec2 trackFade;\nuniform float trackTime;\nuniform float trackFadeTime;\nvarying float vTrackAlpha;\n' +
+                shader.vertexShader.replace(
+                    '#include <begin_vertex>',
+                    '#include <begin_vertex>\n\tvTrackAlpha = trackFade.y * clamp(1.0 - (trackTime - trackFade.x) / trackFadeTime, 0.0, 1.0);'
+                );
+            shader.fragmentShader = 'varying float vTrackAlpha;\n' +
+                shader.fragmentShader.replace(
+                    '#include <color_fragment>',
+                    '#include <color_fragment>\n\tdiffuseColor.a *= vTrackAlpha;'
+                );
+        };
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.receiveShadow = true;
+        this.mesh.frustumCulled = false; // Tracks are spread all over the world
+        terrain.root.add(this.mesh);
+
+        // Scratch objects reused every frame
+        this.point = new THREE.Vector3();
+        this.side = new THREE.Vector3();
+        this.color = new THREE.Color();
+    }
+
+    // Extend the track behind every wheel that is on the ground
+    update(deltaTime, physicsResult, truck) {
+        this.time += deltaTime;
+        this.timeUniform.value = this.time;
+        const skidding = physicsResult.drifting || physicsResult.handbrake;
+
+        truck.truckGroup.updateMatrixWorld();
+        truck.wheels.forEach((wheel, index) => {
+            const state = this.wheels[index] ?? (this.wheels[index] = { point: null, across: null });
+            if (!physicsResult.wheels?.[index]?.contact) {
+                state.point = null; // In the air - the track ends here
+                return;
+            }
+
+            // Where the tire touches the ground, in world coordinates
+            wheel.getWorldPosition(this.point);
+            this.point.x += this.terrain.originX;
+            this.point.z += this.terrain.originZ;
+            this.point.y = 0;
+
+            if (!state.point || state.point.distanceTo(this.point) > this.maxGap) {
+                state.point = this.point.clone();
+                state.across = null;
+                return;
+            }
+
+            const distance = state.point.distanceTo(this.point);
+            if (distance < this.segmentLength) return;
+
+            // Press the rut first, so the track is laid in it
+            const surface = this.terrain.getWorldSurfaceAt(this.point.x, this.point.z);
+            this.pressRut(this.point, distance, surface);
+
+            this.side.set(this.point.z - state.point.z, 0, state.point.x - this.point.x).multiplyScalar(this.halfWidth / distance);
+            if (!state.across) {
+                state.across = this.pointsAcross(state.point);
+            }
+            const across = this.pointsAcross(this.point);
+
+            const strength = Math.min(1, surface.marks + (skidding ? this.skidMarks : 0));
+            this.color.setHex(surface.color).lerp(this.trackColor, 0.6);
+            this.addSegment(state.across, across, strength);
+
+            state.point.copy(this.point);
+            state.across = across;
+        });
+    }
+
+    // The left edge, middle and right edge of the track at a point, sitting on the
+    // ground down in any rut (the rut patches draw it there, see RutPatches)
+    pointsAcross(center) {
+        return [1, 0, -1].map(direction => {
+            const point = center.clone().addScaledVector(this.side, direction);
+            point.y = this.terrain.getWorldHeightAt(point.x, point.z) + this.lift;
+            return point;
+        });
+    }
+
+    // Sink the ground under the tire on soft surfaces. One tire rolling over a spot
+    // presses it down by about the surface's rutDepth, however far apart the presses are.
+    pressRut(point, distance, surface) {
+        if (!surface.rutDepth) return;
+        const amount = surface.rutDepth * distance / this.halfWidth;
+        this.terrain.deformation.press(point.x, point.z, this.halfWidth, amount, surface.rutDepth * this.maxRutPasses);
+    }
+
+    // Write one segment into the ring buffer, overwriting the oldest when it is full
+    addSegment(previous, next, strength) {
+        const slot = this.segmentCount % this.maxSegments;
+        this.segmentCount++;
+
+        const v = slot * 6;
+        [...previous, ...next].forEach((point, corner) => {
+            point.toArray(this.positions, (v + corner) * 3);
+            this.color.toArray(this.colors, (v + corner) * 3);
+            this.fade[(v + corner) * 2] = this.time;
+            this.fade[(v + corner) * 2 + 1] = strength;
+        });
+
+        const geometry = this.mesh.geometry;
+        for (const [name, size] of [['position', 3], ['color', 3], ['trackFade', 2]]) {
+            const attribute = geometry.attributes[name];
+            attribute.addUpdateRange(v * size, 6 * size);
+            attribute.needsUpdate = true;
+        }
+        geometry.setDrawRange(0, Math.min(this.segmentCount, this.maxSegments) * 12);
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
@@ -0,0 +1,66 @@
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// glTF truck models. A model is found by node names, so any exporter works as long as
+// the nodes are named like this:
+//  Wheel_BL, Wheel_BR, Wheel_FL, Wheel_FR - wheel pivots at the wheel centers, in the same
+//      order as TruckPhysics.wheels. Front wheels steer by turning their pivot about y.
+//  Wheel_XX_Spin  - child of a wheel pivot that rolls about the x axis (the tire and tread)
+//  Body*          - bodywork that dents; a direct child of the truck without rotation or scale
+//  RollCage*      - bars that break off one by one as the roof is damaged
+//  Exhaust_L*, Exhaust_R* - exhaust stacks that snap off with the rear corner on their side
+//  NitroFlame_L, NitroFlame_R - flames shown while boosting, at the exhaust tips
+//  Headlight_L, Headlight_R - headlight lenses facing forward (+z); they glow brighter
+//      and shine a spot light ahead at night
+// Suspension parts (shocks, springs, arms) need a `suspension` extra (a custom property
+// in Blender) giving their mounts, e.g. { "wheel": 0, "from": [x, y, z], "to": [x, y, z],
+// "moving": "to" } - see Truck.addSuspensionLink. The wheel pivots move up and down
+// with the springs, and these parts are stretched between the body and the wheel.
+// Materials named Paint and Accent take the garage's body and accent colors.
+// Everything else is drawn as it is.
+
+export const WHEEL_NODE_NAMES = ['Wheel_BL', 'Wheel_BR', 'Wheel_FL', 'Wheel_FR'];
+
+const loader = new GLTFLoader();
+
+// One load per URL, shared by every truck that uses the model (game and garage preview)
+const modelCache = new Map();
+
+// Resolves with the model's scene; rejects if it can't be loaded or has no wheels
+export function loadTruckModel(url) {
+    if (!modelCache.has(url)) {
+        const promise = loader.loadAsync(url).then(gltf => {
+            validateTruckModel(gltf.scene);
+            return gltf.scene;
+        });
+        // Let a failed load be retried later rather than caching the failure
+        promise.catch(() => modelCache.delete(url));
+        modelCache.set(url, promise);
+    }
+    return modelCache.get(url);
+}
+
+// Throw if a model is missing any of the nodes the truck can't do without
+export function validateTruckModel(scene) {
+    WHEEL_NODE_NAMES.forEach(name => {
+        if (!scene.getObjectByName(name)) {
+            throw new Error(`Truck model has no ${name} node`);
+        }
+        if (!scene.getObjectByName(`${name}_Spin`)) {
+            throw new Error(`Truck model has no ${name}_Spin node`);
+        }
+    });
+}
+
+// A copy of a loaded model with its own geometry and materials, so one truck's dents
+// and paint don't show up on every other truck using the same model
+export function cloneTruckModel(scene) {
+    const copy = scene.clone(true);
+    copy.traverse(node => {
+        if (!node.isMesh) return;
+        node.geometry = node.geometry.clone();
+        node.material = Array.isArray(node.material)
+            ? node.material.map(material => material.clone())
+            : node.material.clone();
+    });
+    return copy;
+}
@@ -1,9 +1,47 @@
 import * as THREE from 'three';
+import { resolveVehicleDefinition, getWheelLayout, getRestingWheelY, getStaticCompression } from './vehicles.js';
+import { DEFAULT_LOADOUT, normalizeLoadout, resolveAppearance } from './loadout.js';
+import { WHEEL_NODE_NAMES, cloneTruckModel, loadTruckModel } from './truck-model.js';
+
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+
+// Coil spring centerline along the y axis, centered on the origin
+class HelixCurve extends THREE.Curve {
+    constructor(radius, length, turns) {
+        super();
+        this.radius = radius;
+        this.length = length;
+        this.turns = turns;
+    }
+    
+    getPoint(t, target = new THREE.Vector3()) {
+        const angle = t * this.turns * Math.PI * 2;
+        return target.set(Math.cos(angle) * this.radius, (t - 0.5) * this.length, Math.sin(angle) * this.radius);
+    }
+}
 
 export class Truck {
-    constructor() {
+    constructor(vehicle, loadout) {
+        // Dimensions, colors and optional parts come from a vehicle definition (see vehicles.js)
+        this.vehicle = resolveVehicleDefinition(vehicle);
+        
+        // The player's garage choices (see loadout.js) go over the definition's colors and parts
+        this.loadout = normalizeLoadout(loadout);
+        this.appearance = resolveAppearance(this.vehicle, this.loadout);
+        
         this.truckGroup = new THREE.Group();
+        this.truckGroup.rotation.order = 'YXZ'; // Yaw first, then pitch and roll from the suspension
         this.wheels = [];
+        this.wheelSpinners = []; // The part of each wheel that rolls, with its resting orientation
+        this.wheelRestHeights = []; // Wheel pivot heights with the truck resting on flat ground
+        this.suspensionLinks = []; // Shocks, springs and arms that follow the wheels up and down
+        this.source = null; // 'model' or 'procedural' once built
+        
+        // Headlight lenses and the spot lights shining from them, switched on at night
+        this.headlights = [];
+        this.headlightsOn = false;
+        this.headlightBeamIntensity = 250; // Candela - lights the track about 40 m ahead
+        this.headlightGlow = { off: 0.6, on: 2.5 }; // Lens emissive intensity
         this.animation = {
             lean: 0,
             pitch: 0,
@@ -13,16 +51,24 @@ export class Truck {
         
         // Create exhaust flame objects for nitro effect
         this.exhaustFlames = [];
+        
+        // Damage visuals - meshes that dent, parts that break off, and loose debris
+        this.dentableMeshes = [];
+        this.detachableParts = [];
+        this.debris = [];
+        this.dents = []; // Every dent applied since the last repair, to put on a rebuilt truck
+        this.maxDentDepth = 0.8; // Furthest a vertex can be pushed in from its original position
+        this.dentRadius = 1.8; // Size of the area pushed in by one impact
     }
 
     build() {
-        // Create a cartoon monster truck base with exaggerated proportions
-        const bodyWidth = 4.5;
-        const bodyHeight = 2.5;
-        const bodyLength = 7;
+        // Create a cartoon truck base with exaggerated proportions
+        const { bodyWidth, bodyHeight, bodyLength } = this.vehicle.dimensions;
+        const colors = this.appearance.colors;
+        const parts = this.appearance.parts;
         
         // Main body - rounded box with more height for monster truck look
-        const bodyGeometry = new THREE.BoxGeometry(bodyWidth, bodyHeight, bodyLength, 1, 1, 1);
+        const bodyGeometry = new THREE.BoxGeometry(bodyWidth, bodyHeight, bodyLength, 4, 2, 6); // Extra segments so the body can dent
         // Slightly round the edges by moving vertices
         const bodyPositions = bodyGeometry.attributes.position.array;
         for (let i = 0; i < bodyPositions.length; i += 3) {
@@ -47,16 +93,19 @@ export class Truck {
         
         // Vibrant cartoon monster truck color
         const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4CAF50, // Bright green
+            color: colors.body,
             roughness: 0.6,
             metalness: 0.3
         });
+        bodyMaterial.name = 'Paint';
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.name = 'Body';
         body.castShadow = true;
         this.truckGroup.add(body);
+        this.addDentableMesh(body);
         
         // Add raised cabin section
-        const cabinGeometry = new THREE.BoxGeometry(bodyWidth * 0.8, bodyHeight * 0.9, bodyLength * 0.4);
+        const cabinGeometry = new THREE.BoxGeometry(bodyWidth * 0.8, bodyHeight * 0.9, bodyLength * 0.4, 3, 2, 3);
         // Round the cabin too
         const cabinPositions = cabinGeometry.attributes.position.array;
         for (let i = 0; i < cabinPositions.length; i += 3) {
@@ -80,18 +129,20 @@ export class Truck {
         cabinGeometry.computeVertexNormals();
         
         const cabinMaterial = new THREE.MeshStandardMaterial({
-            color: 0x333333, // Dark gray
+            color: colors.cabin,
             roughness: 0.5,
             metalness: 0.2
         });
         const cabin = new THREE.Mesh(cabinGeometry, cabinMaterial);
+        cabin.name = 'BodyCabin';
         cabin.position.set(0, bodyHeight * 0.5, bodyLength * 0.15);
         cabin.castShadow = true;
         this.truckGroup.add(cabin);
+        this.addDentableMesh(cabin);
         
         // Add cartoon-style windows with blue tint
         const windowMaterial = new THREE.MeshStandardMaterial({
-            color: 0x00BFFF, // Deeper blue
+            color: colors.windows,
             roughness: 0.2,
             metalness: 0.5,
             transparent: true,
@@ -108,49 +159,183 @@ export class Truck {
         // Add exaggerated headlights
         const headlightGeometry = new THREE.CircleGeometry(0.45, 16);
         const headlightMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFFFC8,
-            emissive: 0xFFFFC8,
+            color: colors.headlights,
+            emissive: colors.headlights,
             emissiveIntensity: 0.6
         });
         
         const headlightLeft = new THREE.Mesh(headlightGeometry, headlightMaterial);
+        headlightLeft.name = 'Headlight_L';
         headlightLeft.position.set(-bodyWidth * 0.3, bodyHeight * 0.1, bodyLength * 0.49);
         headlightLeft.rotation.y = Math.PI;
         this.truckGroup.add(headlightLeft);
         
         const headlightRight = new THREE.Mesh(headlightGeometry, headlightMaterial);
+        headlightRight.name = 'Headlight_R';
         headlightRight.position.set(bodyWidth * 0.3, bodyHeight * 0.1, bodyLength * 0.49);
         headlightRight.rotation.y = Math.PI;
         this.truckGroup.add(headlightRight);
         
         // Add monster truck rollbar/cage on top
-        this.addRollCage(bodyWidth, bodyHeight, bodyLength);
+        if (parts.rollCage) {
+            this.addRollCage(bodyWidth, bodyHeight, bodyLength);
+        }
         
         // Add exhaust pipes
-        this.addExhaustPipes(bodyWidth, bodyHeight, bodyLength);
+        if (parts.exhaustPipes) {
+            this.addExhaustPipes(bodyWidth, bodyHeight, bodyLength);
+        }
         
-        // Add flame decals to the sides
-        this.addFlameDecals(bodyWidth, bodyHeight, bodyLength);
+        // Add the chosen decal set
+        if (this.appearance.decals === 'flames') {
+            this.addFlameDecals(bodyWidth, bodyHeight, bodyLength);
+        } else if (this.appearance.decals === 'stripes') {
+            this.addStripeDecals(bodyWidth, bodyHeight, bodyLength);
+        } else if (this.appearance.decals === 'stars') {
+            this.addStarDecals(bodyWidth, bodyHeight, bodyLength);
+        }
         
         // Create monster truck oversized wheels
         this.createWheels();
         
+        this.addHeadlightBeams();
+        
         // Set initial position - adjusted to be closer to the ground
         this.truckGroup.position.set(0, 0.5, 0);
         
+        this.source = 'procedural';
         return this.truckGroup;
     }
     
+    // Build from the vehicle's glTF model when it has one (see truck-model.js), or with
+    // build() if there is none or it fails to load. Resolves with the truck group.
+    async load() {
+        if (this.usesModel()) {
+            try {
+                const scene = await loadTruckModel(this.vehicle.model);
+                return this.buildFromModel(scene);
+            } catch (error) {
+                console.warn(`Could not use truck model ${this.vehicle.model}, building the truck instead:`, error);
+                this.clearParts();
+            }
+        }
+        return this.build();
+    }
+    
+    // A model comes with its own wheels and decals, so picking different ones in the
+    // garage means building the truck procedurally
+    usesModel() {
+        return !!this.vehicle.model &&
+            this.loadout.wheelStyle === DEFAULT_LOADOUT.wheelStyle &&
+            this.loadout.tireStyle === DEFAULT_LOADOUT.tireStyle &&
+            this.loadout.decals === DEFAULT_LOADOUT.decals;
+    }
+    
+    // Assemble the truck from a loaded glTF scene, finding its parts by node name
+    buildFromModel(scene) {
+        const model = cloneTruckModel(scene);
+        const root = model.getObjectByName('Truck') ?? model;
+        [...root.children].forEach(child => this.truckGroup.add(child));
+        
+        // Garage paint goes on the Paint and Accent materials when a color was picked
+        this.truckGroup.traverse(node => {
+            if (!node.isMesh) return;
+            node.castShadow = !node.name.startsWith('NitroFlame');
+            [node.material].flat().forEach(material => {
+                const color = material.name === 'Paint' ? this.loadout.bodyColor
+                    : material.name === 'Accent' ? this.loadout.accentColor
+                    : null;
+                if (!color) return;
+                material.color.set(color);
+                if (material.emissive && material.emissive.getHex() !== 0) {
+                    material.emissive.set(color);
+                }
+            });
+        });
+        
+        // Wheels - pivots steer, spinners roll
+        WHEEL_NODE_NAMES.forEach(name => {
+            const wheel = this.truckGroup.getObjectByName(name);
+            const spinner = wheel.getObjectByName(`${name}_Spin`);
+            this.wheels.push(wheel);
+            this.wheelSpinners.push({ node: spinner, rest: spinner.quaternion.clone() });
+            this.wheelRestHeights.push(wheel.position.y);
+        });
+        
+        // Suspension parts carry their mounting points with them (see truck-model.js)
+        this.truckGroup.traverse(node => {
+            if (node.userData.suspension) {
+                this.addSuspensionLink(node, node.userData.suspension);
+            }
+        });
+        
+        this.getModelParts('Body').forEach(mesh => this.addDentableMesh(mesh));
+        
+        // Optional parts the player took off in the garage are simply left out
+        const parts = this.appearance.parts;
+        const rollCage = this.getModelParts('RollCage');
+        if (parts.rollCage) {
+            rollCage.forEach((bar, index) => {
+                this.addDetachablePart([bar], damage => damage.parts.roof, 0.75 - index * 0.08);
+            });
+        } else {
+            rollCage.forEach(bar => bar.removeFromParent());
+        }
+        
+        [['L', 'left'], ['R', 'right']].forEach(([suffix, sidePart]) => {
+            const flames = this.getModelParts(`NitroFlame_${suffix}`);
+            const pipe = [...this.getModelParts(`Exhaust_${suffix}`), ...flames];
+            if (!parts.exhaustPipes) {
+                pipe.forEach(mesh => mesh.removeFromParent());
+                return;
+            }
+            
+            flames.forEach(flame => {
+                flame.visible = false;
+                this.exhaustFlames.push(flame);
+            });
+            this.addDetachablePart(pipe, damage => Math.min(damage.parts.rear, damage.parts[sidePart]), 0.25);
+        });
+        
+        this.addHeadlightBeams();
+        
+        this.truckGroup.position.set(0, 0.5, 0);
+        this.source = 'model';
+        return this.truckGroup;
+    }
+    
+    // Direct children of the truck whose names start with a prefix, in name order
+    // (RollCage_2 before RollCage_10)
+    getModelParts(prefix) {
+        return this.truckGroup.children
+            .filter(node => node.name.startsWith(prefix))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+    
+    // Forget a half-built truck so it can be built again from scratch
+    clearParts() {
+        this.truckGroup.clear();
+        this.wheels = [];
+        this.wheelSpinners = [];
+        this.wheelRestHeights = [];
+        this.suspensionLinks = [];
+        this.headlights = [];
+        this.exhaustFlames = [];
+        this.dentableMeshes = [];
+        this.detachableParts = [];
+    }
+    
     addRollCage(bodyWidth, bodyHeight, bodyLength) {
         const barMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFD700, // Gold color
+            color: this.appearance.colors.rollCage,
             roughness: 0.5,
             metalness: 0.7
         });
+        barMaterial.name = 'Accent';
         
         // Main roll cage bars (6 vertical posts)
         const barRadius = 0.2;
-        const barHeight = 2.5;
+        const barHeight = this.vehicle.dimensions.rollCageHeight;
         
         // Vertical bars positions (3 on each side)
         const barPositions = [
@@ -162,12 +347,14 @@ export class Truck {
             [bodyWidth * 0.35, bodyHeight * 0.5, bodyLength * 0.2]
         ];
         
+        const bars = [];
         barPositions.forEach(position => {
             const barGeometry = new THREE.CylinderGeometry(barRadius, barRadius, barHeight, 8);
             const bar = new THREE.Mesh(barGeometry, barMaterial);
             bar.position.set(...position);
             bar.position.y += barHeight * 0.5;
             this.truckGroup.add(bar);
+            bars.push(bar);
         });
         
         // Horizontal connecting bars (3 pairs)
@@ -177,24 +364,33 @@ export class Truck {
             horizontalBar.rotation.z = Math.PI / 2;
             horizontalBar.position.set(0, bodyHeight * 0.5 + barHeight, barPositions[i][2]);
             this.truckGroup.add(horizontalBar);
+            bars.push(horizontalBar);
         }
+        
+        // Bars break off one by one as the roof takes damage, cross bars first
+        bars.reverse().forEach((bar, index) => {
+            bar.name = `RollCage_${index}`; // Model exports keep the breaking order
+            this.addDetachablePart([bar], damage => damage.parts.roof, 0.75 - index * 0.08);
+        });
     }
     
     addExhaustPipes(bodyWidth, bodyHeight, bodyLength) {
         const exhaustMaterial = new THREE.MeshStandardMaterial({
-            color: 0xCCCCCC, // Chrome silver
+            color: this.appearance.colors.exhaust,
             roughness: 0.2,
             metalness: 0.9
         });
         
         // Two exhaust pipes on either side
         const exhaustRadius = 0.25;
-        const exhaustHeight = 3.5;
+        const exhaustHeight = this.vehicle.dimensions.exhaustHeight;
         
         // Create two exhaust pipes
         [-1, 1].forEach(side => {
+            const suffix = side < 0 ? 'L' : 'R';
             const exhaustGeometry = new THREE.CylinderGeometry(exhaustRadius, exhaustRadius, exhaustHeight, 8);
             const exhaust = new THREE.Mesh(exhaustGeometry, exhaustMaterial);
+            exhaust.name = `Exhaust_${suffix}`;
             exhaust.position.set(side * bodyWidth * 0.4, bodyHeight * 0.6, -bodyLength * 0.3);
             exhaust.rotation.x = Math.PI / 12; // Slight angle
             this.truckGroup.add(exhaust);
@@ -202,6 +398,7 @@ export class Truck {
             // Add exhaust tip
             const exhaustTipGeometry = new THREE.CylinderGeometry(exhaustRadius * 1.3, exhaustRadius, 0.5, 8);
             const exhaustTip = new THREE.Mesh(exhaustTipGeometry, exhaustMaterial);
+            exhaustTip.name = `Exhaust_${suffix}_Tip`;
             exhaustTip.position.set(side * bodyWidth * 0.4, bodyHeight * 0.6 + exhaustHeight * 0.5 + 0.25, -bodyLength * 0.3 - exhaustHeight * 0.08);
             exhaustTip.rotation.x = Math.PI / 12; // Match the exhaust angle
             this.truckGroup.add(exhaustTip);
@@ -209,14 +406,15 @@ export class Truck {
             // Add nitro flame (initially invisible)
             const flameGeometry = new THREE.ConeGeometry(exhaustRadius * 1.5, 2.0, 8);
             const flameMaterial = new THREE.MeshStandardMaterial({
-                color: 0x00BFFF, // Blue flame
-                emissive: 0x00BFFF,
+                color: this.appearance.colors.nitroFlame,
+                emissive: this.appearance.colors.nitroFlame,
                 emissiveIntensity: 1.0,
                 transparent: true,
                 opacity: 0.8
             });
             
             const flame = new THREE.Mesh(flameGeometry, flameMaterial);
+            flame.name = `NitroFlame_${suffix}`;
             flame.position.set(
                 side * bodyWidth * 0.4,
                 bodyHeight * 0.6 + exhaustHeight * 0.5 + 0.5, 
@@ -226,6 +424,14 @@ export class Truck {
             flame.visible = false; // Initially hidden
             this.truckGroup.add(flame);
             this.exhaustFlames.push(flame); // Store reference
+            
+            // The whole pipe snaps off when the rear corner on its side is smashed
+            const sidePart = side < 0 ? 'left' : 'right';
+            this.addDetachablePart(
+                [exhaust, exhaustTip, flame],
+                damage => Math.min(damage.parts.rear, damage.parts[sidePart]),
+                0.25
+            );
         });
     }
     
@@ -233,13 +439,14 @@ export class Truck {
         // Create flame decal texture
         const flameGeometry = new THREE.PlaneGeometry(bodyLength * 0.6, bodyHeight * 0.6);
         const flameMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF4500, // Orange-red
-            emissive: 0xFF4500,
+            color: this.appearance.colors.decals,
+            emissive: this.appearance.colors.decals,
             emissiveIntensity: 0.3,
             transparent: true,
             opacity: 0.9,
             side: THREE.DoubleSide
         });
+        flameMaterial.name = 'Accent';
         
         // Add flame to each side of truck
         [-1, 1].forEach(side => {
@@ -250,15 +457,73 @@ export class Truck {
         });
     }
     
+    // Two racing stripes over the hood, roof and bed
+    addStripeDecals(bodyWidth, bodyHeight, bodyLength) {
+        const stripeMaterial = new THREE.MeshStandardMaterial({
+            color: this.appearance.colors.decals,
+            roughness: 0.5,
+            metalness: 0.2
+        });
+        const stripeWidth = bodyWidth * 0.1;
+        const bodyStripeGeometry = new THREE.BoxGeometry(stripeWidth, 0.04, bodyLength * 0.98);
+        const roofStripeGeometry = new THREE.BoxGeometry(stripeWidth, 0.04, bodyLength * 0.4 * 0.9);
+        
+        [-1, 1].forEach(side => {
+            const bodyStripe = new THREE.Mesh(bodyStripeGeometry, stripeMaterial);
+            bodyStripe.position.set(side * bodyWidth * 0.12, bodyHeight * 0.5 + 0.02, 0);
+            this.truckGroup.add(bodyStripe);
+            
+            // Carry on over the cabin roof
+            const roofStripe = new THREE.Mesh(roofStripeGeometry, stripeMaterial);
+            roofStripe.position.set(side * bodyWidth * 0.12, bodyHeight * 0.95 + 0.02, bodyLength * 0.15);
+            this.truckGroup.add(roofStripe);
+        });
+    }
+    
+    // A scatter of five-pointed stars down each side
+    addStarDecals(bodyWidth, bodyHeight, bodyLength) {
+        const starShape = new THREE.Shape();
+        for (let i = 0; i < 10; i++) {
+            const angle = Math.PI / 2 + (i / 10) * Math.PI * 2;
+            const radius = i % 2 === 0 ? 1 : 0.45; // Alternate outer points and inner corners
+            const x = Math.cos(angle) * radius;
+            const y = Math.sin(angle) * radius;
+            if (i === 0) {
+                starShape.moveTo(x, y);
+            } else {
+                starShape.lineTo(x, y);
+            }
+        }
+        const starGeometry = new THREE.ShapeGeometry(starShape);
+        const starMaterial = new THREE.MeshStandardMaterial({
+            color: this.appearance.colors.decals,
+            emissive: this.appearance.colors.decals,
+            emissiveIntensity: 0.3,
+            side: THREE.DoubleSide
+        });
+        
+        // Position along the body (fraction of the length), height and size of each star
+        const stars = [[-0.3, 0.05, 0.55], [0, 0.15, 0.4], [0.25, -0.05, 0.3]];
+        [-1, 1].forEach(side => {
+            stars.forEach(([along, up, size]) => {
+                const star = new THREE.Mesh(starGeometry, starMaterial);
+                star.position.set(side * (bodyWidth * 0.5 + 0.05), bodyHeight * up, bodyLength * along);
+                star.rotation.y = side * Math.PI / 2;
+                star.scale.setScalar(size * bodyHeight * 0.5);
+                this.truckGroup.add(star);
+            });
+        });
+    }
+    
     createWheels() {
-        // Cartoon monster truck wheels - much larger and exaggerated
-        const wheelRadius = 2.2;
-        const wheelThickness = 1.2;
+        // Cartoon wheels - sized by the vehicle definition, matching TruckPhysics
+        const wheelRadius = this.vehicle.dimensions.wheelRadius;
+        const wheelThickness = this.vehicle.dimensions.wheelWidth;
         
         // Create wheel prototype with more detail
         const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, wheelThickness, 20);
         const wheelMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x111111,  // Deep black
+            color: this.appearance.colors.tires,
             roughness: 0.8,
             metalness: 0.2
         });
@@ -272,42 +537,34 @@ export class Truck {
         
         // Hub cap material
         const hubMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFA500, // Orange
+            color: this.appearance.colors.hubs,
             roughness: 0.4,
             metalness: 0.8
         });
+        hubMaterial.name = 'Accent';
         
-        // Adjust wheel positions for monster truck - closer to the ground
-        const wheelPositions = [
-            [-2.2, -1.3, -2.8], // back left - lowered y value
-            [2.2, -1.3, -2.8],  // back right - lowered y value
-            [-2.2, -1.3, 2.8],  // front left - lowered y value
-            [2.2, -1.3, 2.8]    // front right - lowered y value
-        ];
+        // Wheels sit where the suspension holds them at rest: back left, back right,
+        // front left, front right - the same order as TruckPhysics.wheels
+        const wheelY = getRestingWheelY(this.vehicle);
+        const wheelPositions = getWheelLayout(this.vehicle).map(({ x, z }) => [x, wheelY, z]);
         
         wheelPositions.forEach((position, index) => {
             const wheelGroup = new THREE.Group();
+            wheelGroup.name = WHEEL_NODE_NAMES[index];
             
-            // Main wheel tire
+            // Main wheel tire - tread is parented to it so it turns with the wheel
             const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.name = `${wheelGroup.name}_Spin`;
             wheel.rotation.z = Math.PI / 2;
             wheel.castShadow = true;
+            this.addTireTread(wheel, wheelRadius, wheelThickness, treadMaterial);
             wheelGroup.add(wheel);
             
-            // Add oversized hub cap to each wheel
-            const hubGeometry = new THREE.CylinderGeometry(wheelRadius * 0.5, wheelRadius * 0.5, wheelThickness + 0.05, 16);
-            const hub = new THREE.Mesh(hubGeometry, hubMaterial);
+            // Hub in the chosen wheel style
+            const hub = this.createHub(wheelRadius, wheelThickness, hubMaterial, treadMaterial);
             hub.rotation.z = Math.PI / 2;
             wheelGroup.add(hub);
             
-            // Add spokes to hub caps
-            for (let i = 0; i < 6; i++) {
-                const spokeGeometry = new THREE.BoxGeometry(wheelRadius * 0.8, 0.15, 0.15);
-                const spoke = new THREE.Mesh(spokeGeometry, hubMaterial);
-                spoke.rotation.z = (i / 6) * Math.PI * 2;
-                hub.add(spoke);
-            }
-            
             wheelGroup.position.set(...position);
             this.truckGroup.add(wheelGroup);
             
@@ -317,85 +574,254 @@ export class Truck {
             }
             
             this.wheels.push(wheelGroup);
+            this.wheelSpinners.push({ node: wheel, rest: wheel.quaternion.clone() });
+            this.wheelRestHeights.push(wheelGroup.position.y);
         });
         
         // Add suspension elements
         this.addSuspension(wheelPositions, wheelRadius);
     }
     
+    // Tread blocks around a tire in the chosen tire style. In the tire's own space the
+    // axle is y, so the blocks sit in the xz plane.
+    addTireTread(tire, wheelRadius, wheelThickness, treadMaterial) {
+        const style = this.appearance.tireStyle;
+        if (style === 'smooth') return;
+        
+        const knobby = style === 'knobby';
+        const count = knobby ? 16 : 10;
+        const blockGeometry = knobby
+            ? new THREE.BoxGeometry(0.25, wheelThickness * 0.45, (2 * Math.PI * wheelRadius / count) * 0.5)
+            : new THREE.BoxGeometry(0.35, wheelThickness * 1.02, 0.2); // Paddles run right across
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const block = new THREE.Mesh(blockGeometry, treadMaterial);
+            block.position.set(Math.cos(angle) * wheelRadius, 0, -Math.sin(angle) * wheelRadius);
+            block.rotation.y = angle; // Long side facing out from the axle
+            if (knobby) {
+                block.position.y = (i % 2 === 0 ? 1 : -1) * wheelThickness * 0.22; // Staggered knobs
+            }
+            block.castShadow = true;
+            tire.add(block);
+        }
+    }
+    
+    // Hub for the chosen wheel style, built around the y axis like the tire
+    createHub(wheelRadius, wheelThickness, hubMaterial, capMaterial) {
+        const style = this.appearance.wheelStyle;
+        
+        if (style === 'disc') {
+            // Flat dish with a dark center cap
+            const disc = new THREE.Mesh(new THREE.CylinderGeometry(wheelRadius * 0.75, wheelRadius * 0.75, wheelThickness + 0.06, 24), hubMaterial);
+            disc.add(new THREE.Mesh(new THREE.CylinderGeometry(wheelRadius * 0.2, wheelRadius * 0.2, wheelThickness + 0.16, 12), capMaterial));
+            return disc;
+        }
+        
+        if (style === 'star') {
+            // Small center with five broad arms
+            const hub = new THREE.Mesh(new THREE.CylinderGeometry(wheelRadius * 0.3, wheelRadius * 0.3, wheelThickness + 0.08, 12), hubMaterial);
+            const armGeometry = new THREE.BoxGeometry(wheelRadius * 0.7, wheelThickness + 0.06, 0.35);
+            for (let i = 0; i < 5; i++) {
+                const angle = (i / 5) * Math.PI * 2;
+                const arm = new THREE.Mesh(armGeometry, hubMaterial);
+                arm.position.set(Math.cos(angle) * wheelRadius * 0.35, 0, -Math.sin(angle) * wheelRadius * 0.35);
+                arm.rotation.y = angle;
+                hub.add(arm);
+            }
+            return hub;
+        }
+        
+        if (style === 'beadlock') {
+            // Wide hub with a bolted ring clamping the tire on each face
+            const hub = new THREE.Mesh(new THREE.CylinderGeometry(wheelRadius * 0.55, wheelRadius * 0.55, wheelThickness + 0.05, 16), hubMaterial);
+            const ringGeometry = new THREE.TorusGeometry(wheelRadius * 0.72, 0.12, 8, 24);
+            const boltGeometry = new THREE.CylinderGeometry(0.08, 0.08, wheelThickness + 0.14, 6);
+            [-1, 1].forEach(face => {
+                const ring = new THREE.Mesh(ringGeometry, hubMaterial);
+                ring.rotation.x = Math.PI / 2;
+                ring.position.y = face * (wheelThickness / 2 + 0.03);
+                hub.add(ring);
+            });
+            for (let i = 0; i < 12; i++) {
+                const angle = (i / 12) * Math.PI * 2;
+                const bolt = new THREE.Mesh(boltGeometry, capMaterial);
+                bolt.position.set(Math.cos(angle) * wheelRadius * 0.72, 0, Math.sin(angle) * wheelRadius * 0.72);
+                hub.add(bolt);
+            }
+            return hub;
+        }
+        
+        // Classic - oversized hub cap with spokes
+        const hubGeometry = new THREE.CylinderGeometry(wheelRadius * 0.5, wheelRadius * 0.5, wheelThickness + 0.05, 16);
+        const hub = new THREE.Mesh(hubGeometry, hubMaterial);
+        for (let i = 0; i < 6; i++) {
+            const spokeGeometry = new THREE.BoxGeometry(wheelRadius * 0.8, 0.15, 0.15);
+            const spoke = new THREE.Mesh(spokeGeometry, hubMaterial);
+            spoke.rotation.z = (i / 6) * Math.PI * 2;
+            hub.add(spoke);
+        }
+        return hub;
+    }
+    
+    // Coil-over shocks and lower arms for each wheel. Each part hangs between a mount on
+    // the body and a mount that rides up and down with the wheel - see updateSuspension.
     addSuspension(wheelPositions, wheelRadius) {
         const suspensionMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4169E1, // Royal blue
+            color: this.appearance.colors.suspension,
             roughness: 0.6,
             metalness: 0.4
         });
+        suspensionMaterial.name = 'Accent';
+        const shockMaterial = new THREE.MeshStandardMaterial({
+            color: 0x444444,
+            roughness: 0.5,
+            metalness: 0.6
+        });
+        const shaftMaterial = new THREE.MeshStandardMaterial({
+            color: 0xDDDDDD,
+            roughness: 0.2,
+            metalness: 0.9
+        });
         
-        // Add shock absorbers to each wheel
-        wheelPositions.forEach((position, index) => {
-            // Create shock absorber cylinder
-            const shockGeometry = new THREE.CylinderGeometry(0.3, 0.3, 2.5, 8);
-            const shock = new THREE.Mesh(shockGeometry, suspensionMaterial);
+        // Shock length with the truck at rest - scales with the wheels
+        const shockLength = wheelRadius * 1.15;
+        const bodyLength = shockLength * 0.55;
+        const shaftLength = shockLength * 0.75;
+        const bodyGeometry = new THREE.CylinderGeometry(0.25, 0.25, bodyLength, 8);
+        const shaftGeometry = new THREE.CylinderGeometry(0.12, 0.12, shaftLength, 8);
+        const springGeometry = new THREE.TubeGeometry(new HelixCurve(0.38, shockLength * 0.8, 7), 112, 0.07, 6);
+        
+        wheelPositions.forEach(([x, y, z], index) => {
+            const side = Math.sign(x);
+            const name = WHEEL_NODE_NAMES[index].replace('Wheel', 'Shock');
             
-            // Position shock slightly above wheel
-            const shockX = position[0] * 0.7;
-            const shockY = position[1] + 1.5;
-            const shockZ = position[2];
+            // Shocks lean in at the top, like the old fixed ones (0.2 rad)
+            const lean = shockLength / 2 * Math.sin(0.2);
+            const top = [x * 0.7 - side * lean, y + wheelRadius * 0.68 + shockLength / 2 * Math.cos(0.2), z];
+            const bottom = [x * 0.7 + side * lean, top[1] - shockLength * Math.cos(0.2), z];
             
-            shock.position.set(shockX, shockY, shockZ);
-            shock.rotation.z = 0.2 * Math.sign(position[0]); // Slight angle
-            this.truckGroup.add(shock);
+            // The damper body hangs from the top mount, the shaft slides up into it from
+            // the wheel, and the spring squashes between the two
+            this.addSuspensionPart(`${name}_Body`, bodyGeometry, shockMaterial,
+                { wheel: index, from: top, to: bottom, moving: 'to', length: bodyLength });
+            this.addSuspensionPart(`${name}_Shaft`, shaftGeometry, shaftMaterial,
+                { wheel: index, from: bottom, to: top, moving: 'from', length: shaftLength });
+            this.addSuspensionPart(`${name}_Spring`, springGeometry, suspensionMaterial,
+                { wheel: index, from: bottom, to: top, moving: 'from', inset: shockLength * 0.1 });
             
-            // Create suspension arm
-            const armGeometry = new THREE.BoxGeometry(Math.abs(position[0] - shockX), 0.3, 0.3);
-            const arm = new THREE.Mesh(armGeometry, suspensionMaterial);
-            arm.position.set((position[0] + shockX) / 2, position[1] + 0.5, position[2]);
-            this.truckGroup.add(arm);
+            // Lower arm from a pivot under the body out to the wheel hub, swinging as the
+            // wheel moves
+            const armLength = Math.abs(x * 0.3);
+            this.addSuspensionPart(WHEEL_NODE_NAMES[index].replace('Wheel', 'Arm'),
+                new THREE.BoxGeometry(0.3, armLength, 0.3), suspensionMaterial,
+                { wheel: index, from: [x * 0.7, y + 0.5, z], to: [x, y + 0.5, z], moving: 'to' });
         });
     }
     
+    // One suspension mesh, built along its y axis and placed between its mounts
+    addSuspensionPart(name, geometry, material, mounts) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name;
+        mesh.castShadow = true;
+        mesh.userData.suspension = mounts; // Kept in exported models as glTF extras
+        this.truckGroup.add(mesh);
+        this.addSuspensionLink(mesh, mounts);
+    }
+    
+    // Mounts are in truck space:
+    //  wheel  - index of the wheel the moving mount follows
+    //  from   - where the part starts; it points toward `to`
+    //  moving - which end ('from' or 'to') rides with the wheel
+    //  length - the part keeps this length, e.g. a damper sliding over its shaft;
+    //           without one it stretches to reach `to`, less `inset` at each end
+    addSuspensionLink(node, mounts) {
+        const from = new THREE.Vector3().fromArray(mounts.from);
+        const to = new THREE.Vector3().fromArray(mounts.to);
+        const link = {
+            node,
+            wheel: mounts.wheel,
+            from,
+            to,
+            moving: mounts.moving,
+            length: mounts.length ?? null,
+            inset: mounts.inset ?? 0,
+            restLength: from.distanceTo(to) - 2 * (mounts.inset ?? 0)
+        };
+        this.suspensionLinks.push(link);
+        this.placeSuspensionLink(link, 0);
+    }
+    
+    // Put a suspension part between its mounts with its wheel `travel` above rest
+    placeSuspensionLink(link, travel) {
+        const from = link.from.clone();
+        const to = link.to.clone();
+        (link.moving === 'from' ? from : to).y += travel;
+        
+        const direction = to.sub(from);
+        const distance = direction.length();
+        direction.divideScalar(distance);
+        
+        const length = link.length ?? distance - 2 * link.inset;
+        link.node.quaternion.setFromUnitVectors(AXIS_Y, direction);
+        link.node.position.copy(from).addScaledVector(direction, link.length ? length / 2 : distance / 2);
+        link.node.scale.set(1, link.length ? 1 : length / link.restLength, 1);
+    }
+    
     updateVisuals(physicsResult, deltaTime) {
-        const { position, rotation, groundNormal, speed, wheelRotationSpeed, steeringAngle } = physicsResult;
+        const { position, rotation, speed, wheelRotationSpeed, steeringAngle } = physicsResult;
         
         // Update position and rotation
         this.truckGroup.position.copy(position);
-        this.truckGroup.rotation.y = rotation;
         
-        // Calculate smoothed truck animations
-        this.updateAnimations(deltaTime, steeringAngle, speed, groundNormal);
+        // Body pitch and roll come straight from the suspension
+        this.updateAnimations(physicsResult.pitch, physicsResult.roll, speed);
         
-        // Apply animation properties
-        this.truckGroup.rotation.z = this.animation.lean;
-        this.truckGroup.rotation.x = this.animation.pitch;
+        // Full 3D orientation - covers flips and barrel rolls in the air as well
+        if (physicsResult.orientation) {
+            this.truckGroup.quaternion.copy(physicsResult.orientation);
+        } else {
+            this.truckGroup.rotation.set(this.animation.pitch, rotation, this.animation.lean);
+        }
         
         // Update wheel rotation and steering
         this.updateWheels(deltaTime, wheelRotationSpeed, steeringAngle);
         
+        // Wheels ride up and down on their springs, so they stay on the ground while the
+        // body squats, dives and leans above them
+        this.updateSuspension(physicsResult.wheels);
+        
+        // Dents, broken-off parts and flying debris
+        if (physicsResult.damageEvents) {
+            physicsResult.damageEvents.forEach(event => this.applyDent(event));
+        }
+        if (physicsResult.damage) {
+            this.updateDamage(physicsResult.damage);
+        }
+        this.updateDebris(deltaTime);
+        
         // Update nitro visual effects
-        this.updateNitroEffects(physicsResult.nitroActive, deltaTime);
+        this.updateNitroEffects(physicsResult.nitroBoost ?? (physicsResult.nitroActive ? 1 : 0), deltaTime);
     }
     
-    updateAnimations(deltaTime, steeringAngle, speed, groundNormal) {
-        // Calculate lean while turning (roll) - more noticeable for better feedback
-        const targetLean = -steeringAngle * 0.05 * Math.min(1, speed / 5); // Increased from 0.03 for more visible lean
-        this.animation.lean += (targetLean - this.animation.lean) * Math.min(1, deltaTime * 3.0); // Increased from 2.5 for faster response
-        
-        // Calculate pitch based on acceleration/deceleration - more noticeable
-        const acceleration = speed - this.animation.prevSpeed;
-        const targetPitch = -acceleration * 0.01; // Increased from 0.008 for more feedback
-        this.animation.pitch += (targetPitch - this.animation.pitch) * Math.min(1, deltaTime * 2.0); // Increased from 1.8
+    updateAnimations(pitch, roll, speed) {
+        // Lean and pitch are simulated by the four-wheel suspension in TruckPhysics
+        this.animation.lean = roll;
+        this.animation.pitch = pitch;
         this.animation.prevSpeed = speed;
     }
     
     updateWheels(deltaTime, wheelRotationSpeed, steeringAngle) {
         // Update wheel rotation based on speed
         this.animation.wheelRotation += wheelRotationSpeed * deltaTime * 2;
+        const roll = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), this.animation.wheelRotation);
         
         // Apply rotation and steering to wheels
         this.wheels.forEach((wheel, index) => {
-            // Rotate all wheels
-            const wheelMesh = wheel.children[0];
-            if (wheelMesh) {
-                wheelMesh.rotation.x = this.animation.wheelRotation;
+            // Roll all wheels about the axle, on top of however the spinning part rests
+            const spinner = this.wheelSpinners[index];
+            if (spinner) {
+                spinner.node.quaternion.multiplyQuaternions(roll, spinner.rest);
             }
             
             // Steer only front wheels (index 2,3) - more dramatic for better visual feedback
@@ -405,17 +831,63 @@ export class Truck {
         });
     }
     
+    // Move each wheel to its spring compression from physics (resting height for any
+    // wheel without one) and drag the shocks, springs and arms along with it
+    updateSuspension(wheelStates = []) {
+        const staticCompression = getStaticCompression(this.vehicle);
+        const travel = this.wheels.map((wheel, index) => {
+            const compression = wheelStates[index]?.compression ?? staticCompression;
+            const offset = compression - staticCompression;
+            wheel.position.y = this.wheelRestHeights[index] + offset;
+            return offset;
+        });
+        this.suspensionLinks.forEach(link => this.placeSuspensionLink(link, travel[link.wheel] ?? 0));
+    }
+    
+    // A spot light in front of each headlight lens, aimed down the track ahead. The beams
+    // are always in the scene and are switched by intensity alone, as adding or removing
+    // lights would make three.js recompile every material. They cast no shadows.
+    addHeadlightBeams() {
+        ['Headlight_L', 'Headlight_R'].forEach(name => {
+            const lens = this.truckGroup.getObjectByName(name);
+            if (!lens) return;
+            
+            const beam = new THREE.SpotLight(0xFFF4D6, 0, 70, 0.5, 0.6, 2);
+            beam.name = `${name}_Beam`;
+            beam.position.copy(lens.position);
+            beam.position.z += 0.1; // Just in front of the lens
+            beam.target.position.copy(lens.position).add(new THREE.Vector3(0, -2, 20));
+            this.truckGroup.add(beam, beam.target);
+            this.headlights.push({ lens, beam });
+        });
+        this.setHeadlights(this.headlightsOn);
+    }
+    
+    setHeadlights(on) {
+        this.headlightsOn = on;
+        this.headlights.forEach(({ lens, beam }) => {
+            beam.intensity = on ? this.headlightBeamIntensity : 0;
+            lens.material.emissiveIntensity = on ? this.headlightGlow.on : this.headlightGlow.off;
+        });
+    }
+    
+    // Where exhaust smoke comes out - the flames sit at the tips of the pipes, and go
+    // with them when a pipe breaks off
+    getExhaustOutlets() {
+        return this.exhaustFlames.filter(flame => !flame.userData.detached);
+    }
+    
     // New method to update nitro visual effects
-    updateNitroEffects(nitroActive, deltaTime) {
-        // Show/hide flames based on nitro state
+    updateNitroEffects(boost, deltaTime) {
+        // Show/hide flames based on nitro state - flame size follows the boost strength
         this.exhaustFlames.forEach((flame, index) => {
-            flame.visible = nitroActive;
+            flame.visible = boost > 0.01 && !flame.userData.detached;
             
-            if (nitroActive) {
+            if (flame.visible) {
                 // Animate flame size for flickering effect
                 const pulseRate = 10 + Math.sin(Date.now() / 100) * 5;
-                const scaleY = 1.0 + Math.sin(Date.now() / pulseRate) * 0.2;
-                flame.scale.y = scaleY;
+                const scaleY = (1.0 + Math.sin(Date.now() / pulseRate) * 0.2) * boost;
+                flame.scale.set(0.5 + boost * 0.5, scaleY, 0.5 + boost * 0.5);
                 
                 // Slightly randomize the flame rotation for more dynamic effect
                 flame.rotation.z = Math.sin(Date.now() / 120 + index) * 0.1;
@@ -423,6 +895,188 @@ export class Truck {
         });
     }
     
+    // Remember a mesh's undamaged shape so dents can be measured and undone
+    addDentableMesh(mesh) {
+        this.dentableMeshes.push({
+            mesh,
+            restPositions: mesh.geometry.attributes.position.array.slice()
+        });
+    }
+    
+    // Meshes that break off together once health(damageState) drops below the threshold
+    addDetachablePart(meshes, health, threshold) {
+        this.detachableParts.push({
+            meshes: meshes.map(mesh => ({
+                mesh,
+                position: mesh.position.clone(),
+                quaternion: mesh.quaternion.clone(),
+                scale: mesh.scale.clone()
+            })),
+            health,
+            threshold,
+            detached: false
+        });
+    }
+    
+    // Push the bodywork in around an impact point (body space, same as truckGroup space)
+    applyDent(event) {
+        this.dents.push({ localPoint: event.localPoint.clone(), direction: event.direction.clone(), amount: event.amount });
+        const depth = Math.min(this.maxDentDepth, event.amount * 1.5);
+        const vertex = new THREE.Vector3();
+        const rest = new THREE.Vector3();
+        
+        this.dentableMeshes.forEach(({ mesh, restPositions }) => {
+            const positions = mesh.geometry.attributes.position;
+            let changed = false;
+            
+            for (let i = 0; i < positions.count; i++) {
+                vertex.fromBufferAttribute(positions, i).add(mesh.position);
+                const distance = vertex.distanceTo(event.localPoint);
+                if (distance >= this.dentRadius) continue;
+                
+                const falloff = (1 - distance / this.dentRadius) ** 2;
+                vertex.addScaledVector(event.direction, depth * falloff).sub(mesh.position);
+                
+                // Never crumple further than the maximum dent from the original shape
+                rest.fromArray(restPositions, i * 3);
+                const offset = vertex.clone().sub(rest);
+                if (offset.length() > this.maxDentDepth) {
+                    vertex.copy(rest).addScaledVector(offset.normalize(), this.maxDentDepth);
+                }
+                
+                positions.setXYZ(i, vertex.x, vertex.y, vertex.z);
+                changed = true;
+            }
+            
+            if (changed) {
+                positions.needsUpdate = true;
+                mesh.geometry.computeVertexNormals();
+                mesh.geometry.computeBoundingSphere();
+            }
+        });
+    }
+    
+    // Break off any parts whose section has taken too much damage. Without scatter they
+    // are just left off, e.g. on a truck rebuilt from the garage that was already damaged.
+    updateDamage(damageState, scatter = true) {
+        this.detachableParts.forEach(part => {
+            if (part.detached || part.health(damageState) >= part.threshold) return;
+            part.detached = true;
+            part.meshes.forEach(({ mesh }) => {
+                if (scatter) {
+                    this.detachMesh(mesh);
+                } else {
+                    mesh.userData.detached = true;
+                    mesh.removeFromParent();
+                }
+            });
+        });
+    }
+    
+    // Hand a mesh over to the scene as loose debris that tumbles to the ground
+    detachMesh(mesh) {
+        const scene = this.truckGroup.parent;
+        mesh.userData.detached = true;
+        if (!scene) {
+            mesh.visible = false;
+            return;
+        }
+        
+        scene.attach(mesh); // Keeps its current world position and rotation
+        if (this.exhaustFlames.includes(mesh)) {
+            mesh.visible = false; // A broken pipe has nothing to burn
+        }
+        const outward = mesh.position.clone().sub(this.truckGroup.position).setY(0).normalize();
+        this.debris.push({
+            mesh,
+            velocity: outward.multiplyScalar(3 + Math.random() * 3).setY(4 + Math.random() * 3),
+            spin: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(8),
+            // Roughly the ground under the truck
+            groundY: this.truckGroup.position.y + getRestingWheelY(this.vehicle) - this.vehicle.dimensions.wheelRadius,
+            life: 8 // Seconds before the debris is cleared away
+        });
+    }
+    
+    updateDebris(deltaTime) {
+        this.debris = this.debris.filter(piece => {
+            piece.life -= deltaTime;
+            if (piece.life <= 0) {
+                piece.mesh.removeFromParent();
+                return false;
+            }
+            
+            // Simple fall and tumble until it comes to rest on the ground
+            if (piece.mesh.position.y > piece.groundY) {
+                piece.velocity.y -= 9.8 * deltaTime;
+                piece.mesh.position.addScaledVector(piece.velocity, deltaTime);
+                piece.mesh.rotation.x += piece.spin.x * deltaTime;
+                piece.mesh.rotation.y += piece.spin.y * deltaTime;
+                piece.mesh.rotation.z += piece.spin.z * deltaTime;
+            } else {
+                piece.mesh.position.y = piece.groundY;
+            }
+            return true;
+        });
+    }
+    
+    // Keep loose debris in place when the scene origin moves
+    shiftOrigin(dx, dz) {
+        this.debris.forEach(piece => {
+            piece.mesh.position.x -= dx;
+            piece.mesh.position.z -= dz;
+        });
+    }
+    
+    // Press another truck's dents into this one, e.g. after a garage rebuild
+    copyDents(truck) {
+        truck.dents.forEach(dent => this.applyDent(dent));
+    }
+    
+    // Undo all dents and put every broken-off part back
+    repair() {
+        this.dents = [];
+        this.dentableMeshes.forEach(({ mesh, restPositions }) => {
+            const positions = mesh.geometry.attributes.position;
+            positions.array.set(restPositions);
+            positions.needsUpdate = true;
+            mesh.geometry.computeVertexNormals();
+            mesh.geometry.computeBoundingSphere();
+        });
+        
+        this.debris.forEach(piece => piece.mesh.removeFromParent());
+        this.debris = [];
+        
+        this.detachableParts.forEach(part => {
+            if (!part.detached) return;
+            part.detached = false;
+            part.meshes.forEach(({ mesh, position, quaternion, scale }) => {
+                mesh.removeFromParent();
+                mesh.position.copy(position);
+                mesh.quaternion.copy(quaternion);
+                mesh.scale.copy(scale);
+                mesh.userData.detached = false;
+                this.truckGroup.add(mesh);
+            });
+        });
+    }
+    
+    // Free the truck's geometry and materials, e.g. when it is rebuilt with a new loadout
+    dispose() {
+        this.debris.forEach(piece => piece.mesh.removeFromParent());
+        this.debris = [];
+        this.truckGroup.removeFromParent();
+        
+        const resources = new Set();
+        const collect = object => object.traverse(child => {
+            if (child.geometry) resources.add(child.geometry);
+            if (child.material) resources.add(child.material);
+        });
+        collect(this.truckGroup);
+        // Broken-off parts are no longer under the truck group
+        this.detachableParts.forEach(part => part.meshes.forEach(({ mesh }) => collect(mesh)));
+        resources.forEach(resource => resource.dispose());
+    }
+    
     reset(position) {
         // Reset position and rotation
         this.truckGroup.position.copy(position || new THREE.Vector3(0, 0.5, 0));
@@ -433,5 +1087,6 @@ export class Truck {
         this.animation.pitch = 0;
         this.animation.wheelRotation = 0;
         this.animation.prevSpeed = 0;
+        this.updateSuspension();
     }
 } 
\ No newline at end of file
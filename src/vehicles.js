@@ -0,0 +1,70 @@
+import monster from './vehicles/monster.json' with { type: 'json' };
+import buggy from './vehicles/buggy.json' with { type: 'json' };
+import hauler from './vehicles/hauler.json' with { type: 'json' };
+
+// Vehicle definitions describe a truck's physics tuning, dimensions, colors and which
+// optional parts it has. Both TruckPhysics and Truck build from one of these.
+//  physics    - masses, forces, grip, suspension and an engine section for the Drivetrain
+//  dimensions - body and wheel sizes in meters, in the truck's body space
+//  collision  - obstacle circles and ground clearances for the body
+//  colors     - CSS hex colors for each part
+//  parts      - optional parts to build (roll cage, exhaust pipes, flame decals)
+//  model      - optional URL of a glTF/GLB model to use instead of the built truck (see truck-model.js)
+export const VEHICLE_PRESETS = Object.freeze({
+    monster,
+    buggy,
+    hauler
+});
+
+export const DEFAULT_VEHICLE_ID = 'monster';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge, with arrays (torque curves, gear ratios) replaced rather than merged
+function mergeDefinitions(base, overrides) {
+    const result = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeDefinitions(base[key], value)
+            : value;
+    });
+    return result;
+}
+
+// Fill in anything a definition leaves out from the default monster truck, so custom
+// JSON only needs the values it changes. Accepts a preset id or a definition object.
+export function resolveVehicleDefinition(vehicle = DEFAULT_VEHICLE_ID) {
+    if (typeof vehicle === 'string') {
+        return VEHICLE_PRESETS[vehicle] ? mergeDefinitions({}, VEHICLE_PRESETS[vehicle]) : resolveVehicleDefinition();
+    }
+    const definition = mergeDefinitions(VEHICLE_PRESETS[DEFAULT_VEHICLE_ID], vehicle || {});
+    // The default truck's model only fits the default truck, so custom trucks bring their own
+    definition.model = vehicle?.model ?? null;
+    return definition;
+}
+
+// Wheel positions in body space, in the order back left, back right, front left, front right
+export function getWheelLayout(vehicle) {
+    const halfTrack = vehicle.dimensions.trackWidth / 2;
+    const halfBase = vehicle.dimensions.wheelBase / 2;
+    return [
+        { x: -halfTrack, z: -halfBase },
+        { x: halfTrack, z: -halfBase },
+        { x: -halfTrack, z: halfBase },
+        { x: halfTrack, z: halfBase }
+    ];
+}
+
+// How far each spring is squashed by the truck's own weight, resting on flat ground
+export function getStaticCompression(vehicle) {
+    const { mass, springStiffness } = vehicle.physics;
+    return mass * 9.8 / (4 * springStiffness);
+}
+
+// Height of the wheel centers below the body when the truck is resting on flat ground
+export function getRestingWheelY(vehicle) {
+    const { suspensionRestLength } = vehicle.physics;
+    return vehicle.dimensions.suspensionAnchorY - (suspensionRestLength - getStaticCompression(vehicle));
+}
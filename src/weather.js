@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+
+// Weather - clear, overcast, rain, snow or thick fog. Each type is a set of numbers
+// that Game applies to the world: fog density, how grey the sky is, how much sunlight
+// gets through, how hard it rains or snows, how wet or snowy the ground looks and how
+// much grip the tires have. Changing the weather blends every number over a few
+// seconds, so rain sets in and clears up rather than switching on.
+
+export const WEATHER_TYPES = Object.freeze({
+    clear: Object.freeze({
+        name: 'clear',
+        label: 'Clear',
+        fogDensity: 0.004,
+        cloud: 0, // How far the sky and fog are greyed out
+        sunlight: 1, // Multiplier on the sun or moon's intensity
+        rain: 0, // Precipitation, 0 to 1
+        snow: 0,
+        wetness: 0, // Darkening and shine on the ground
+        snowCover: 0, // Ground whitened with snow
+        grip: 1 // Multiplier on tire grip (TruckPhysics.gripMultiplier)
+    }),
+    overcast: Object.freeze({
+        name: 'overcast',
+        label: 'Overcast',
+        fogDensity: 0.006,
+        cloud: 0.7,
+        sunlight: 0.45,
+        rain: 0,
+        snow: 0,
+        wetness: 0,
+        snowCover: 0,
+        grip: 1
+    }),
+    rain: Object.freeze({
+        name: 'rain',
+        label: 'Rain',
+        fogDensity: 0.009,
+        cloud: 0.85,
+        sunlight: 0.3,
+        rain: 1,
+        snow: 0,
+        wetness: 1,
+        snowCover: 0,
+        grip: 0.75
+    }),
+    snow: Object.freeze({
+        name: 'snow',
+        label: 'Snow',
+        fogDensity: 0.012,
+        cloud: 0.75,
+        sunlight: 0.5,
+        rain: 0,
+        snow: 1,
+        wetness: 0,
+        snowCover: 1,
+        grip: 0.55
+    }),
+    fog: Object.freeze({
+        name: 'fog',
+        label: 'Thick fog',
+        fogDensity: 0.035,
+        cloud: 0.5,
+        sunlight: 0.55,
+        rain: 0,
+        snow: 0,
+        wetness: 0.3,
+        snowCover: 0,
+        grip: 0.95
+    })
+});
+
+export const DEFAULT_WEATHER = 'clear';
+
+// The order the weather key and the automatic cycle step through
+export const WEATHER_ORDER = Object.freeze(Object.keys(WEATHER_TYPES));
+
+// The numbers that are blended between weather types
+const BLENDED_KEYS = ['fogDensity', 'cloud', 'sunlight', 'rain', 'snow', 'wetness', 'snowCover', 'grip'];
+
+// Grey out a color by `amount` toward the grey of the same brightness, a little
+// darker, as under cloud. Changes the color in place.
+const grey = new THREE.Color();
+export function overcastColor(color, amount) {
+    const brightness = (color.r + color.g + color.b) / 3 * 0.85;
+    return color.lerp(grey.setRGB(brightness, brightness, brightness * 1.05), amount);
+}
+
+export class Weather {
+    constructor(options = {}) {
+        this.type = WEATHER_TYPES[options.type] ? options.type : DEFAULT_WEATHER;
+        this.transitionTime = options.transitionTime ?? 15; // Seconds to blend into new weather
+
+        // With cycle on, the weather moves on to the next type every cycleTime seconds
+        this.cycle = options.cycle ?? false;
+        this.cycleTime = options.cycleTime ?? 180;
+        this.cycleTimer = this.cycleTime;
+
+        // Blended numbers, moving from `from` toward the current type
+        this.state = { ...WEATHER_TYPES[this.type] };
+        this.from = { ...this.state };
+        this.blend = 1;
+    }
+
+    get label() {
+        return WEATHER_TYPES[this.type].label;
+    }
+
+    // Change the weather, blending over transitionTime unless immediate
+    set(type, immediate = false) {
+        if (!WEATHER_TYPES[type]) {
+            throw new Error(`Unknown weather "${type}" - pick one of ${WEATHER_ORDER.join(', ')}`);
+        }
+        this.type = type;
+        this.from = { ...this.state };
+        this.blend = immediate ? 1 : 0;
+        this.cycleTimer = this.cycleTime;
+        this.applyBlend();
+    }
+
+    // Move on to the next weather type; returns its name
+    next() {
+        const index = WEATHER_ORDER.indexOf(this.type);
+        this.set(WEATHER_ORDER[(index + 1) % WEATHER_ORDER.length]);
+        return this.type;
+    }
+
+    update(deltaTime) {
+        if (this.cycle) {
+            this.cycleTimer -= deltaTime;
+            if (this.cycleTimer <= 0) {
+                this.next();
+            }
+        }
+
+        if (this.blend < 1) {
+            this.blend = Math.min(1, this.blend + deltaTime / this.transitionTime);
+            this.applyBlend();
+        }
+    }
+
+    applyBlend() {
+        const target = WEATHER_TYPES[this.type];
+        // Ease in and out so fog and rain don't start or stop abruptly
+        const t = this.blend * this.blend * (3 - 2 * this.blend);
+        BLENDED_KEYS.forEach(key => {
+            this.state[key] = this.from[key] + (target[key] - this.from[key]) * t;
+        });
+        this.state.name = target.name;
+        this.state.label = target.label;
+    }
+
+    // The blended weather right now - the numbers listed in WEATHER_TYPES
+    getState() {
+        return this.state;
+    }
+}
@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { runScenario } from '../src/harness.js';
+import { createBoundary, BOUNDARY_TYPES } from '../src/boundaries.js';
+import { WallBoundary } from '../src/boundaries/walls.js';
+import { Terrain } from '../src/terrain.js';
+
+const SETTLE = { duration: 1, input: {} };
+const DRIVE_OUT = { duration: 20, input: { forward: true } };
+
+describe('createBoundary', () => {
+    test('builds every strategy by id', () => {
+        Object.keys(BOUNDARY_TYPES).forEach(type => assert.equal(createBoundary(type).type, type));
+    });
+
+    test('falls back to the open world and passes strategies through', () => {
+        assert.equal(createBoundary().type, 'open');
+        assert.equal(createBoundary('moon').type, 'open');
+        const walls = new WallBoundary({ limit: 10 });
+        assert.equal(createBoundary(walls), walls);
+        assert.equal(createBoundary({ type: 'walls', limit: 10 }).limit, 10);
+    });
+});
+
+describe('world edge strategies in TruckPhysics', () => {
+    test('walls bounce the truck back', () => {
+        const { trajectory, impacts } = runScenario({
+            boundary: { type: 'walls', limit: 60 },
+            script: [SETTLE, { duration: 30, input: { forward: true }, until: result => result.position.z > 59 }, { duration: 0.1, input: {} }]
+        });
+        const hit = impacts.find(impact => impact.type === 'boundary');
+        assert.ok(hit, 'boundary impact reported');
+        assert.deepEqual(hit.normal.toArray(), [0, 0, -1]);
+        assert.ok(trajectory[trajectory.length - 1].velocity.z < 0, 'moving away from the wall after the hit');
+    });
+
+    test('a pull boundary turns the truck round without a hit', () => {
+        const boundary = createBoundary('pull', { limit: 400, pullDistance: 250 });
+        const { trajectory, impacts } = runScenario({ boundary, script: [SETTLE, DRIVE_OUT] });
+        const furthest = Math.max(...trajectory.map(sample => sample.position.z));
+        assert.ok(furthest > boundary.pullStart && furthest < boundary.limit, `reached z = ${furthest.toFixed(1)}`);
+        assert.equal(impacts.length, 0);
+    });
+
+    test('a wrap-around world lets the truck drive on and folds its position', () => {
+        const boundary = createBoundary('wrap', { size: 200 });
+        const { result } = runScenario({ boundary, script: [SETTLE, DRIVE_OUT] });
+        assert.ok(result.position.z > 200);
+        const wrapped = boundary.wrapPosition(result.position);
+        assert.ok(wrapped.z >= -100 && wrapped.z < 100);
+        assert.ok(Math.abs(wrapped.z - (result.position.z - 200 * Math.round(result.position.z / 200))) < 1e-9);
+    });
+});
+
+describe('wrap-around terrain', () => {
+    const terrain = new Terrain(new THREE.Scene(), { seed: 7, boundary: 'wrap' });
+    const size = terrain.groundSize;
+
+    test('heights and surfaces repeat every world size', () => {
+        [[1749.3, 12.5], [-401.2, 1740.8], [900, -1300], [1745, 1748]].forEach(([x, z]) => {
+            assert.equal(terrain.sampleHeight(x + size, z), terrain.sampleHeight(x, z));
+            assert.equal(terrain.sampleHeight(x, z - size), terrain.sampleHeight(x, z));
+            assert.equal(terrain.getWorldSurfaceAt(x + size, z + size), terrain.getWorldSurfaceAt(x, z));
+        });
+    });
+
+    test('the ground has no step at the seam', () => {
+        [-600, 0, 350, 1200].forEach(z => {
+            const step = Math.abs(terrain.sampleHeight(size / 2 - 0.01, z) - terrain.sampleHeight(-size / 2, z));
+            assert.ok(step < 0.05, `step of ${step.toFixed(3)} m at z = ${z}`);
+        });
+    });
+});
+
+describe('boundary markers', () => {
+    test('are freed with the terrain', () => {
+        const terrain = new Terrain(new THREE.Scene(), { seed: 7, boundary: 'walls' });
+        terrain.addBoundaryMarkers();
+        const markers = terrain.boundaryMarkers;
+        const post = markers.children[0];
+        const disposed = [];
+        post.geometry.addEventListener('dispose', () => disposed.push('geometry'));
+        post.material.addEventListener('dispose', () => disposed.push('material'));
+
+        terrain.dispose();
+        assert.equal(terrain.boundaryMarkers, null);
+        assert.equal(markers.parent, null);
+        assert.deepEqual(disposed, ['geometry', 'material']);
+    });
+});
@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LOADOUT_OPTIONS,
+    LOADOUT_STORAGE_KEY,
+    loadLoadout,
+    normalizeLoadout,
+    resolveAppearance,
+    sameLoadout,
+    saveLoadout
+} from '../src/loadout.js';
+import { resolveVehicleDefinition } from '../src/vehicles.js';
+import { Truck } from '../src/truck.js';
+import { Garage } from '../src/garage.js';
+import * as THREE from 'three';
+
+// Just enough of localStorage for the loadout functions
+function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+describe('loadouts', () => {
+    test('invalid choices fall back to the defaults', () => {
+        const loadout = normalizeLoadout({
+            bodyColor: 'red',
+            accentColor: '#00ff00',
+            wheelStyle: 'square',
+            tireStyle: 'knobby',
+            decals: 42,
+            parts: { rollCage: false, exhaustPipes: 'yes', spoiler: true }
+        });
+        assert.deepEqual(loadout, {
+            bodyColor: null,
+            accentColor: '#00FF00',
+            wheelStyle: 'classic',
+            tireStyle: 'knobby',
+            decals: null,
+            parts: { rollCage: false }
+        });
+    });
+
+    test('round-trips through storage', () => {
+        const storage = createStorage();
+        const loadout = normalizeLoadout({ bodyColor: '#E53935', wheelStyle: 'beadlock', decals: 'stars' });
+        saveLoadout(loadout, storage);
+        assert.ok(storage.items[LOADOUT_STORAGE_KEY]);
+        assert.deepEqual(loadLoadout(storage), loadout);
+    });
+
+    test('missing or corrupt saves give the default loadout', () => {
+        assert.deepEqual(loadLoadout(createStorage()), normalizeLoadout());
+        const original = console.warn;
+        console.warn = () => {};
+        try {
+            assert.deepEqual(loadLoadout(createStorage({ [LOADOUT_STORAGE_KEY]: '{not json' })), normalizeLoadout());
+        } finally {
+            console.warn = original;
+        }
+        assert.deepEqual(loadLoadout(null), normalizeLoadout());
+    });
+
+    test('compares loadouts by the truck they make', () => {
+        assert.ok(sameLoadout({}, normalizeLoadout()));
+        assert.ok(sameLoadout({ decals: 'stars', wheelStyle: 'nope' }, { decals: 'stars' }));
+        assert.equal(sameLoadout({ decals: 'stars' }, { decals: 'flames' }), false);
+    });
+
+    test('choices go over the vehicle definition and unset ones keep it', () => {
+        const vehicle = resolveVehicleDefinition('monster');
+        const appearance = resolveAppearance(vehicle, { accentColor: '#C0C0C0', parts: { exhaustPipes: false } });
+        assert.equal(appearance.colors.body, vehicle.colors.body);
+        assert.equal(appearance.colors.rollCage, '#C0C0C0');
+        assert.equal(appearance.colors.hubs, '#C0C0C0');
+        assert.equal(appearance.parts.rollCage, true);
+        assert.equal(appearance.parts.exhaustPipes, false);
+        assert.equal(appearance.decals, 'flames'); // The monster truck comes with flames
+    });
+});
+
+describe('Truck.build with a loadout', () => {
+    const countMeshes = group => {
+        let count = 0;
+        group.traverse(child => { if (child.isMesh) count++; });
+        return count;
+    };
+
+    test('builds every wheel, tire and decal style', () => {
+        Object.keys(LOADOUT_OPTIONS.wheelStyles).forEach(wheelStyle => {
+            Object.keys(LOADOUT_OPTIONS.tireStyles).forEach(tireStyle => {
+                Object.keys(LOADOUT_OPTIONS.decalSets).forEach(decals => {
+                    const truck = new Truck('monster', { wheelStyle, tireStyle, decals });
+                    assert.equal(truck.build().children.length > 0, true);
+                    assert.equal(truck.wheels.length, 4);
+                });
+            });
+        });
+    });
+
+    test('leaves off parts the player removed and paints the body', () => {
+        const stock = new Truck('monster');
+        const stripped = new Truck('monster', { bodyColor: '#1E88E5', parts: { rollCage: false, exhaustPipes: false } });
+        const stockMeshes = countMeshes(stock.build());
+        const strippedModel = stripped.build();
+        assert.ok(countMeshes(strippedModel) < stockMeshes);
+        assert.equal(stripped.detachableParts.length, 0);
+        assert.equal(stripped.exhaustFlames.length, 0);
+        assert.equal(strippedModel.children[0].material.color.getHexString(), '1e88e5');
+    });
+});
+
+describe('Garage', () => {
+    test('rebuilds the truck on close only when the loadout changed, with one preview loop', () => {
+        const frames = [];
+        const cancelled = [];
+        const saved = { request: globalThis.requestAnimationFrame, cancel: globalThis.cancelAnimationFrame };
+        globalThis.requestAnimationFrame = callback => frames.push(callback);
+        globalThis.cancelAnimationFrame = id => cancelled.push(id);
+
+        try {
+            const applied = [];
+            const garage = new Garage(resolveVehicleDefinition('monster'), {}, { onApply: loadout => applied.push(loadout) });
+            garage.overlay = { style: {} };
+            garage.renderer = {}; // Skip building the preview scene
+            garage.rebuildPreview = () => {};
+
+            garage.open();
+            garage.close();
+            assert.equal(applied.length, 0);
+            assert.deepEqual(cancelled, [frames.length]);
+
+            garage.open();
+            garage.loadout = normalizeLoadout({ decals: 'stars' });
+            garage.close();
+            assert.equal(applied.length, 1);
+            assert.equal(applied[0].decals, 'stars');
+
+            // Reopening straight away starts one fresh loop; the old one was cancelled
+            garage.open();
+            assert.equal(cancelled.length, 2);
+            assert.equal(garage.previewFrame, frames.length);
+        } finally {
+            globalThis.requestAnimationFrame = saved.request;
+            globalThis.cancelAnimationFrame = saved.cancel;
+        }
+    });
+});
+
+describe('Truck dents', () => {
+    test('a rebuilt truck takes over the old one\'s dents until repaired', () => {
+        const dented = new Truck('monster');
+        dented.build();
+        dented.applyDent({ localPoint: new THREE.Vector3(0, 1, 3), direction: new THREE.Vector3(0, 0, -1), amount: 0.5 });
+
+        const rebuilt = new Truck('monster', { decals: 'stars' });
+        rebuilt.build();
+        rebuilt.copyDents(dented);
+        const body = truck => truck.dentableMeshes[0].mesh.geometry.attributes.position.array;
+        assert.deepEqual(Array.from(body(rebuilt)), Array.from(body(dented)));
+        assert.notDeepEqual(Array.from(body(rebuilt)), Array.from(rebuilt.dentableMeshes[0].restPositions));
+
+        rebuilt.repair();
+        assert.equal(rebuilt.dents.length, 0);
+    });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ParticleSystem, PARTICLE_BUDGETS, resolveParticleBudget } from '../src/particles.js';
+import { DrivingEffects } from '../src/driving-effects.js';
+import { runScenario } from '../src/harness.js';
+import { resolveVehicleDefinition } from '../src/vehicles.js';
+import { Truck } from '../src/truck.js';
+
+const origin = new THREE.Vector3();
+const still = new THREE.Vector3();
+
+test('budgets resolve from names and counts', () => {
+    assert.equal(resolveParticleBudget('low'), PARTICLE_BUDGETS.low);
+    assert.equal(resolveParticleBudget(250), 250);
+    assert.equal(resolveParticleBudget(undefined), PARTICLE_BUDGETS.high);
+    assert.equal(resolveParticleBudget('lots'), PARTICLE_BUDGETS.high);
+});
+
+test('never holds more particles than the budget', () => {
+    const particles = new ParticleSystem({ budget: 10 });
+    for (let i = 0; i < 15; i++) {
+        particles.emit(origin, still, { life: 1 });
+    }
+    assert.equal(particles.count, 10);
+    assert.equal(particles.dropped, 5);
+    assert.ok(new ParticleSystem({ budget: 'low' }).density < new ParticleSystem({ budget: 'high' }).density);
+});
+
+test('moves, fades out and recycles particles', () => {
+    const particles = new ParticleSystem({ budget: 10 });
+    particles.emit(origin, new THREE.Vector3(1, 0, 0), { life: 0.5 });
+    particles.emit(origin, new THREE.Vector3(0, 5, 0), { life: 2, gravity: 1, floor: 0 });
+
+    particles.update(0.25);
+    assert.ok(Math.abs(particles.positions[0] - 0.25) < 1e-6);
+    assert.ok(particles.opacities[0] > 0);
+
+    // The short-lived one dies and the other takes its slot
+    particles.update(0.3);
+    assert.equal(particles.count, 1);
+    assert.ok(particles.positions[1] > 0, 'still rising');
+
+    // Falls back and stops on its floor
+    particles.update(1);
+    assert.equal(particles.positions[1], 0);
+    assert.equal(particles.points.geometry.drawRange.count, 1);
+
+    particles.update(1);
+    assert.equal(particles.count, 0);
+});
+
+// Drive the monster truck to speed and count what one second of effects emits
+function emitWhileDriving(surface, budget) {
+    const vehicle = resolveVehicleDefinition('monster');
+    const { result } = runScenario({ vehicle, script: [{ duration: 1, input: {} }, { duration: 4, input: { forward: true } }] });
+    const truck = new Truck(vehicle);
+    truck.build();
+    truck.updateVisuals(result, 1 / 60);
+
+    const particles = new ParticleSystem({ budget });
+    const effects = new DrivingEffects(particles, vehicle);
+    for (let i = 0; i < 60; i++) {
+        effects.update(1 / 60, { ...result, surface, impacts: [], landings: [] }, truck);
+    }
+    return particles.count;
+}
+
+test('dusty ground raises more dust than grass, scaled by the budget', () => {
+    const grass = emitWhileDriving('grass', 'high');
+    const sand = emitWhileDriving('sand', 'high');
+    assert.ok(sand > grass * 2, `sand ${sand} vs grass ${grass}`);
+    assert.ok(emitWhileDriving('sand', 'low') < sand / 5);
+});
+
+test('impacts throw sparks and hard landings throw dust', () => {
+    const vehicle = resolveVehicleDefinition('monster');
+    const truck = new Truck(vehicle);
+    truck.build();
+    const particles = new ParticleSystem();
+    const effects = new DrivingEffects(particles, vehicle);
+    const result = {
+        position: new THREE.Vector3(), velocity: new THREE.Vector3(), rotation: 0, speed: 0, rpm: 0,
+        surface: 'dirt', wheels: [], impacts: [], landings: []
+    };
+
+    effects.update(0, { ...result, impacts: [{ kind: 'rock', speed: 10, normal: new THREE.Vector3(0, 0, -1) }] }, truck);
+    const sparks = particles.count;
+    assert.ok(sparks > 0);
+
+    effects.update(0, { ...result, landings: [{ impactSpeed: 1 }] }, truck);
+    assert.equal(particles.count, sparks, 'soft landings raise nothing');
+    effects.update(0, { ...result, landings: [{ impactSpeed: 8 }] }, truck);
+    assert.ok(particles.count > sparks);
+});
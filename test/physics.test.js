@@ -0,0 +1,142 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario } from '../src/harness.js';
+import { TruckPhysics } from '../src/physics.js';
+
+// Regression tests for the default monster truck's handling. The ranges are wide enough
+// for small tuning tweaks but catch changes that make the truck feel different.
+
+const kmh = speed => speed / 3.6;
+const SETTLE = { duration: 1, input: {} };
+
+function accelerateTo(speedKmh) {
+    return { duration: 30, input: { forward: true }, until: result => result.speed >= kmh(speedKmh) };
+}
+
+// Average radius of the path: distance driven divided by how far the heading turned
+function turningRadius(trajectory, fromTime) {
+    const samples = trajectory.filter(sample => sample.time >= fromTime);
+    let distance = 0;
+    let turned = 0;
+    for (let i = 1; i < samples.length; i++) {
+        distance += samples[i].position.distanceTo(samples[i - 1].position);
+        turned += Math.abs(samples[i].rotation - samples[i - 1].rotation);
+    }
+    return distance / turned;
+}
+
+describe('TruckPhysics on flat ground', () => {
+    test('settles at its suspension ride height', () => {
+        const { physics, result } = runScenario({ script: [{ duration: 2, input: {} }] });
+        assert.ok(result.groundContact);
+        assert.ok(Math.abs(result.position.y - physics.suspensionHeight) < 0.05,
+            `ride height ${result.position.y.toFixed(3)} vs ${physics.suspensionHeight.toFixed(3)}`);
+    });
+
+    test('accelerates from 0 to 80 km/h in 3-4.5 seconds', () => {
+        const { time } = runScenario({ script: [SETTLE, accelerateTo(80)] });
+        const accelerationTime = time - SETTLE.duration;
+        assert.ok(accelerationTime >= 3 && accelerationTime <= 4.5, `took ${accelerationTime.toFixed(2)}s`);
+    });
+
+    test('tops out at the maximum speed and never passes it', () => {
+        const { physics, trajectory } = runScenario({
+            script: [SETTLE, { duration: 20, input: { forward: true } }]
+        });
+        const topSpeedKmh = Math.max(...trajectory.map(sample => sample.speed)) * 3.6;
+        assert.ok(topSpeedKmh > physics.maxSpeedKmh - 2, `top speed ${topSpeedKmh.toFixed(1)} km/h`);
+        assert.ok(topSpeedKmh <= physics.maxSpeedKmh + 0.5, `top speed ${topSpeedKmh.toFixed(1)} km/h`);
+    });
+
+    test('shifts up through the gears on the way to top speed', () => {
+        const { trajectory } = runScenario({
+            script: [SETTLE, { duration: 15, input: { forward: true } }]
+        });
+        const gears = trajectory.map(sample => sample.gear);
+        assert.equal(gears[0], 1);
+        assert.equal(Math.max(...gears), 5);
+        gears.forEach((gear, i) => assert.ok(i === 0 || gear >= gears[i - 1], 'never shifts down while accelerating'));
+    });
+
+    test('brakes from 80 km/h to a stop in 35-60 m', () => {
+        const { trajectory } = runScenario({
+            script: [
+                SETTLE,
+                accelerateTo(80),
+                { duration: 20, input: { brake: true }, until: result => result.speed < 0.1 }
+            ]
+        });
+        const start = trajectory.find(sample => sample.speed >= kmh(80));
+        const end = trajectory[trajectory.length - 1];
+        const distance = end.position.distanceTo(start.position);
+        assert.ok(end.speed < 0.1, 'comes to a stop');
+        assert.ok(distance >= 35 && distance <= 60, `stopped in ${distance.toFixed(1)} m`);
+    });
+
+    test('holding back brakes to a stop and then reverses', () => {
+        const { physics, result } = runScenario({
+            script: [SETTLE, accelerateTo(50), { duration: 10, input: { backward: true } }]
+        });
+        const forward = Math.sin(result.rotation) * result.velocity.x + Math.cos(result.rotation) * result.velocity.z;
+        assert.equal(physics.drivetrain.gear, -1);
+        assert.ok(forward < -1, `moving backward at ${forward.toFixed(2)} m/s`);
+    });
+
+    test('turns on a 30-55 m radius at full lock from 30 km/h', () => {
+        const { trajectory, time } = runScenario({
+            sampleInterval: 0.05,
+            script: [SETTLE, accelerateTo(30), { duration: 3, input: { left: true } }]
+        });
+        const radius = turningRadius(trajectory, time - 2);
+        assert.ok(radius >= 30 && radius <= 55, `radius ${radius.toFixed(1)} m`);
+    });
+
+    test('left turns toward +x and right turns toward -x', () => {
+        const script = input => [SETTLE, accelerateTo(30), { duration: 3, input }];
+        const left = runScenario({ script: script({ left: true }) });
+        const right = runScenario({ script: script({ right: true }) });
+        assert.ok(left.result.position.x > 1);
+        assert.ok(right.result.position.x < -1);
+    });
+
+    test('handbrake turns swing the tail out further than steering alone', () => {
+        const script = input => [SETTLE, accelerateTo(60), { duration: 1.5, input }];
+        const steered = runScenario({ script: script({ left: true }) });
+        const handbraked = runScenario({ script: script({ left: true, handbrake: true }) });
+        assert.ok(Math.abs(handbraked.result.driftAngle) > Math.abs(steered.result.driftAngle) + 0.1,
+            `drift ${handbraked.result.driftAngle.toFixed(2)} vs ${steered.result.driftAngle.toFixed(2)} rad`);
+    });
+
+    test('the same inputs always give the same trajectory', () => {
+        const script = [SETTLE, accelerateTo(60), { duration: 2, input: { forward: true, left: true, nitro: true } }];
+        const first = runScenario({ script });
+        const second = runScenario({ script });
+        assert.deepEqual(second.result.position.toArray(), first.result.position.toArray());
+        assert.equal(second.result.rotation, first.result.rotation);
+    });
+});
+
+describe('TruckPhysics world boundaries', () => {
+    test('a finite world stops the truck at its edge and reports the hit', () => {
+        const limit = 50;
+        const { trajectory, impacts } = runScenario({
+            boundaryLimit: limit,
+            script: [SETTLE, { duration: 10, input: { forward: true } }]
+        });
+        const furthest = Math.max(...trajectory.map(sample => sample.position.z));
+        assert.ok(furthest <= limit + 1e-6, `reached z = ${furthest.toFixed(2)}`);
+        assert.ok(impacts.some(impact => impact.type === 'boundary'), 'boundary impact reported');
+    });
+
+    test('an endless world has no edge', () => {
+        const { result, impacts } = runScenario({
+            script: [SETTLE, { duration: 10, input: { forward: true } }]
+        });
+        assert.ok(result.position.z > 100, `reached z = ${result.position.z.toFixed(2)}`);
+        assert.equal(impacts.filter(impact => impact.type === 'boundary').length, 0);
+    });
+
+    test('boundaryLimit defaults to an endless world', () => {
+        assert.equal(new TruckPhysics().boundaryLimit, null);
+    });
+});
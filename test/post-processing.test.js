@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+    PostProcessing, POST_EFFECTS, POST_QUALITY_PRESETS, POST_QUALITY_ORDER,
+    createGradeLUT, resolvePostQuality
+} from '../src/post-processing.js';
+
+// Just enough of a WebGLRenderer to build the passes - nothing here draws
+function createRenderer() {
+    const rendered = [];
+    return {
+        rendered,
+        getPixelRatio: () => 1,
+        getSize: target => target.set(800, 600),
+        render: (scene, camera) => rendered.push({ scene, camera })
+    };
+}
+
+function createPostProcessing(options) {
+    return new PostProcessing(createRenderer(), new THREE.Scene(), new THREE.PerspectiveCamera(), options);
+}
+
+test('quality names resolve to presets', () => {
+    assert.equal(resolvePostQuality('medium'), 'medium');
+    assert.equal(resolvePostQuality('ultra'), 'off');
+    assert.equal(resolvePostQuality(undefined), 'off');
+    assert.equal(createPostProcessing().enabled, false);
+});
+
+test('quality presets switch effects on and off', () => {
+    const post = createPostProcessing({ quality: 'low' });
+    assert.deepEqual(post.activeEffects, POST_QUALITY_PRESETS.low.effects);
+    assert.equal(post.isEffectOn('painterly'), false);
+
+    post.setQuality('high');
+    assert.deepEqual(post.activeEffects, POST_EFFECTS);
+    assert.equal(post.composer.renderTarget1.samples, POST_QUALITY_PRESETS.high.samples);
+
+    post.setQuality('off');
+    assert.deepEqual(post.activeEffects, []);
+    assert.equal(post.enabled, false);
+});
+
+test('every effect can be toggled on its own', () => {
+    const post = createPostProcessing({ quality: 'high' });
+    POST_EFFECTS.forEach(name => {
+        assert.equal(post.toggleEffect(name), false);
+        assert.equal(post.passes[name].enabled, false);
+        assert.equal(post.toggleEffect(name), true);
+    });
+    assert.throws(() => post.setEffect('lensFlare', true), /Unknown post effect/);
+
+    const chosen = createPostProcessing({ quality: 'high', effects: ['bloom', 'vignette'] });
+    assert.deepEqual(chosen.activeEffects, ['bloom', 'vignette']);
+    const unset = createPostProcessing({ effects: ['bloom'] });
+    assert.equal(unset.quality, 'low');
+    assert.deepEqual(unset.activeEffects, ['bloom']);
+});
+
+test('unknown effect names from the URL are skipped', () => {
+    const typo = createPostProcessing({ quality: 'high', effects: ['blom', 'vignette'] });
+    assert.deepEqual(typo.activeEffects, ['vignette']);
+
+    const allUnknown = createPostProcessing({ quality: 'medium', effects: ['blom'] });
+    assert.deepEqual(allUnknown.activeEffects, POST_QUALITY_PRESETS.medium.effects);
+    assert.equal(createPostProcessing({ effects: ['blom'] }).enabled, false);
+});
+
+test('toggling an effect with post effects off turns the composer on for it', () => {
+    const renderer = createRenderer();
+    const post = new PostProcessing(renderer, new THREE.Scene(), new THREE.PerspectiveCamera(), { quality: 'off' });
+    assert.equal(post.toggleEffect('bloom'), true);
+    assert.equal(post.enabled, true);
+    assert.deepEqual(post.activeEffects, ['bloom']);
+
+    post.composer.render = () => renderer.rendered.push('composer');
+    post.render(1 / 60);
+    assert.deepEqual(renderer.rendered, ['composer']);
+});
+
+test('cycles through the quality presets', () => {
+    const post = createPostProcessing({ quality: 'off' });
+    const seen = [post.quality];
+    for (let i = 1; i < POST_QUALITY_ORDER.length; i++) {
+        seen.push(post.cycleQuality());
+    }
+    assert.deepEqual(seen, [...POST_QUALITY_ORDER]);
+    assert.equal(post.cycleQuality(), 'off');
+});
+
+test('with post effects off the scene is rendered straight to the screen', () => {
+    const renderer = createRenderer();
+    const scene = new THREE.Scene();
+    const post = new PostProcessing(renderer, scene, new THREE.PerspectiveCamera(), { quality: 'off' });
+    post.render(1 / 60);
+    assert.equal(renderer.rendered.length, 1);
+    assert.equal(renderer.rendered[0].scene, scene);
+});
+
+test('grade lookup tables map colors through the grade', () => {
+    const size = 8;
+    const neutral = createGradeLUT('neutral', size);
+    const texel = (lut, r, g, b) => Array.from(lut.image.data.slice(((b * size + g) * size + r) * 4, ((b * size + g) * size + r) * 4 + 3));
+    assert.deepEqual(texel(neutral, 7, 0, 0), [255, 0, 0]);
+    assert.deepEqual(texel(neutral, 0, 7, 7), [0, 255, 255]);
+
+    // The warm grade pushes highlights toward yellow and lifts the soft grade's blacks
+    const [r, , b] = texel(createGradeLUT('warm', size), 6, 6, 6);
+    assert.ok(r > b);
+    assert.ok(texel(createGradeLUT('soft', size), 0, 0, 0)[0] > 0);
+});
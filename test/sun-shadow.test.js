@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SunShadow } from '../src/sun-shadow.js';
+
+function createSunShadow() {
+    const light = new THREE.DirectionalLight(0xFFFFFF, 1);
+    light.shadow.mapSize.set(2048, 2048);
+    return new SunShadow(light, { size: 150, distance: 200 });
+}
+
+const sunDirection = new THREE.Vector3(0.3, 0.8, 0.4).normalize();
+
+// Where a point lands on the shadow map, in texels from the map center
+function shadowMapTexel(sunShadow, point) {
+    const camera = sunShadow.light.shadow.camera;
+    camera.position.copy(sunShadow.light.position);
+    camera.lookAt(sunShadow.light.target.position);
+    camera.updateMatrixWorld();
+    const projected = point.clone().project(camera);
+    return new THREE.Vector2(projected.x, projected.y).multiplyScalar(sunShadow.light.shadow.mapSize.width / 2);
+}
+
+test('the shadow box follows the truck far from the origin', () => {
+    const sunShadow = createSunShadow();
+    const truckPosition = new THREE.Vector3(1500, 12, -900);
+    sunShadow.update(truckPosition, sunDirection);
+
+    const light = sunShadow.light;
+    assert.ok(light.target.position.distanceTo(truckPosition) < sunShadow.texelSize);
+    const toLight = light.position.clone().sub(light.target.position);
+    assert.ok(Math.abs(toLight.length() - 200) < 1e-6);
+    assert.ok(toLight.normalize().distanceTo(sunDirection) < 1e-9);
+
+    // The truck is in the middle of the shadow map
+    assert.ok(shadowMapTexel(sunShadow, truckPosition).length() < 1);
+});
+
+test('the shadow box moves in whole texels so shadows do not shimmer', () => {
+    const sunShadow = createSunShadow();
+    const tree = new THREE.Vector3(40, 5, 25);
+    sunShadow.update(new THREE.Vector3(0, 0, 0), sunDirection);
+    const before = shadowMapTexel(sunShadow, tree);
+
+    // Creep forward a bit at a time - the tree may only ever jump by whole texels
+    for (let step = 1; step <= 50; step++) {
+        sunShadow.update(new THREE.Vector3(step * 0.037, step * 0.01, step * 0.021), sunDirection);
+        const offset = shadowMapTexel(sunShadow, tree).sub(before);
+        assert.ok(Math.abs(offset.x - Math.round(offset.x)) < 1e-3, `x moved ${offset.x} texels`);
+        assert.ok(Math.abs(offset.y - Math.round(offset.y)) < 1e-3, `y moved ${offset.y} texels`);
+    }
+});
+
+test('works with the sun straight overhead', () => {
+    const sunShadow = createSunShadow();
+    sunShadow.update(new THREE.Vector3(10, 0, 10), new THREE.Vector3(0, 1, 0));
+    assert.ok(sunShadow.light.target.position.distanceTo(new THREE.Vector3(10, 0, 10)) < sunShadow.texelSize);
+    assert.ok(Number.isFinite(sunShadow.light.position.y));
+});
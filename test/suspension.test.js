@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { runScenario } from '../src/harness.js';
+import { Truck } from '../src/truck.js';
+import { getRestingWheelY, getStaticCompression, resolveVehicleDefinition } from '../src/vehicles.js';
+
+const monster = resolveVehicleDefinition('monster');
+
+function buildTruck() {
+    const truck = new Truck('monster');
+    truck.build();
+    return truck;
+}
+
+// Height of the bottom of each tire above flat ground at y = 0
+function tireClearances(truck) {
+    truck.truckGroup.updateMatrixWorld(true);
+    return truck.wheels.map(wheel => wheel.getWorldPosition(new THREE.Vector3()).y - monster.dimensions.wheelRadius);
+}
+
+// Ends of a suspension part along its length, the `from` end first
+function partEnds(truck, name) {
+    const part = truck.truckGroup.getObjectByName(name);
+    const halfLength = part.geometry.parameters.height / 2 * part.scale.y;
+    const axis = new THREE.Vector3(0, 1, 0).applyQuaternion(part.quaternion).multiplyScalar(halfLength);
+    return [part.position.clone().sub(axis), part.position.clone().add(axis)];
+}
+
+test('wheels rest where the springs hold them and move with compression', () => {
+    const truck = buildTruck();
+    truck.wheels.forEach(wheel => assert.ok(Math.abs(wheel.position.y - getRestingWheelY(monster)) < 1e-9));
+
+    const compressions = [0, getStaticCompression(monster), 0.8, monster.physics.suspensionTravel];
+    truck.updateSuspension(compressions.map(compression => ({ compression })));
+    truck.wheels.forEach((wheel, index) => {
+        const expected = monster.dimensions.suspensionAnchorY - monster.physics.suspensionRestLength + compressions[index];
+        assert.ok(Math.abs(wheel.position.y - expected) < 1e-9, `wheel ${index}`);
+    });
+
+    truck.updateSuspension();
+    truck.wheels.forEach(wheel => assert.ok(Math.abs(wheel.position.y - getRestingWheelY(monster)) < 1e-9));
+});
+
+test('shocks stay on their body mounts and follow the wheel', () => {
+    const truck = buildTruck();
+    const [armInner, armOuter] = partEnds(truck, 'Arm_FR');
+    const [damperTop] = partEnds(truck, 'Shock_FR_Body');
+    const [shaftBottom] = partEnds(truck, 'Shock_FR_Shaft');
+
+    const lift = 0.5;
+    truck.updateSuspension([{}, {}, {}, { compression: getStaticCompression(monster) + lift }]);
+
+    const [movedArmInner, movedArmOuter] = partEnds(truck, 'Arm_FR');
+    assert.ok(movedArmInner.distanceTo(armInner) < 1e-6, 'arm pivot stays put');
+    assert.ok(movedArmOuter.distanceTo(armOuter.clone().setY(armOuter.y + lift)) < 1e-6, 'arm reaches the hub');
+
+    const [movedDamperTop] = partEnds(truck, 'Shock_FR_Body');
+    const [movedShaftBottom] = partEnds(truck, 'Shock_FR_Shaft');
+    assert.ok(movedDamperTop.distanceTo(damperTop) < 1e-6, 'damper stays on its top mount');
+    assert.ok(Math.abs(movedShaftBottom.y - shaftBottom.y - lift) < 1e-6, 'shaft rides up with the wheel');
+
+    // The other corners didn't move
+    assert.ok(Math.abs(truck.wheels[2].position.y - getRestingWheelY(monster)) < 1e-9);
+});
+
+test('tires stay on the ground while the body squats and dives', () => {
+    const settle = { duration: 2, input: {} };
+    const cases = [
+        { name: 'squat', script: [settle, { duration: 1.5, input: { forward: true } }], pitch: -1 },
+        { name: 'dive', script: [settle, { duration: 4, input: { forward: true } }, { duration: 1, input: { backward: true } }], pitch: 1 }
+    ];
+
+    cases.forEach(({ name, script, pitch }) => {
+        const { result } = runScenario({ vehicle: 'monster', script });
+        assert.ok(Math.sign(result.pitch) === pitch && Math.abs(result.pitch) > 0.02, `${name}: body pitches (${result.pitch})`);
+
+        const truck = buildTruck();
+        truck.updateVisuals(result, 1 / 60);
+        tireClearances(truck).forEach((clearance, index) => {
+            assert.ok(Math.abs(clearance) < 0.08, `${name}: wheel ${index} is ${clearance.toFixed(3)} m off the ground`);
+        });
+    });
+});
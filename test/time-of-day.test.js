@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { TimeOfDay } from '../src/time-of-day.js';
+import { Truck } from '../src/truck.js';
+
+test('noon matches the original daytime scene', () => {
+    const state = new TimeOfDay({ hour: 12 }).getState();
+    assert.equal(state.skyTop.getHex(), 0x7FB3DC);
+    assert.equal(state.skyBottom.getHex(), 0xFFEED4);
+    assert.equal(state.fog.getHex(), 0xFFEBD6);
+    assert.equal(state.lightIntensity, 1.5);
+    assert.equal(state.ambient, 0.6);
+    assert.equal(state.fill, 0.7);
+    assert.equal(state.stars, 0);
+    assert.equal(state.headlights, false);
+    assert.ok(state.sunDirection.y > 0.8);
+    assert.equal(state.moonlight, false);
+});
+
+test('the sun rises in the east and sets in the west', () => {
+    const clock = new TimeOfDay({ hour: 7 });
+    const morning = clock.getState().sunDirection.clone();
+    clock.setHour(17);
+    const evening = clock.getState().sunDirection.clone();
+    assert.ok(morning.y > 0 && morning.x > 0);
+    assert.ok(evening.y > 0 && evening.x < 0);
+});
+
+test('night is dark and starry, lit by the moon, with headlights on', () => {
+    const state = new TimeOfDay({ hour: 0 }).getState();
+    assert.equal(state.stars, 1);
+    assert.ok(state.lightIntensity < 0.5);
+    assert.ok(state.ambient < 0.3);
+    assert.equal(state.moonlight, true);
+    assert.ok(state.lightDirection.y > 0.8); // The moon is overhead
+    assert.equal(state.headlights, true);
+});
+
+test('the look changes smoothly through the whole day', () => {
+    const clock = new TimeOfDay({ hour: 0 });
+    let previous = { ...clock.getState(), skyTop: clock.getState().skyTop.clone() };
+    for (let minute = 1; minute <= 24 * 60; minute++) {
+        clock.setHour(minute / 60);
+        const state = clock.getState();
+        assert.ok(Math.abs(state.lightIntensity - previous.lightIntensity) < 0.05, `light jumps at ${clock.formatTime()}`);
+        assert.ok(Math.abs(state.stars - previous.stars) < 0.05, `stars jump at ${clock.formatTime()}`);
+        assert.ok(Math.abs(state.skyTop.r - previous.skyTop.r) < 0.02, `sky jumps at ${clock.formatTime()}`);
+        previous = { ...state, skyTop: state.skyTop.clone() };
+    }
+});
+
+test('headlights switch on at dusk and off at dawn', () => {
+    const clock = new TimeOfDay();
+    const headlightsAt = hour => {
+        clock.setHour(hour);
+        return clock.getState().headlights;
+    };
+    assert.equal(headlightsAt(17), false);
+    assert.equal(headlightsAt(19), true);
+    assert.equal(headlightsAt(3), true);
+    assert.equal(headlightsAt(7), false);
+});
+
+test('the clock runs, speeds up, stops and wraps around midnight', () => {
+    const clock = new TimeOfDay({ hour: 23, dayLength: 24 });
+    clock.update(0.5); // Half an hour at one hour per second
+    assert.equal(clock.hour, 23.5);
+    assert.equal(clock.cycleSpeed(), 10);
+    clock.update(0.1);
+    assert.ok(Math.abs(clock.hour - 0.5) < 1e-9);
+    assert.equal(clock.formatTime(), '00:30');
+
+    clock.cycleSpeed();
+    assert.equal(clock.cycleSpeed(), 0);
+    clock.update(1);
+    assert.ok(Math.abs(clock.hour - 0.5) < 1e-9);
+
+    clock.advance(-1);
+    assert.equal(clock.formatTime(), '23:30');
+    assert.equal(new TimeOfDay({ hour: 25 }).hour, 1);
+});
+
+test('headlights become spot lights that switch on and off', () => {
+    const truck = new Truck('monster');
+    truck.build();
+    assert.equal(truck.headlights.length, 2);
+    truck.headlights.forEach(({ beam }) => {
+        assert.ok(beam.isSpotLight);
+        assert.equal(beam.intensity, 0);
+        assert.ok(beam.target.position.z > beam.position.z); // Aimed ahead
+    });
+
+    truck.setHeadlights(true);
+    truck.headlights.forEach(({ lens, beam }) => {
+        assert.ok(beam.intensity > 0);
+        assert.equal(lens.material.emissiveIntensity, truck.headlightGlow.on);
+    });
+    truck.setHeadlights(false);
+    assert.ok(truck.headlights.every(({ beam }) => beam.intensity === 0));
+});
+
+test('model trucks get headlight beams from their Headlight nodes', async () => {
+    const data = await readFile(new URL('../public/models/monster.glb', import.meta.url));
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    const gltf = await new GLTFLoader().parseAsync(buffer, '');
+
+    const truck = new Truck('monster');
+    truck.buildFromModel(gltf.scene);
+    assert.equal(truck.headlights.length, 2);
+    assert.deepEqual(truck.headlights.map(({ lens }) => lens.name), ['Headlight_L', 'Headlight_R']);
+    // The exported model has no lights of its own
+    const lights = [];
+    gltf.scene.traverse(node => node.isLight && lights.push(node));
+    assert.equal(lights.length, 0);
+});
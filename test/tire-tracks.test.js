@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GroundDeformation } from '../src/ground-deformation.js';
+import { TireTracks } from '../src/tire-tracks.js';
+import { Terrain } from '../src/terrain.js';
+import { SURFACE_TYPES } from '../src/surfaces.js';
+import { resolveVehicleDefinition, getWheelLayout } from '../src/vehicles.js';
+import { runScenario, createFlatTerrain } from '../src/harness.js';
+
+const monster = resolveVehicleDefinition('monster');
+
+// Terrain with one surface everywhere and a single stand-in wheel to roll across it
+function createTrackRig(surface, options) {
+    const terrain = new Terrain(new THREE.Scene(), { seed: 7 });
+    terrain.getWorldSurfaceAt = () => surface;
+    const tracks = new TireTracks(terrain, monster, options);
+    const wheel = new THREE.Object3D();
+    const truckGroup = new THREE.Group();
+    truckGroup.add(wheel);
+    return { terrain, tracks, truck: { truckGroup, wheels: [wheel] }, wheel };
+}
+
+// Roll the wheel along z from one point to another in small frame-sized steps
+function roll(rig, fromZ, toZ, contact = true) {
+    for (let z = fromZ; z <= toZ; z += 0.25) {
+        rig.wheel.position.set(0, 2, z);
+        rig.tracks.update(1 / 60, { wheels: [{ contact }] }, rig.truck);
+    }
+}
+
+test('ruts deepen with each press up to the limit', () => {
+    const deformation = new GroundDeformation();
+    deformation.press(10, 10, 0.6, 0.1, 0.25);
+    assert.ok(Math.abs(deformation.getDepth(10, 10) - 0.1) < 1e-6);
+    assert.ok(deformation.getDepth(10.4, 10) < 0.1, 'softer at the edge');
+    assert.equal(deformation.getDepth(12, 10), 0);
+
+    deformation.press(10, 10, 0.6, 0.1, 0.25);
+    deformation.press(10, 10, 0.6, 0.1, 0.25);
+    assert.ok(Math.abs(deformation.getDepth(10, 10) - 0.25) < 1e-6);
+});
+
+test('forgets the least recently pressed ruts when the budget is full', () => {
+    const deformation = new GroundDeformation({ maxTiles: 2 });
+    deformation.press(10, 10, 0.6, 0.1, 1);
+    deformation.press(100, 10, 0.6, 0.1, 1);
+    deformation.press(10, 10, 0.6, 0.1, 1); // Pressed again, so it is now the newest
+    deformation.press(200, 10, 0.6, 0.1, 1);
+
+    assert.equal(deformation.tileCount, 2);
+    assert.ok(deformation.getDepth(10, 10) > 0);
+    assert.equal(deformation.getDepth(100, 10), 0);
+    assert.ok(deformation.getDepth(200, 10) > 0);
+});
+
+test('ruts repeat with a wrap-around world', () => {
+    const deformation = new GroundDeformation({ wrapSize: 3500 });
+    deformation.press(1749.8, 0, 0.6, 0.1, 1);
+    assert.ok(Math.abs(deformation.getDepth(1749.8 - 3500, 0) - deformation.getDepth(1749.8, 0)) < 1e-6);
+    assert.ok(deformation.getDepth(-1750, 0) > 0, 'reaches across the seam');
+});
+
+test('driving through mud leaves ruts in the height the physics sees', () => {
+    const rig = createTrackRig(SURFACE_TYPES.mud);
+    const groundBefore = rig.terrain.getHeightAt(0, 10);
+
+    roll(rig, 0, 20);
+    const firstPass = groundBefore - rig.terrain.getHeightAt(0, 10);
+    assert.ok(firstPass > SURFACE_TYPES.mud.rutDepth * 0.7 && firstPass < SURFACE_TYPES.mud.rutDepth * 1.5, `sank ${firstPass}`);
+
+    roll(rig, 0, 20, false);
+    roll(rig, 0, 20);
+    assert.ok(groundBefore - rig.terrain.getHeightAt(0, 10) > firstPass * 1.5, 'a second pass sinks deeper');
+
+    for (let pass = 0; pass < 5; pass++) {
+        roll(rig, 0, 20, false);
+        roll(rig, 0, 20);
+    }
+    const deepest = SURFACE_TYPES.mud.rutDepth * rig.tracks.maxRutPasses;
+    assert.ok(groundBefore - rig.terrain.getHeightAt(0, 10) <= deepest + 1e-6);
+});
+
+test('the rendered ground and the tracks sink into the ruts', () => {
+    const rig = createTrackRig(SURFACE_TYPES.mud);
+    rig.terrain.build();
+    roll(rig, 0, 20);
+    for (let frame = 0; frame < 5; frame++) {
+        rig.terrain.update(new THREE.Vector3());
+    }
+
+    // The patch under the rut is lowered just as far as the physics ground, and the
+    // coarse ground is cut away there
+    const patches = rig.terrain.rutPatches;
+    assert.deepEqual([...patches.patches.keys()].sort(), ['-1,0', '0,0']);
+    const patch = patches.patches.get('0,0');
+    const vertex = 20 * (patch.cellsX + 1); // On the tile's edge, 10 m along the rut
+    const rendered = patch.mesh.geometry.attributes.position.array[vertex * 3 + 2];
+    assert.ok(Math.abs(rendered - rig.terrain.getWorldHeightAt(0, 10)) < 1e-6);
+    assert.ok(rendered < rig.terrain.getWorldGroundHeightAt(0, 10) - 0.1);
+    assert.deepEqual(Array.from(patches.maskData.slice(0, 4)), [0, 0, 0, 1]);
+
+    // The middle of the newest track lies in the bottom of the rut
+    const middle = rig.tracks.positions.slice(((rig.tracks.segmentCount - 1) * 6 + 4) * 3);
+    assert.ok(Math.abs(middle[1] - rig.terrain.getWorldHeightAt(middle[0], middle[2]) - rig.tracks.lift) < 1e-6);
+    assert.ok(middle[1] < rig.terrain.getWorldGroundHeightAt(middle[0], middle[2]));
+
+    // Forgotten ruts take their patches with them
+    rig.terrain.deformation.clear();
+    rig.terrain.update(new THREE.Vector3());
+    assert.equal(patches.patches.size, 0);
+    assert.equal(patches.maskData[3], 0);
+});
+
+test('hard ground keeps tracks but no ruts', () => {
+    const rig = createTrackRig(SURFACE_TYPES.rock);
+    const groundBefore = rig.terrain.getHeightAt(0, 10);
+    roll(rig, 0, 20);
+    assert.ok(rig.tracks.segmentCount > 20);
+    assert.equal(rig.terrain.getHeightAt(0, 10), groundBefore);
+    assert.equal(rig.terrain.deformation.tileCount, 0);
+});
+
+test('tracks stop in the air and never outgrow their buffer', () => {
+    const rig = createTrackRig(SURFACE_TYPES.dirt, { maxSegments: 50 });
+    roll(rig, 0, 10);
+    const onGround = rig.tracks.segmentCount;
+    roll(rig, 10, 20, false);
+    assert.equal(rig.tracks.segmentCount, onGround, 'no track while airborne');
+
+    // Landing starts a fresh track rather than joining up with the old one
+    roll(rig, 20, 20);
+    assert.equal(rig.tracks.segmentCount, onGround);
+
+    roll(rig, 20, 100);
+    assert.ok(rig.tracks.segmentCount > 50);
+    assert.equal(rig.tracks.mesh.geometry.drawRange.count, 50 * 12);
+    assert.equal(rig.tracks.positions.length, 50 * 6 * 3);
+});
+
+test('a truck parked with its left wheels in ruts leans into them', () => {
+    const deformation = new GroundDeformation();
+    getWheelLayout(monster).filter(({ x }) => x < 0).forEach(({ x, z }) => {
+        deformation.press(x, z, 1, 0.3, 0.3);
+    });
+    const rutted = { ...createFlatTerrain(), getHeightAt: (x, z) => -deformation.getDepth(x, z) };
+
+    const flat = runScenario({ vehicle: monster, script: [{ duration: 3, input: {} }] });
+    const parked = runScenario({ vehicle: monster, terrain: rutted, script: [{ duration: 3, input: {} }] });
+    assert.ok(parked.result.position.y < flat.result.position.y - 0.05);
+    assert.ok(Math.abs(parked.result.roll) > Math.abs(flat.result.roll) + 0.02, `roll ${parked.result.roll}`);
+});
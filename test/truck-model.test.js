@@ -0,0 +1,94 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { validateTruckModel, WHEEL_NODE_NAMES } from '../src/truck-model.js';
+import { resolveVehicleDefinition } from '../src/vehicles.js';
+import { Truck } from '../src/truck.js';
+
+// The bundled model, parsed straight from disk (there is no server to fetch it from)
+async function loadBundledModel() {
+    const file = await readFile(new URL('../public/models/monster.glb', import.meta.url));
+    const data = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    const gltf = await new GLTFLoader().parseAsync(data, '');
+    return gltf.scene;
+}
+
+describe('bundled truck model', () => {
+    let scene;
+    before(async () => {
+        scene = await loadBundledModel();
+    });
+
+    test('has every node the naming convention needs', () => {
+        assert.doesNotThrow(() => validateTruckModel(scene));
+    });
+
+    test('builds a truck with the same working parts as the procedural one', () => {
+        const procedural = new Truck('monster');
+        procedural.build();
+        const truck = new Truck('monster');
+        truck.buildFromModel(scene);
+
+        assert.equal(truck.source, 'model');
+        assert.deepEqual(truck.wheels.map(wheel => wheel.name), WHEEL_NODE_NAMES);
+        assert.equal(truck.wheelSpinners.length, 4);
+        assert.equal(truck.suspensionLinks.length, procedural.suspensionLinks.length);
+        assert.equal(truck.dentableMeshes.length, procedural.dentableMeshes.length);
+        assert.equal(truck.detachableParts.length, procedural.detachableParts.length);
+        assert.equal(truck.exhaustFlames.length, 2);
+        assert.ok(truck.exhaustFlames.every(flame => !flame.visible));
+    });
+
+    test('spins every wheel and steers the front ones', () => {
+        const truck = new Truck('monster');
+        truck.buildFromModel(scene);
+        const rest = truck.wheelSpinners.map(spinner => spinner.node.quaternion.clone());
+        truck.updateWheels(0.5, 2, 0.3);
+
+        truck.wheelSpinners.forEach((spinner, index) => {
+            assert.ok(spinner.node.quaternion.angleTo(rest[index]) > 0.1, `wheel ${index} turned`);
+        });
+        assert.equal(truck.wheels[0].rotation.y, 0);
+        assert.ok(truck.wheels[2].rotation.y > 0);
+    });
+
+    test('paints the model without touching other trucks using it', () => {
+        const painted = new Truck('monster', { bodyColor: '#1E88E5' });
+        painted.buildFromModel(scene);
+        const stock = new Truck('monster');
+        stock.buildFromModel(scene);
+
+        const bodyColor = truck => truck.truckGroup.getObjectByName('Body').material.color.getHexString();
+        assert.equal(bodyColor(painted), '1e88e5');
+        assert.equal(bodyColor(stock), resolveVehicleDefinition('monster').colors.body.slice(1).toLowerCase());
+    });
+});
+
+describe('choosing between the model and the procedural truck', () => {
+    test('a model that fails to load falls back to building the truck', async () => {
+        const truck = new Truck({ model: 'models/does-not-exist.glb' });
+        const original = console.warn;
+        console.warn = () => {};
+        try {
+            await truck.load();
+        } finally {
+            console.warn = original;
+        }
+        assert.equal(truck.source, 'procedural');
+        assert.equal(truck.wheels.length, 4);
+    });
+
+    test('garage wheels, tires and decals need the procedural truck', () => {
+        assert.equal(new Truck('monster').usesModel(), true);
+        assert.equal(new Truck('monster', { bodyColor: '#E53935' }).usesModel(), true);
+        assert.equal(new Truck('monster', { wheelStyle: 'star' }).usesModel(), false);
+        assert.equal(new Truck('monster', { decals: 'stripes' }).usesModel(), false);
+    });
+
+    test('custom vehicles do not inherit the default model', () => {
+        assert.equal(resolveVehicleDefinition('monster').model, 'models/monster.glb');
+        assert.equal(resolveVehicleDefinition({ name: 'Custom' }).model, null);
+        assert.equal(resolveVehicleDefinition('buggy').model ?? null, null);
+    });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Weather, WEATHER_TYPES, WEATHER_ORDER } from '../src/weather.js';
+import { Precipitation } from '../src/precipitation.js';
+import { runScenario } from '../src/harness.js';
+import { TruckPhysics } from '../src/physics.js';
+
+test('starts clear, or as asked', () => {
+    assert.equal(new Weather().type, 'clear');
+    assert.equal(new Weather().getState().fogDensity, 0.004); // The original fixed fog
+    assert.equal(new Weather({ type: 'snow' }).getState().snow, 1);
+    assert.equal(new Weather({ type: 'hail' }).type, 'clear');
+    assert.throws(() => new Weather().set('hail'), /Unknown weather/);
+});
+
+test('blends into new weather over the transition time', () => {
+    const weather = new Weather({ transitionTime: 10 });
+    weather.set('rain');
+    assert.equal(weather.getState().rain, 0);
+
+    weather.update(5);
+    const halfway = weather.getState();
+    assert.ok(halfway.rain > 0.3 && halfway.rain < 0.7);
+    assert.ok(halfway.grip < 1 && halfway.grip > WEATHER_TYPES.rain.grip);
+
+    weather.update(5);
+    assert.equal(weather.getState().rain, 1);
+    assert.equal(weather.getState().grip, WEATHER_TYPES.rain.grip);
+
+    weather.set('clear', true);
+    assert.equal(weather.getState().rain, 0);
+});
+
+test('steps through every type and cycles on its own', () => {
+    const weather = new Weather();
+    const seen = [weather.type];
+    for (let i = 1; i < WEATHER_ORDER.length; i++) {
+        seen.push(weather.next());
+    }
+    assert.deepEqual(seen, [...WEATHER_ORDER]);
+    assert.equal(weather.next(), 'clear');
+
+    const cycling = new Weather({ cycle: true, cycleTime: 60 });
+    cycling.update(59);
+    assert.equal(cycling.type, 'clear');
+    cycling.update(2);
+    assert.equal(cycling.type, WEATHER_ORDER[1]);
+});
+
+test('slippery weather makes the truck slide wider in a turn', () => {
+    const script = [
+        { duration: 1, input: {} },
+        { duration: 30, input: { forward: true }, until: result => result.speed >= 50 / 3.6 },
+        { duration: 1.5, input: { forward: true, left: true } }
+    ];
+    const dry = runScenario({ script });
+    const snowy = runScenario({ script, physics: new TruckPhysics({ gripMultiplier: WEATHER_TYPES.snow.grip }) });
+    const slide = ({ result }) => Math.abs(result.driftAngle);
+    assert.ok(slide(snowy) > slide(dry), `slide ${slide(snowy).toFixed(3)} vs ${slide(dry).toFixed(3)} rad`);
+});
+
+test('rain and snow stay in the box around the camera', () => {
+    const precipitation = new Precipitation({ maxDrops: 200, area: 60, height: 30 });
+    const camera = new THREE.Vector3(1000, 20, -500);
+
+    precipitation.update(0.1, camera, 0.5, 0);
+    assert.ok(precipitation.rain.visible);
+    assert.equal(precipitation.snow.visible, false);
+    assert.equal(precipitation.rain.geometry.drawRange.count, 200); // 100 drops, 2 vertices each
+
+    for (let i = 0; i < 120; i++) {
+        precipitation.update(1 / 60, camera, 1, 1);
+    }
+    for (const drops of [precipitation.rainDrops, precipitation.snowDrops]) {
+        for (let i = 0; i < 200; i++) {
+            assert.ok(Math.abs(drops[i * 3] - camera.x) <= 30);
+            assert.ok(drops[i * 3 + 1] >= camera.y - 12 && drops[i * 3 + 1] <= camera.y + 18);
+            assert.ok(Math.abs(drops[i * 3 + 2] - camera.z) <= 30);
+        }
+    }
+});